@@ -0,0 +1,107 @@
+/**
+ * activityRepository.js — listing / sale / cancel history (`activity` table)
+ *
+ * Rows are derived from order rows by orderRepository.js whenever an order
+ * is created or changes status, so every write path records history.
+ * offerRepository.js adds new offers and accepted offers (as sales).
+ */
+
+import { supabase } from "./db.js";
+
+export const ACTIVITY_TYPES = ["listing", "sale", "cancel", "expire", "inactive", "offer"];
+
+const TYPE_BY_STATUS = {
+  active: "listing",
+  fulfilled: "sale",
+  cancelled: "cancel",
+  expired: "expire",
+  inactive: "inactive",
+};
+
+/**
+ * Records what just happened to `order` (based on its current status,
+ * unless `type` is given). One row per (type, orderHash, txHash): replays
+ * from the chain sync are ignored, while each fill of a partially filled
+ * order is its own sale.
+ */
+export async function recordActivity(order, { occurredAt, type: forcedType } = {}) {
+  const type = forcedType || TYPE_BY_STATUS[order.status];
+  if (!type) return;
+  // A private listing stays off the public feed until it sells (the sale is on chain anyway)
+  if (order.taker && type !== "sale") return;
+
+  const isSale = type === "sale";
+  const { error } = await supabase.from("activity").upsert(
+    {
+      type,
+      orderHash: order.orderHash,
+      tokenId: order.tokenId ?? null,
+      nftContract: order.nftContract ?? null,
+      fromAddress: order.seller ?? null,
+      toAddress: isSale ? order.buyerAddress ?? null : null,
+      price: order.price ?? null,
+      currency: order.currency ?? "native",
+      paymentToken: order.paymentToken ?? null,
+      quantity: order.quantity ?? 1,
+      txHash: isSale ? order.fulfillTxHash ?? null : null,
+      blockNumber: order.onChainBlock ?? null,
+      createdAt: occurredAt || new Date().toISOString(),
+    },
+    { onConflict: "type,orderHash,txHash", ignoreDuplicates: true }
+  );
+  if (error) throw error;
+}
+
+/**
+ * Activity rows with an id above `afterId`, oldest first (ids grow with
+ * every insert, so this reads the feed as it is written).
+ */
+export async function findActivityAfter(afterId, { limit = 200 } = {}) {
+  const { data, error } = await supabase
+    .from("activity")
+    .select("*")
+    .gt("id", afterId)
+    .order("id", { ascending: true })
+    .limit(limit);
+  if (error) throw error;
+  return data;
+}
+
+// Id of the newest activity row (0 when there is none)
+export async function findLatestActivityId() {
+  const { data, error } = await supabase
+    .from("activity")
+    .select("id")
+    .order("id", { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  if (error) throw error;
+  return data?.id ?? 0;
+}
+
+/**
+ * Newest-first page of activity, optionally for one `nftContract`.
+ * `address` matches either side of the event (seller or buyer); callers
+ * must pass a valid address.
+ */
+export async function listActivity({ nftContract, tokenId, address, type, page = 1, limit = 20 } = {}) {
+  let query = supabase.from("activity").select("*", { count: "exact" });
+
+  if (nftContract) query = query.eq("nftContract", nftContract.toLowerCase());
+  if (tokenId) query = query.eq("tokenId", tokenId.toString());
+  if (type) query = query.eq("type", type);
+  if (address) {
+    const a = address.toLowerCase();
+    query = query.or(`fromAddress.eq.${a},toAddress.eq.${a}`);
+  }
+
+  const from = (page - 1) * limit;
+  const { data, error, count } = await query
+    .order("createdAt", { ascending: false })
+    .order("id", { ascending: false })
+    .range(from, from + limit - 1);
+
+  if (error && error.code !== "PGRST103") throw error;
+
+  return { activity: data || [], total: count ?? 0 };
+}
@@ -0,0 +1,176 @@
+/**
+ * auctionRepository.js — the only place that writes the `auctions` table
+ *
+ * English (timed, ascending) auctions: the seller sets a reserve and an end
+ * time, bidders place offers on the token (offers.auctionId). At endTime
+ * the highest bid at or above the reserve wins (ended) or nobody does
+ * (unsold); the seller settles by accepting the winning offer (settled).
+ */
+
+import { nanoid } from "nanoid";
+import { ethers } from "ethers";
+import { supabase } from "./db.js";
+import { InvalidTransitionError } from "./orderRepository.js";
+import { offerAmount } from "./seaportOrders.js";
+
+export const AUCTION_STATUSES = ["open", "ended", "unsold", "settled", "cancelled"];
+
+// How long after endTime the seller has to accept the winning bid; bids must stay valid that long
+export const SETTLEMENT_WINDOW_MS = 48 * 60 * 60_000;
+
+// A bid is accepted early (settled from open) only by the seller's own choice.
+// Accepting one after the auction closed unsold (no winner, or the settlement
+// window ran out) still settles it: the sale happened on chain.
+const TRANSITIONS = {
+  open: ["ended", "unsold", "settled", "cancelled"],
+  ended: ["settled", "unsold"],
+  unsold: ["settled"],
+  settled: [],
+  cancelled: [],
+};
+
+/**
+ * Whether `bid` (an offer row) reaches the auction's reserve, compared in
+ * base units of the payment token (`decimals`).
+ */
+export function meetsReserve(bid, auction, decimals) {
+  return offerAmount(bid.seaportOrder).gte(ethers.utils.parseUnits(auction.reservePrice, decimals));
+}
+
+// -------------------- READ --------------------
+export async function findAuction(id) {
+  const { data, error } = await supabase.from("auctions").select("*").eq("id", id).maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * The running (open or ended, not yet settled) auction of a token, if any.
+ */
+export async function findRunningAuction(nftContract, tokenId) {
+  const { data, error } = await supabase
+    .from("auctions")
+    .select("*")
+    .eq("nftContract", nftContract.toLowerCase())
+    .eq("tokenId", tokenId.toString())
+    .in("status", ["open", "ended"])
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Running auctions of a collection, ending soonest first.
+ */
+export async function listAuctions({ nftContract, seller, page = 1, limit = 20 } = {}) {
+  let query = supabase.from("auctions").select("*", { count: "exact" }).in("status", ["open", "ended"]);
+
+  if (nftContract) query = query.eq("nftContract", nftContract.toLowerCase());
+  if (seller) query = query.eq("seller", seller.toLowerCase());
+
+  const from = (page - 1) * limit;
+  const { data, error, count } = await query
+    .order("endTime", { ascending: true })
+    .order("id", { ascending: true })
+    .range(from, from + limit - 1);
+
+  if (error && error.code !== "PGRST103") throw error;
+
+  return { auctions: data || [], total: count ?? 0 };
+}
+
+/**
+ * Highest active, unexpired bid per auction id. Auctions without bids are
+ * absent.
+ */
+export async function getHighestBids(auctionIds) {
+  if (auctionIds.length === 0) return new Map();
+  const { data, error } = await supabase
+    .from("offers")
+    .select("*")
+    .in("auctionId", auctionIds)
+    .eq("status", "active")
+    .gt("endTime", new Date().toISOString())
+    .order("price", { ascending: false })
+    .order("createdAt", { ascending: true });
+  if (error) throw error;
+
+  // Rows are sorted by price, so the first one per auction is its highest
+  const highest = new Map();
+  for (const bid of data) if (!highest.has(bid.auctionId)) highest.set(bid.auctionId, bid);
+  return highest;
+}
+
+/**
+ * Open auctions past their endTime, and ended ones whose settlement window
+ * ran out.
+ */
+export async function findDueAuctions({ limit = 200 } = {}) {
+  const now = Date.now();
+  const { data, error } = await supabase
+    .from("auctions")
+    .select("*")
+    .or(
+      `and(status.eq.open,endTime.lt.${new Date(now).toISOString()}),` +
+        `and(status.eq.ended,endTime.lt.${new Date(now - SETTLEMENT_WINDOW_MS).toISOString()})`
+    )
+    .limit(limit);
+  if (error) throw error;
+  return data;
+}
+
+// -------------------- WRITE --------------------
+/**
+ * Starts an auction. Resolves to null when the token already has a
+ * running one.
+ */
+export async function createAuction(auction) {
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from("auctions")
+    .insert({
+      id: nanoid(),
+      ...auction,
+      nftContract: auction.nftContract.toLowerCase(),
+      seller: auction.seller.toLowerCase(),
+      paymentToken: auction.paymentToken.toLowerCase(),
+      status: "open",
+      createdAt: now,
+      updatedAt: now,
+    })
+    .select()
+    .single();
+  if (error?.code === "23505") return null;
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Moves an auction to `status` (setting winningOfferHash when given).
+ * Re-applying the current status is a no-op; forbidden moves throw
+ * InvalidTransitionError; unknown auctions resolve to null.
+ */
+export async function transitionAuction(id, status, { winningOfferHash } = {}) {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const current = await findAuction(id);
+    if (!current) return null;
+    if (current.status === status) return current;
+    if (!TRANSITIONS[current.status]?.includes(status)) {
+      throw new InvalidTransitionError(id, current.status, status);
+    }
+
+    const patch = { status, updatedAt: new Date().toISOString() };
+    if (winningOfferHash !== undefined) patch.winningOfferHash = winningOfferHash;
+
+    const { data, error } = await supabase
+      .from("auctions")
+      .update(patch)
+      .eq("id", id)
+      .eq("status", current.status)
+      .select();
+    if (error) throw error;
+    if (data.length) return data[0];
+  }
+
+  throw new Error(`Auction ${id} kept changing while moving it to ${status}`);
+}
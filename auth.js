@@ -0,0 +1,224 @@
+/**
+ * auth.js — Sign-In with Ethereum (EIP-4361) and backend sessions
+ *
+ * The wallet signs a SIWE message carrying a one-time nonce from
+ * GET /api/auth/nonce; POST /api/auth/verify turns it into a session token
+ * (HMAC-signed, sent back as `Authorization: Bearer <token>`). Write routes
+ * use requireSession and compare req.session.address with the address the
+ * request acts for.
+ */
+
+import crypto from "crypto";
+import { ethers } from "ethers";
+import dotenv from "dotenv";
+import { APECHAIN_ID } from "./chain.js";
+
+dotenv.config();
+
+const NONCE_TTL_MS = 10 * 60_000;
+const SESSION_TTL_S = 24 * 60 * 60;
+const MAX_SKEW_S = 5 * 60;
+// A sign-in message is good for as long as its nonce
+const MAX_MESSAGE_AGE_S = NONCE_TTL_MS / 1000;
+
+// Without a configured secret, sessions do not survive a restart
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString("hex");
+if (!process.env.SESSION_SECRET) {
+  console.warn("⚠️ SESSION_SECRET not set — using a random one, sessions end on restart");
+}
+
+export class AuthError extends Error {
+  constructor(code, message, status = 401) {
+    super(message);
+    this.name = "AuthError";
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// -------------------- NONCES --------------------
+// In memory: a nonce is only valid on the instance that issued it
+const nonces = new Map();
+
+export function createNonce() {
+  const now = Date.now();
+  for (const [n, expires] of nonces) if (expires < now) nonces.delete(n);
+
+  const nonce = crypto.randomBytes(16).toString("hex");
+  nonces.set(nonce, now + NONCE_TTL_MS);
+  return nonce;
+}
+
+function consumeNonce(nonce) {
+  const expires = nonces.get(nonce);
+  nonces.delete(nonce);
+  return !!expires && expires >= Date.now();
+}
+
+// -------------------- SIWE MESSAGE --------------------
+/**
+ * EIP-4361 message text. main.js builds the same layout.
+ */
+export function buildSiweMessage({ domain, address, statement, uri, chainId, nonce, issuedAt, expirationTime }) {
+  const lines = [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    address,
+    "",
+    ...(statement ? [statement, ""] : []),
+    `URI: ${uri}`,
+    "Version: 1",
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`,
+  ];
+  if (expirationTime) lines.push(`Expiration Time: ${expirationTime}`);
+  return lines.join("\n");
+}
+
+/**
+ * Parses the EIP-4361 fields this backend uses; throws AuthError when the
+ * text is not a SIWE message.
+ */
+export function parseSiweMessage(message) {
+  const lines = String(message || "").split("\n");
+  const header = lines[0]?.match(/^(\S+) wants you to sign in with your Ethereum account:$/);
+  const address = lines[1];
+  if (!header || !address || !ethers.utils.isAddress(address)) {
+    throw new AuthError("MALFORMED_MESSAGE", "Not a Sign-In with Ethereum message", 400);
+  }
+
+  const fields = {};
+  for (const line of lines.slice(2)) {
+    const m = line.match(/^(URI|Version|Chain ID|Nonce|Issued At|Expiration Time|Not Before): (.+)$/);
+    if (m) fields[m[1]] = m[2];
+  }
+  if (fields.Version !== "1" || !fields["Chain ID"] || !fields.Nonce || !fields["Issued At"]) {
+    throw new AuthError("MALFORMED_MESSAGE", "SIWE message is missing required fields", 400);
+  }
+
+  return {
+    domain: header[1],
+    address,
+    uri: fields.URI,
+    chainId: Number(fields["Chain ID"]),
+    nonce: fields.Nonce,
+    issuedAt: fields["Issued At"],
+    expirationTime: fields["Expiration Time"] || null,
+    notBefore: fields["Not Before"] || null,
+  };
+}
+
+/**
+ * Checks a signed SIWE message: one of the allowed `domains` (none allowed
+ * when the list is empty), the expected chain, a nonce this server issued
+ * (consumed here), a sane time window and a signature by the address in
+ * the message. Resolves to the lower-cased address.
+ */
+export function verifySiweLogin({ message, signature }, { domains = [] } = {}) {
+  const siwe = parseSiweMessage(message);
+
+  if (!domains.includes(siwe.domain)) {
+    throw new AuthError("DOMAIN_MISMATCH", `Sign-in is not accepted for ${siwe.domain}`);
+  }
+  if (siwe.chainId !== APECHAIN_ID) {
+    throw new AuthError("WRONG_CHAIN", `Sign in on chain ${APECHAIN_ID}`);
+  }
+
+  const now = Date.now();
+  const issuedAt = Date.parse(siwe.issuedAt);
+  if (Number.isNaN(issuedAt) || issuedAt - now > MAX_SKEW_S * 1000) {
+    throw new AuthError("BAD_TIMESTAMP", "Issued At is invalid or in the future");
+  }
+  if (now - issuedAt > MAX_MESSAGE_AGE_S * 1000) {
+    throw new AuthError("MESSAGE_EXPIRED", "Sign-in message is too old");
+  }
+  if (siwe.expirationTime && Date.parse(siwe.expirationTime) <= now) {
+    throw new AuthError("MESSAGE_EXPIRED", "Sign-in message has expired");
+  }
+  if (siwe.notBefore && Date.parse(siwe.notBefore) > now) {
+    throw new AuthError("NOT_YET_VALID", "Sign-in message is not valid yet");
+  }
+
+  let signer;
+  try {
+    signer = ethers.utils.verifyMessage(message, signature);
+  } catch {
+    throw new AuthError("BAD_SIGNATURE", "Signature could not be decoded");
+  }
+  if (signer.toLowerCase() !== siwe.address.toLowerCase()) {
+    throw new AuthError("BAD_SIGNATURE", "Message was not signed by its address");
+  }
+
+  // Last, so a bad signature cannot burn someone else's nonce
+  if (!consumeNonce(siwe.nonce)) {
+    throw new AuthError("INVALID_NONCE", "Nonce is unknown, used or expired");
+  }
+
+  return siwe.address.toLowerCase();
+}
+
+// -------------------- SESSIONS --------------------
+function sign(payload) {
+  return crypto.createHmac("sha256", SESSION_SECRET).update(payload).digest("base64url");
+}
+
+/**
+ * Session token for `address`: base64url(JSON payload) + "." + HMAC.
+ */
+export function issueSession(address) {
+  const expiresAt = Math.floor(Date.now() / 1000) + SESSION_TTL_S;
+  const payload = Buffer.from(JSON.stringify({ sub: address.toLowerCase(), exp: expiresAt })).toString("base64url");
+  return { token: `${payload}.${sign(payload)}`, address: address.toLowerCase(), expiresAt };
+}
+
+/**
+ * The session behind a token, or null when it is malformed, forged or expired.
+ */
+export function readSession(token) {
+  const [payload, mac] = String(token || "").split(".");
+  if (!payload || !mac) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const given = Buffer.from(mac);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+
+  try {
+    const { sub, exp } = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    if (!sub || !exp || exp <= Math.floor(Date.now() / 1000)) return null;
+    return { address: sub, expiresAt: exp };
+  } catch {
+    return null;
+  }
+}
+
+function sessionFromHeader(req) {
+  const header = req.get("authorization") || "";
+  return header.startsWith("Bearer ") ? readSession(header.slice("Bearer ".length)) : null;
+}
+
+/**
+ * Express middleware: 401 unless the request carries a valid session;
+ * sets req.session = { address, expiresAt }.
+ */
+export function requireSession(req, res, next) {
+  const session = sessionFromHeader(req);
+  if (!session) {
+    return res.status(401).json({ success: false, error: "Sign in first", code: "UNAUTHENTICATED" });
+  }
+  req.session = session;
+  next();
+}
+
+/**
+ * Express middleware for public routes that show a signed-in wallet more
+ * (e.g. its private listings): sets req.session, or null, never rejects.
+ */
+export function optionalSession(req, res, next) {
+  req.session = sessionFromHeader(req);
+  next();
+}
+
+// True when `address` (any case) is the signed-in wallet
+export function isSessionAddress(req, address) {
+  return !!address && address.toLowerCase() === req.session?.address;
+}
@@ -0,0 +1,122 @@
+/**
+ * chain.js — shared ApeChain RPC provider (multi-RPC failover)
+ */
+
+import { ethers } from "ethers";
+import dotenv from "dotenv";
+dotenv.config();
+
+export const APECHAIN_ID = 33139;
+
+// -------------------- MULTI-RPC --------------------
+export const RPC_LIST = [
+  process.env.APECHAIN_RPC,
+  "https://rpc.apechain.com/http",
+  "https://apechain.drpc.org",
+  "https://33139.rpc.thirdweb.com",
+].filter(Boolean);
+
+let cachedProvider = null;
+
+/**
+ * Returns the first RPC from RPC_LIST that answers eth_blockNumber.
+ * The provider is cached; pass { fresh: true } to probe the list again
+ * after the cached one started failing.
+ */
+export async function getProvider({ fresh = false } = {}) {
+  if (cachedProvider && !fresh) return cachedProvider;
+  cachedProvider = null;
+
+  for (const rpc of RPC_LIST) {
+    try {
+      const p = new ethers.providers.JsonRpcProvider(rpc);
+      await p.getBlockNumber();
+      console.log("✅ RPC working:", rpc);
+      cachedProvider = p;
+      return p;
+    } catch (e) {
+      console.warn("❌ RPC failed:", rpc, e.message);
+    }
+  }
+
+  throw new Error("No RPC available");
+}
+
+// -------------------- ERC-20 --------------------
+const ERC20_METADATA_ABI = [
+  "function decimals() view returns (uint8)",
+  "function symbol() view returns (string)",
+];
+
+const decimalsCache = new Map();
+const symbolCache = new Map();
+
+/**
+ * Decimals of an ERC-20 payment token (18 for the native currency, i.e.
+ * a null/zero address). Cached per token for the life of the process.
+ */
+export async function getTokenDecimals(token) {
+  if (!token || token === ethers.constants.AddressZero) return 18;
+  const key = token.toLowerCase();
+  if (!decimalsCache.has(key)) {
+    const erc20 = new ethers.Contract(key, ERC20_METADATA_ABI, await getProvider());
+    decimalsCache.set(key, await erc20.decimals());
+  }
+  return decimalsCache.get(key);
+}
+
+/**
+ * Display info for a payment token: { address, symbol, decimals }, with
+ * address null and symbol APE for the native currency.
+ */
+export async function getTokenInfo(token) {
+  if (!token || token === ethers.constants.AddressZero) {
+    return { address: null, symbol: "APE", decimals: 18 };
+  }
+  const key = token.toLowerCase();
+  if (!symbolCache.has(key)) {
+    const erc20 = new ethers.Contract(key, ERC20_METADATA_ABI, await getProvider());
+    symbolCache.set(key, await erc20.symbol());
+  }
+  return { address: key, symbol: symbolCache.get(key), decimals: await getTokenDecimals(key) };
+}
+
+// -------------------- MULTICALL --------------------
+// Multicall3 has the same address on every chain it is deployed to
+const MULTICALL_ADDRESS = process.env.MULTICALL_ADDRESS || "0xcA11bde05977b3631167028862bE2a173976CA11";
+const MULTICALL_ABI = [
+  "function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) view returns (tuple(bool success, bytes returnData)[] returnData)",
+];
+
+/**
+ * Runs view calls through Multicall3 in chunks of `batchSize`. Each call is
+ * { target, iface, fn, args }; each result is { success, value } where
+ * `value` is the decoded return (the first output when there is only one).
+ * A reverting call yields success: false instead of failing the batch.
+ */
+export async function multicall(calls, { batchSize = 200 } = {}) {
+  const multi = new ethers.Contract(MULTICALL_ADDRESS, MULTICALL_ABI, await getProvider());
+  const results = [];
+
+  for (let i = 0; i < calls.length; i += batchSize) {
+    const chunk = calls.slice(i, i + batchSize);
+    const returned = await multi.aggregate3(
+      chunk.map((c) => ({
+        target: c.target,
+        allowFailure: true,
+        callData: c.iface.encodeFunctionData(c.fn, c.args),
+      }))
+    );
+
+    returned.forEach(({ success, returnData }, j) => {
+      if (!success) return results.push({ success: false, value: null });
+      try {
+        const decoded = chunk[j].iface.decodeFunctionResult(chunk[j].fn, returnData);
+        results.push({ success: true, value: decoded.length === 1 ? decoded[0] : decoded });
+      } catch {
+        results.push({ success: false, value: null });
+      }
+    });
+  }
+  return results;
+}
@@ -0,0 +1,78 @@
+/**
+ * collectionRepository.js — the only place that writes the `collections` table
+ *
+ * The registry of collections this deployment serves. Until the first row
+ * is added, the single NFT_CONTRACT_ADDRESS collection from the env is
+ * served instead, so older deployments keep working unchanged.
+ */
+
+import dotenv from "dotenv";
+import { supabase } from "./db.js";
+
+dotenv.config();
+
+export const COLLECTION_STANDARDS = ["erc721", "erc1155"];
+
+const CACHE_TTL_MS = 60_000;
+let cache = null;
+
+function envCollection() {
+  if (!process.env.NFT_CONTRACT_ADDRESS) return null;
+  return {
+    address: process.env.NFT_CONTRACT_ADDRESS.toLowerCase(),
+    slug: process.env.COLLECTION_SLUG || "default",
+    name: process.env.COLLECTION_NAME || "Collection",
+    standard: "erc721",
+    openseaSlug: process.env.OPENSEA_COLLECTION_SLUG || null,
+    royaltyRecipient: null,
+    royaltyBps: null,
+    totalSupply: process.env.COLLECTION_SUPPLY ? Number(process.env.COLLECTION_SUPPLY) : null,
+    deployBlock: process.env.FROM_BLOCK ? parseInt(process.env.FROM_BLOCK) : null,
+  };
+}
+
+// -------------------- READ --------------------
+/**
+ * Every registered collection, oldest first (the first one is the default
+ * for the unscoped /api routes). Cached for a minute.
+ */
+export async function listCollections({ fresh = false } = {}) {
+  if (!fresh && cache && Date.now() - cache.at < CACHE_TTL_MS) return cache.value;
+
+  const { data, error } = await supabase.from("collections").select("*").order("createdAt");
+  if (error) throw error;
+
+  const fallback = envCollection();
+  const value = data.length ? data : fallback ? [fallback] : [];
+  cache = { value, at: Date.now() };
+  return value;
+}
+
+/**
+ * The collection with this slug or contract address (any case), or null.
+ */
+export async function findCollection(slugOrAddress) {
+  if (!slugOrAddress) return null;
+  const key = String(slugOrAddress).toLowerCase();
+  const collections = await listCollections();
+  return collections.find((c) => c.address === key || c.slug === key) ?? null;
+}
+
+export async function getDefaultCollection() {
+  return (await listCollections())[0] ?? null;
+}
+
+// -------------------- WRITE --------------------
+/**
+ * Adds a collection or updates the one with the same address.
+ */
+export async function saveCollection(collection) {
+  const { data, error } = await supabase
+    .from("collections")
+    .upsert({ ...collection, address: collection.address.toLowerCase() }, { onConflict: "address" })
+    .select()
+    .single();
+  if (error) throw error;
+  cache = null;
+  return data;
+}
@@ -0,0 +1,86 @@
+/**
+ * collectionStats.js — floor, listed count and sales volume for GET /api/stats
+ *
+ * volume / sales / averagePrice are the native-currency (APE) figures;
+ * byToken repeats them for every payment token sales were made in
+ * (paymentToken null = native), since ERC-20 prices do not add up with APE.
+ */
+
+import { ethers } from "ethers";
+import { supabase } from "./db.js";
+import { getProvider } from "./chain.js";
+
+const STATS_TTL_MS = 30_000;
+const SUPPLY_TTL_MS = 10 * 60_000;
+
+const statsCache = new Map();
+const supplyCache = new Map();
+
+// totalSupply() from the contract (ERC721Enumerable), else the registry's totalSupply.
+// ERC-1155 supply is per id, so those collections only have the registry value.
+async function getTotalSupply(collection) {
+  const key = collection.address;
+  const cached = supplyCache.get(key);
+  if (cached && Date.now() - cached.at < SUPPLY_TTL_MS) return cached.value;
+
+  let value = collection.totalSupply ?? null;
+  if (collection.standard !== "erc1155") {
+    try {
+      const nft = new ethers.Contract(key, ["function totalSupply() view returns (uint256)"], await getProvider());
+      value = (await nft.totalSupply()).toNumber();
+    } catch (e) {
+      console.warn("⚠️ totalSupply() unavailable:", e.message);
+    }
+  }
+
+  supplyCache.set(key, { value, at: Date.now() });
+  return value;
+}
+
+const toNumber = (v) => (v === null || v === undefined ? null : Number(v));
+
+function salesFigures(row) {
+  return {
+    volume: {
+      "24h": Number(row.volume24h),
+      "7d": Number(row.volume7d),
+      all: Number(row.volumeAll),
+    },
+    sales: {
+      "24h": Number(row.sales24h),
+      "7d": Number(row.sales7d),
+      all: Number(row.salesAll),
+    },
+    averagePrice: toNumber(row.averagePrice),
+  };
+}
+
+/**
+ * Stats of a registered collection (a collectionRepository row).
+ */
+export async function getCollectionStats(collection) {
+  const key = collection.address;
+  const cached = statsCache.get(key);
+  if (cached && Date.now() - cached.at < STATS_TTL_MS) return cached.value;
+
+  const [{ data, error }, totalSupply] = await Promise.all([
+    supabase.rpc("collection_stats", { p_nft_contract: key }),
+    getTotalSupply(collection),
+  ]);
+  if (error) throw error;
+
+  const listedCount = Number(data.listedCount);
+  const value = {
+    floorPrice: toNumber(data.floorPrice),
+    listedCount,
+    totalSupply,
+    percentListed: totalSupply ? Number(((listedCount / totalSupply) * 100).toFixed(2)) : null,
+    ...salesFigures(data),
+    currency: "APE",
+    byToken: data.byToken.map((t) => ({ paymentToken: t.paymentToken, ...salesFigures(t) })),
+    updatedAt: new Date().toISOString(),
+  };
+
+  statsCache.set(key, { value, at: Date.now() });
+  return value;
+}
@@ -0,0 +1,113 @@
+/**
+ * computeRarity.js — trait frequencies and rarity rank for every indexed token
+ *
+ * Score = Σ over trait types of N / (tokens sharing that value), where a
+ * token without a trait type counts as having the value "None". Rank 1 is
+ * the rarest; equal scores share a rank. Runs for every registered
+ * collection; run after indexTokens.js.
+ */
+
+import dotenv from "dotenv";
+import { supabase } from "./db.js";
+import { listCollections } from "./collectionRepository.js";
+dotenv.config();
+
+const PAGE = 1000;
+const BATCH = 500;
+
+if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+  console.error("❌ Missing env variables");
+  process.exit(1);
+}
+
+async function loadTokens(nftContract) {
+  const tokens = [];
+  for (let from = 0; ; from += PAGE) {
+    const { data, error } = await supabase
+      .from("tokens")
+      .select("tokenId, attributes")
+      .eq("nftContract", nftContract)
+      .order("tokenId")
+      .range(from, from + PAGE - 1);
+    if (error) throw error;
+    tokens.push(...data);
+    if (data.length < PAGE) return tokens;
+  }
+}
+
+function computeRarity(tokens) {
+  const types = new Set();
+  for (const t of tokens) for (const a of t.attributes) types.add(a.trait_type);
+
+  const valueOf = (t, type) => t.attributes.find((a) => a.trait_type === type)?.value ?? "None";
+
+  const counts = new Map(); // type → value → count
+  for (const type of types) counts.set(type, new Map());
+  for (const t of tokens) {
+    for (const type of types) {
+      const byValue = counts.get(type);
+      const v = valueOf(t, type);
+      byValue.set(v, (byValue.get(v) || 0) + 1);
+    }
+  }
+
+  const n = tokens.length;
+  const scored = tokens.map((t) => {
+    let score = 0;
+    for (const type of types) score += n / counts.get(type).get(valueOf(t, type));
+    return { tokenId: t.tokenId, rarityScore: Number(score.toFixed(4)) };
+  });
+
+  scored.sort((a, b) => b.rarityScore - a.rarityScore);
+  scored.forEach((s, i) => {
+    const prev = scored[i - 1];
+    s.rarityRank = prev && prev.rarityScore === s.rarityScore ? prev.rarityRank : i + 1;
+  });
+
+  return { scored, counts };
+}
+
+async function rankCollection(nftContract) {
+  console.log(`🚀 Rarity calculation started... NFT: ${nftContract}`);
+  const tokens = await loadTokens(nftContract);
+  if (tokens.length === 0) {
+    console.log("⛔ No indexed tokens — run indexTokens.js first.");
+    return;
+  }
+
+  const { scored, counts } = computeRarity(tokens);
+
+  for (let i = 0; i < scored.length; i += BATCH) {
+    const rows = scored.slice(i, i + BATCH).map((s) => ({ nftContract, ...s }));
+    const { error } = await supabase.from("tokens").upsert(rows, { onConflict: "nftContract,tokenId" });
+    if (error) throw error;
+  }
+
+  const traitRows = [];
+  for (const [traitType, byValue] of counts) {
+    for (const [value, count] of byValue) {
+      // "None" only exists for scoring; it is not a filterable trait value
+      if (value === "None") continue;
+      traitRows.push({ nftContract, traitType, value, count });
+    }
+  }
+  const { error: delError } = await supabase.from("trait_counts").delete().eq("nftContract", nftContract);
+  if (delError) throw delError;
+  for (let i = 0; i < traitRows.length; i += BATCH) {
+    const { error } = await supabase.from("trait_counts").insert(traitRows.slice(i, i + BATCH));
+    if (error) throw error;
+  }
+
+  console.log(`🎉 Ranked ${scored.length} tokens across ${counts.size} trait types (${traitRows.length} values)`);
+}
+
+async function main() {
+  for (const collection of await listCollections()) {
+    await rankCollection(collection.address);
+  }
+}
+
+main().catch((err) => {
+  console.error("💀 Fatal:", err);
+  process.exit(1);
+});
@@ -0,0 +1,2 @@
+// In-process Hardhat network for the test suite (npm test); the app itself talks to APECHAIN_RPC (chain.js)
+module.exports = {};
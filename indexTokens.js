@@ -0,0 +1,110 @@
+/**
+ * indexTokens.js — fills the `tokens` metadata cache for every registered collection
+ *
+ * node indexTokens.js            → only tokens missing from the cache
+ * node indexTokens.js --refresh  → re-read every tokenURI
+ *
+ * ERC-721 ids come from totalSupply / tokenByIndex. ERC-1155 has no supply
+ * to enumerate, so those collections index the ids they have listings for
+ * and the ids already in the cache.
+ */
+
+import { ethers } from "ethers";
+import dotenv from "dotenv";
+import { getProvider } from "./chain.js";
+import { fetchTokenMetadata, saveToken, getCachedTokens, getCachedTokenIds } from "./tokenMetadata.js";
+import { findListedTokenIds } from "./orderRepository.js";
+import { listCollections } from "./collectionRepository.js";
+dotenv.config();
+
+const TOKEN_ID_START = process.env.TOKEN_ID_START ? parseInt(process.env.TOKEN_ID_START) : 0;
+const CONCURRENCY = 5;
+const REFRESH = process.argv.includes("--refresh");
+
+if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+  console.error("❌ Missing env variables");
+  process.exit(1);
+}
+
+const ENUMERABLE_ABI = [
+  "function totalSupply() view returns (uint256)",
+  "function tokenByIndex(uint256 index) view returns (uint256)",
+];
+
+// tokenByIndex when the contract is Enumerable, else sequential ids from TOKEN_ID_START
+async function listTokenIds(nft) {
+  const supply = (await nft.totalSupply()).toNumber();
+  try {
+    await nft.tokenByIndex(0);
+  } catch {
+    console.log(`ℹ️ No tokenByIndex, assuming ids ${TOKEN_ID_START}..${TOKEN_ID_START + supply - 1}`);
+    return Array.from({ length: supply }, (_, i) => String(TOKEN_ID_START + i));
+  }
+
+  const ids = [];
+  for (let i = 0; i < supply; i++) {
+    ids.push((await nft.tokenByIndex(i)).toString());
+  }
+  return ids;
+}
+
+// Listed or already cached ids, for collections without a supply to enumerate
+async function knownTokenIds(nftContract) {
+  const [listed, cached] = await Promise.all([findListedTokenIds(nftContract), getCachedTokenIds(nftContract)]);
+  return [...new Set([...listed, ...cached])];
+}
+
+// Resolves to the number of tokens that failed
+async function indexCollection({ address: nftContract, standard }) {
+  console.log(`🚀 Token metadata index started... NFT: ${nftContract} (${standard})`);
+
+  let ids;
+  if (standard === "erc1155") {
+    ids = await knownTokenIds(nftContract);
+  } else {
+    ids = await listTokenIds(new ethers.Contract(nftContract, ENUMERABLE_ABI, await getProvider()));
+  }
+  if (!REFRESH) {
+    const cached = new Set();
+    for (let i = 0; i < ids.length; i += 500) {
+      const rows = await getCachedTokens(nftContract, ids.slice(i, i + 500));
+      rows.forEach((r) => cached.add(r.tokenId));
+    }
+    ids = ids.filter((id) => !cached.has(id));
+  }
+  console.log(`🔎 ${ids.length} token(s) to index`);
+
+  let saved = 0;
+  let failed = 0;
+  let next = 0;
+  async function worker() {
+    while (next < ids.length) {
+      const id = ids[next++];
+      try {
+        await saveToken(await fetchTokenMetadata(nftContract, id));
+        saved++;
+        if (saved % 100 === 0) console.log(`✅ ${saved}/${ids.length}`);
+      } catch (e) {
+        failed++;
+        console.warn(`⚠️ #${id}:`, e.message);
+      }
+    }
+  }
+  await Promise.all(Array.from({ length: CONCURRENCY }, worker));
+
+  console.log(`🎉 Index finished! ✅ ${saved} ❌ ${failed}`);
+  return failed;
+}
+
+async function main() {
+  let failed = 0;
+  for (const collection of await listCollections()) {
+    failed += await indexCollection(collection);
+  }
+  if (failed) process.exit(1);
+}
+
+main().catch((err) => {
+  console.error("💀 Fatal:", err);
+  process.exit(1);
+});
@@ -4,7 +4,6 @@ import { Seaport } from "@opensea/seaport-js";
 
 // ---------------- ENV ----------------
 const BACKEND_URL = import.meta.env.VITE_BACKEND_URL;
-const NFT_CONTRACT_ADDRESS = import.meta.env.VITE_NFT_CONTRACT;
 const SEAPORT_CONTRACT_ADDRESS = import.meta.env.VITE_SEAPORT_CONTRACT;
 
 // ApeChain
@@ -16,8 +15,21 @@ let provider = null;
 let signer = null;
 let seaport = null;
 let userAddress = null;
+let authToken = null; // SIWE session from POST /api/auth/verify
+
+// Registry from GET /api/collections; the picker switches currentCollection
+let collections = [];
+let currentCollection = null;
+
+// Currencies and fees from GET /api/config
+let marketConfig = {
+  paymentTokens: [{ address: null, symbol: "APE", decimals: 18 }],
+  offerTokens: [],
+  marketplaceFee: null
+};
 
 let currentPage = 1;
+let totalPages = 1;
 const PAGE_SIZE = 12;
 
 // ---------------- UI Elements ----------------
@@ -29,6 +41,44 @@ const noticeDiv = document.getElementById("notice");
 const pageIndicator = document.getElementById("pageIndicator");
 const prevBtn = document.getElementById("prevBtn");
 const nextBtn = document.getElementById("nextBtn");
+const marketTab = document.getElementById("marketTab");
+const activityTab = document.getElementById("activityTab");
+const inventoryTab = document.getElementById("inventoryTab");
+const inventorySection = document.getElementById("inventorySection");
+const inventoryDiv = document.getElementById("inventory");
+const cancelAllBtn = document.getElementById("cancelAllBtn");
+const marketSection = document.getElementById("marketSection");
+const activitySection = document.getElementById("activitySection");
+const activityTitle = document.getElementById("activityTitle");
+const activityType = document.getElementById("activityType");
+const activityMine = document.getElementById("activityMine");
+const activityResetBtn = document.getElementById("activityResetBtn");
+const activityList = document.getElementById("activityList");
+const statsBar = document.getElementById("statsBar");
+const traitSidebar = document.getElementById("traitSidebar");
+const sortSelect = document.getElementById("sortSelect");
+const collectionOfferBtn = document.getElementById("collectionOfferBtn");
+const cartSummary = document.getElementById("cartSummary");
+const cartBuyBtn = document.getElementById("cartBuyBtn");
+const cartClearBtn = document.getElementById("cartClearBtn");
+const sweepCount = document.getElementById("sweepCount");
+const sweepBtn = document.getElementById("sweepBtn");
+const collectionSelect = document.getElementById("collectionSelect");
+const auctionsDiv = document.getElementById("auctions");
+const auctionsHead = document.getElementById("auctionsHead");
+
+// { [traitType]: Set(values) } — checked boxes in the trait sidebar
+const selectedTraits = {};
+
+// orderHash → order row; bought together in one Seaport transaction
+const cart = new Map();
+const MAX_CART = 20;
+
+let activityTokenId = null;
+
+// ?order=<orderHash>: a listing shared by direct link (how a private listing reaches its buyer)
+const sharedOrderHash = new URLSearchParams(window.location.search).get("order");
+let sharedOrder = null;
 
 // ---------------- Utils ----------------
 function notify(msg, timeout = 3500) {
@@ -40,28 +90,252 @@ function notify(msg, timeout = 3500) {
   }
 }
 
-function parseOrderPrice(o) {
+// Metadata comes from the token contract, so never trust it as HTML
+function escapeHtml(v) {
+  return String(v ?? "").replace(/[&<>"']/g, (c) => ({
+    "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;"
+  })[c]);
+}
+
+function shortAddr(a) {
+  return a ? a.slice(0, 6) + "..." + a.slice(-4) : "—";
+}
+
+function getRawOrder(o) {
+  return (
+    o.seaportOrder ||
+    o.seaportorder ||
+    o.seaport_order ||
+    (o.seaportOrderJSON ? JSON.parse(o.seaportOrderJSON) : null)
+  );
+}
+
+// { address, symbol, decimals } of a payment token (null = native APE)
+function tokenInfo(address) {
+  if (!address || address === ethers.constants.AddressZero) return marketConfig.paymentTokens[0];
+  const a = address.toLowerCase();
+  return (
+    [...marketConfig.paymentTokens, ...marketConfig.offerTokens].find((t) => t.address === a) ||
+    { address: a, symbol: shortAddr(a), decimals: 18 }
+  );
+}
+
+function formatPrice(amount, paymentToken) {
+  return `${amount ?? "—"} ${tokenInfo(paymentToken).symbol}`;
+}
+
+// Seaport's amount of a consideration item at `now` (unix seconds): linear from startAmount to endAmount, rounded up
+// (same as amountAt() in seaportOrders.js)
+function currentAmount(item, { startTime, endTime }, now) {
+  const end = ethers.BigNumber.from(item.endAmount ?? item.startAmount ?? item.amount ?? 0);
+  const start = ethers.BigNumber.from(item.startAmount ?? end);
+  if (start.eq(end) || startTime === undefined || endTime === undefined) return end;
+
+  const duration = ethers.BigNumber.from(endTime).sub(startTime);
+  let elapsed = ethers.BigNumber.from(Math.floor(now)).sub(startTime);
+  if (elapsed.lt(0)) elapsed = ethers.BigNumber.from(0);
+  if (elapsed.gt(duration)) elapsed = duration;
+
+  const total = start.mul(duration.sub(elapsed)).add(end.mul(elapsed));
+  return total.isZero() ? total : total.sub(1).div(duration).add(1);
+}
+
+// Price of one unit at `now`: every consideration item (seller + fees), in the first item's currency, over the units offered.
+// Dutch auctions fall from startAmount to endAmount over the order's lifetime.
+function parseOrderPrice(o, now = Date.now() / 1000) {
   try {
-    const so =
-      o.seaportOrder ||
-      o.seaportorder ||
-      o.seaport_order ||
-      (o.seaportOrderJSON ? JSON.parse(o.seaportOrderJSON) : null);
+    const so = getRawOrder(o);
 
     const params = so?.parameters || so?.order || so;
-    const cons = params?.consideration;
+    const cons = params?.consideration?.filter((c) => c !== reservedItem(params));
 
     if (cons?.length > 0) {
-      let amount = cons[0].endAmount ?? cons[0].startAmount ?? cons[0].amount;
-      if (amount) {
-        amount = amount.toString();
-        return ethers.utils.formatEther(amount);
-      }
+      const total = cons.reduce(
+        (sum, c) => sum.add(currentAmount(c, params, now)),
+        ethers.BigNumber.from(0)
+      );
+      const units = params.offer?.[0]?.endAmount ?? 1;
+      const token = Number(cons[0].itemType) === 1 ? cons[0].token : null;
+      return ethers.utils.formatUnits(total.div(units), tokenInfo(token).decimals);
     }
   } catch {}
   return null;
 }
 
+// Private listing: the consideration also sends the listed NFT to its one allowed buyer (orders.taker)
+function reservedItem(params) {
+  return params?.consideration?.find((c) => [2, 3].includes(Number(c.itemType))) ?? null;
+}
+
+function shareLink(orderHash) {
+  return `${window.location.origin}${window.location.pathname}?order=${orderHash}`;
+}
+
+// Dutch auction listings carry the per-unit start price (orders.startPrice)
+function isDutch(o) {
+  return o.startPrice != null;
+}
+
+// What one unit costs right now (orders.price is a Dutch auction's final price)
+function currentPrice(o) {
+  return isDutch(o) ? parseOrderPrice(o) : o.price ?? parseOrderPrice(o);
+}
+
+// "2g 03:15:07" until `endTime`
+function formatCountdown(endTime) {
+  const left = Math.max(0, Math.floor((new Date(endTime).getTime() - Date.now()) / 1000));
+  if (left === 0) return "Bitdi";
+  const days = Math.floor(left / 86400);
+  const hms = [Math.floor(left / 3600) % 24, Math.floor(left / 60) % 60, left % 60]
+    .map((n) => String(n).padStart(2, "0"))
+    .join(":");
+  return days ? `${days}g ${hms}` : hms;
+}
+
+// Dutch auction price elements → their order; re-priced every second with the countdowns
+const livePrices = new Map();
+
+setInterval(() => {
+  for (const el of document.querySelectorAll("[data-ends]")) {
+    el.textContent = `⏳ ${formatCountdown(el.dataset.ends)}`;
+  }
+  for (const [el, o] of livePrices) {
+    if (!el.isConnected) {
+      livePrices.delete(el);
+      continue;
+    }
+    el.textContent = `Qiymət: ${formatPrice(currentPrice(o), o.paymentToken)}${Number(o.quantity) > 1 ? " / ədəd" : ""}`;
+  }
+}, 1000);
+
+// ---------------- Collections ----------------
+// /api/collections/:slug/... for the picked collection
+function collectionApi(path) {
+  return `${BACKEND_URL}/api/collections/${currentCollection.slug}${path}`;
+}
+
+function tokenLabel(tokenId) {
+  return `${currentCollection?.name ?? "NFT"} #${tokenId}`;
+}
+
+// ERC-1155 collections trade units of a token, ERC-721 ones single tokens
+function isErc1155(collection = currentCollection) {
+  return collection?.standard === "erc1155";
+}
+
+// Units of a listing still for sale (orders_view.remainingQuantity)
+function unitsLeft(o) {
+  return Number(o.remainingQuantity ?? o.quantity ?? 1);
+}
+
+async function loadCollections() {
+  try {
+    const res = await fetch(`${BACKEND_URL}/api/collections`);
+    const data = await res.json();
+    if (!res.ok || !data.success) return;
+    collections = data.collections;
+  } catch (err) {
+    console.error(err);
+  }
+
+  const saved = localStorage.getItem("collection");
+  currentCollection = collections.find((c) => c.slug === saved) || collections[0] || null;
+  collectionSelect.innerHTML = collections
+    .map((c) => `<option value="${escapeHtml(c.slug)}">${escapeHtml(c.name)}</option>`)
+    .join("");
+  if (currentCollection) collectionSelect.value = currentCollection.slug;
+  collectionSelect.style.display = collections.length > 1 ? "inline-block" : "none";
+}
+
+// Every collection-scoped view waits for the registry
+const collectionsReady = loadCollections();
+
+collectionSelect.onchange = () => {
+  currentCollection = collections.find((c) => c.slug === collectionSelect.value) || currentCollection;
+  localStorage.setItem("collection", currentCollection.slug);
+
+  for (const type of Object.keys(selectedTraits)) delete selectedTraits[type];
+  activityTokenId = null;
+  currentPage = 1;
+
+  loadTraits();
+  loadStats();
+  if (signer) {
+    loadOrders(currentPage);
+    loadAuctions();
+    connectLiveUpdates();
+  }
+  if (activitySection.style.display === "block") loadActivity();
+  if (inventorySection.style.display === "block") loadInventory();
+};
+
+// ---------------- Sign-In with Ethereum ----------------
+// EIP-4361 text; same layout as buildSiweMessage() in auth.js
+function siweMessage({ address, nonce, issuedAt }) {
+  return [
+    `${window.location.host} wants you to sign in with your Ethereum account:`,
+    address,
+    "",
+    "Kamoaz marketplace-ə daxil olun.",
+    "",
+    `URI: ${window.location.origin}`,
+    "Version: 1",
+    `Chain ID: ${APECHAIN_ID}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`
+  ].join("\n");
+}
+
+// Reuses this tab's session for the wallet while it is valid, otherwise asks for a signature
+async function signIn() {
+  const key = `siwe:${userAddress}`;
+  const saved = JSON.parse(sessionStorage.getItem(key) || "null");
+  if (saved && saved.expiresAt > Date.now() / 1000 + 60) {
+    authToken = saved.token;
+    return;
+  }
+
+  const { nonce } = await (await fetch(`${BACKEND_URL}/api/auth/nonce`)).json();
+  const message = siweMessage({
+    address: await signer.getAddress(), // EIP-55 checksum, as EIP-4361 requires
+    nonce,
+    issuedAt: new Date().toISOString()
+  });
+  const signature = await signer.signMessage(message);
+
+  const res = await fetch(`${BACKEND_URL}/api/auth/verify`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ message, signature })
+  });
+  const j = await res.json();
+  if (!j.success) throw new Error(j.error);
+
+  authToken = j.token;
+  sessionStorage.setItem(key, JSON.stringify({ token: j.token, expiresAt: j.expiresAt }));
+}
+
+// POST to a write route with the session; returns the parsed JSON body
+async function postWithSession(path, body) {
+  const res = await fetch(`${BACKEND_URL}${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Authorization: `Bearer ${authToken}` },
+    body: JSON.stringify(body)
+  });
+  const j = await res.json();
+  // Expired or signed with another secret: drop it so the next connect signs in again
+  if (res.status === 401) {
+    sessionStorage.removeItem(`siwe:${userAddress}`);
+    authToken = null;
+  }
+  return j;
+}
+
+// Read routes show a signed-in wallet its private listings too
+function authHeaders() {
+  return authToken ? { Authorization: `Bearer ${authToken}` } : {};
+}
+
 // ---------------- Wallet Connect ----------------
 async function connectWallet() {
   try {
@@ -91,11 +365,22 @@ async function connectWallet() {
 
     seaport = new Seaport(signer, { contractAddress: SEAPORT_CONTRACT_ADDRESS });
 
+    try {
+      await signIn();
+    } catch (e) {
+      console.error(e);
+      notify("Giriş imzalanmadı — listing, təklif və ləğv işləməyəcək.");
+    }
+
     connectBtn.style.display = "none";
     disconnectBtn.style.display = "inline-block";
-    addrSpan.textContent = userAddress.slice(0, 6) + "..." + userAddress.slice(-4);
+    addrSpan.textContent = shortAddr(userAddress);
+    inventoryTab.style.display = "inline-block";
 
+    await loadSharedOrder();
     loadOrders(currentPage);
+    loadAuctions();
+    connectLiveUpdates();
   } catch (err) {
     console.error(err);
     alert("Wallet connect xətası!");
@@ -104,12 +389,20 @@ async function connectWallet() {
 
 // disconnect
 disconnectBtn.onclick = () => {
-  provider = signer = seaport = userAddress = null;
+  if (userAddress) sessionStorage.removeItem(`siwe:${userAddress}`);
+  provider = signer = seaport = userAddress = authToken = null;
+  eventSource?.close();
+  eventSource = null;
 
   connectBtn.style.display = "inline-block";
   disconnectBtn.style.display = "none";
   addrSpan.textContent = "";
   marketplaceDiv.innerHTML = "";
+  auctionsDiv.innerHTML = "";
+  auctionsHead.style.display = "none";
+  inventoryDiv.innerHTML = "";
+  inventoryTab.style.display = "none";
+  showTab("market");
 
   notify("Cüzdan ayırıldı", 2000);
 };
@@ -124,17 +417,155 @@ prevBtn.onclick = () => {
   }
 };
 nextBtn.onclick = () => {
-  currentPage++;
-  loadOrders(currentPage);
+  if (currentPage < totalPages) {
+    currentPage++;
+    loadOrders(currentPage);
+  }
 };
 
+function updatePagination() {
+  pageIndicator.textContent = `${currentPage} / ${totalPages}`;
+  prevBtn.disabled = currentPage <= 1;
+  nextBtn.disabled = currentPage >= totalPages;
+}
+
 // ---------------- Load Marketplace Orders ----------------
+// Grid card of a listing with its actions wired up
+function renderOrderCard(o) {
+  const tokenId = o.tokenId;
+  const dutch = isDutch(o);
+  const price = currentPrice(o);
+  const image =
+    o.image ??
+    o?.metadata?.image ??
+    "https://ipfs.io/ipfs/QmExampleNFTImage/default.png";
+
+  const name = escapeHtml(o.metadata?.name ?? tokenLabel(tokenId));
+  const isMine = !!userAddress && o.seller === userAddress;
+
+  // validation is null when the backend could not reach the chain: treat as fillable
+  const invalid = o.validation && !o.validation.fillable;
+
+  const card = document.createElement("div");
+  card.className = invalid ? "nft-card invalid" : "nft-card";
+  card.dataset.hash = o.orderHash;
+  if (o.orderHash === sharedOrder?.orderHash) card.classList.add("shared");
+
+  card.innerHTML = `
+    <img src="${escapeHtml(image)}" alt="${name}"
+      onerror="this.src='https://ipfs.io/ipfs/QmExampleNFTImage/default.png'">
+
+    <h4>${name}</h4>
+    ${invalid ? `<p class="invalid-reason">⚠️ ${reasonText(o.validation.reason)}</p>` : ""}
+    ${o.rarityRank ? `<p class="rank">Nadirlik: #${o.rarityRank}</p>` : ""}
+    <p class="price">Qiymət: ${formatPrice(price, o.paymentToken)}${Number(o.quantity) > 1 ? " / ədəd" : ""}</p>
+    ${dutch ? `<p class="units">Hollandiya auksionu: ${formatPrice(o.startPrice, o.paymentToken)} → ${formatPrice(o.price, o.paymentToken)}</p>
+               <p class="countdown" data-ends="${escapeHtml(o.endTime)}">⏳ ${formatCountdown(o.endTime)}</p>` : ""}
+    ${Number(o.quantity) > 1 ? `<p class="units">Qalıb: ${unitsLeft(o)} / ${o.quantity} ədəd</p>` : ""}
+    ${o.taker ? `<p class="private">🔒 Şəxsi satış: ${o.taker === userAddress ? "sənin üçün" : shortAddr(o.taker)}</p>` : ""}
+    ${bestOfferLine(o.bestOffer)}
+
+    <div class="nft-actions">
+      ${isMine
+        ? `<button class="wallet-btn edit-btn">Qiyməti dəyiş</button>
+           <button class="wallet-btn cancel-btn" style="background:#333;">Ləğv et</button>`
+        : `<button class="wallet-btn buy-btn" data-id="${o.id}">Buy</button>
+           <button class="wallet-btn offer-btn">Təklif ver</button>`}
+    </div>
+    ${isMine && o.bestOffer ? `<button class="wallet-btn accept-btn" style="margin-top:8px;">Ən yaxşı təklifi qəbul et</button>` : ""}
+    <div class="nft-actions">
+      <button class="page-btn history-btn" style="color:#fff;">Tarixçə</button>
+      <button class="page-btn offers-btn" style="color:#fff;">Təkliflər</button>
+      ${isMine && o.taker ? `<button class="page-btn link-btn" style="color:#fff;">🔗 Link</button>` : ""}
+      ${isMine || o.taker ? "" : `<button class="page-btn cart-btn" style="color:#fff;">${cart.has(o.orderHash) ? "Səbətdən çıxar" : "🛒 Səbətə"}</button>`}
+    </div>
+    <div class="offer-list"></div>
+  `;
+
+  if (dutch) livePrices.set(card.querySelector(".price"), o);
+
+  card.querySelector(".history-btn").onclick = () => showTokenHistory(tokenId);
+  card.querySelector(".offers-btn").onclick = () =>
+    toggleTokenOffers(card.querySelector(".offer-list"), tokenId, isMine);
+
+  if (isMine) {
+    const linkBtn = card.querySelector(".link-btn");
+    if (linkBtn) linkBtn.onclick = () => shareOrderLink(o.orderHash);
+    const acceptBtn = card.querySelector(".accept-btn");
+    if (acceptBtn) {
+      acceptBtn.onclick = async (ev) => {
+        ev.target.disabled = true;
+        if (await acceptOffer(o.bestOffer, tokenId).catch((err) => alert("Xəta: " + err.message))) {
+          loadOrders(currentPage);
+        }
+        ev.target.disabled = false;
+      };
+    }
+    card.querySelector(".edit-btn").onclick = async (ev) => {
+      ev.target.disabled = true;
+      await editListingPrice(o).catch((err) => alert("Xəta: " + err.message));
+      ev.target.disabled = false;
+    };
+    card.querySelector(".cancel-btn").onclick = async (ev) => {
+      ev.target.disabled = true;
+      if (await cancelListing(o).catch((err) => alert("Xəta: " + err.message))) {
+        loadOrders(currentPage);
+      }
+      ev.target.disabled = false;
+    };
+    return card;
+  }
+
+  // Private listings are bought one at a time (matchOrders), never through the cart
+  const cartBtn = card.querySelector(".cart-btn");
+  if (invalid) {
+    card.querySelector(".buy-btn").disabled = true;
+    if (cartBtn) cartBtn.disabled = true;
+  }
+
+  // Buy
+  card.querySelector(".buy-btn").onclick = async (ev) => {
+    ev.target.disabled = true;
+    await buyNFT(o).catch(console.error);
+    ev.target.disabled = false;
+  };
+
+  if (cartBtn) {
+    cartBtn.onclick = (ev) => {
+      toggleCart(o);
+      ev.target.textContent = cart.has(o.orderHash) ? "Səbətdən çıxar" : "🛒 Səbətə";
+    };
+  }
+
+  // Offer
+  card.querySelector(".offer-btn").onclick = async (ev) => {
+    ev.target.disabled = true;
+    await makeOffer(tokenId).catch((err) => alert("Xəta: " + err.message));
+    ev.target.disabled = false;
+  };
+  return card;
+}
+
+// Checked sidebar traits as the API's `traits` JSON, or null when none are checked
+function traitFilterParam() {
+  const traits = Object.fromEntries(
+    Object.entries(selectedTraits)
+      .filter(([, values]) => values.size)
+      .map(([type, values]) => [type, [...values]])
+  );
+  return Object.keys(traits).length ? JSON.stringify(traits) : null;
+}
+
 async function loadOrders(page = 1) {
   try {
-    pageIndicator.textContent = page;
+    await Promise.all([configReady, collectionsReady]);
     marketplaceDiv.innerHTML = "<p style='opacity:.7'>Yüklənir...</p>";
 
-    const res = await fetch(`${BACKEND_URL}/api/orders?page=${page}&limit=${PAGE_SIZE}`);
+    const params = new URLSearchParams({ page, limit: PAGE_SIZE, sort: sortSelect.value });
+    const traits = traitFilterParam();
+    if (traits) params.set("traits", traits);
+
+    const res = await fetch(collectionApi(`/orders?${params}`), { headers: authHeaders() });
     const data = await res.json();
 
     if (!res.ok || !data.success) {
@@ -142,7 +573,19 @@ async function loadOrders(page = 1) {
       return;
     }
 
-    const orders = data.orders || [];
+    totalPages = data.totalPages || 1;
+    if (data.total > 0 && page > totalPages) {
+      currentPage = totalPages;
+      return loadOrders(currentPage);
+    }
+    currentPage = page;
+    updatePagination();
+
+    let orders = data.orders || [];
+    // The listing opened by direct link leads the first page
+    if (page === 1 && sharedOrder?.nftContract === currentCollection.address) {
+      orders = [sharedOrder, ...orders.filter((o) => o.orderHash !== sharedOrder.orderHash)];
+    }
     if (orders.length === 0) {
       marketplaceDiv.innerHTML = "<p>Bu səhifədə NFT yoxdur.</p>";
       return;
@@ -150,90 +593,261 @@ async function loadOrders(page = 1) {
 
     marketplaceDiv.innerHTML = "";
 
-    for (const o of orders) {
-      const tokenId = o.tokenId;
-      const price = o.price ?? parseOrderPrice(o);
-      const image =
-        o.image ??
-        o?.metadata?.image ??
-        "https://ipfs.io/ipfs/QmExampleNFTImage/default.png";
+    for (const o of orders) marketplaceDiv.appendChild(renderOrderCard(o));
+  } catch (err) {
+    console.error(err);
+    marketplaceDiv.innerHTML = "<p>Xəta baş verdi.</p>";
+  }
+}
 
-      const card = document.createElement("div");
-      card.className = "nft-card";
+// ---------------- Trait Filters ----------------
+async function loadTraits() {
+  try {
+    await collectionsReady;
+    const res = await fetch(collectionApi("/traits"));
+    const data = await res.json();
+    if (!res.ok || !data.success) return;
 
-      card.innerHTML = `
-        <img src="${image}" alt="NFT image"
-          onerror="this.src='https://ipfs.io/ipfs/QmExampleNFTImage/default.png'">
+    traitSidebar.innerHTML = "";
+    for (const [type, values] of Object.entries(data.traits)) {
+      const group = document.createElement("details");
+      group.className = "trait-group";
+      group.innerHTML = `<summary>${escapeHtml(type)}</summary>`;
 
-        <h4>Bear #${tokenId}</h4>
-        <p class="price">Qiymət: ${price} APE</p>
+      for (const { value, count } of values) {
+        const label = document.createElement("label");
+        label.innerHTML = `<div><input type="checkbox"> ${escapeHtml(value)}</div><span>${count}</span>`;
+        label.querySelector("input").onchange = (ev) => {
+          const set = (selectedTraits[type] ||= new Set());
+          if (ev.target.checked) set.add(value);
+          else set.delete(value);
+          currentPage = 1;
+          loadOrders(currentPage);
+        };
+        group.appendChild(label);
+      }
+      traitSidebar.appendChild(group);
+    }
+  } catch (err) {
+    console.error(err);
+  }
+}
 
-        <div class="nft-actions">
-          <button class="wallet-btn buy-btn" data-id="${o.id}">Buy</button>
-          <button class="wallet-btn list-btn" data-token="${tokenId}">List</button>
-        </div>
-      `;
+sortSelect.onchange = () => {
+  currentPage = 1;
+  loadOrders(currentPage);
+};
 
-      marketplaceDiv.appendChild(card);
+loadTraits();
 
-      // Buy
-      card.querySelector(".buy-btn").onclick = async (ev) => {
-        ev.target.disabled = true;
-        await buyNFT(o).catch(console.error);
-        ev.target.disabled = false;
-      };
+// ---------------- Collection Stats ----------------
+function formatApe(v) {
+  if (v === null || v === undefined) return "—";
+  return `${Number(v).toLocaleString(undefined, { maximumFractionDigits: 4 })} APE`;
+}
 
-      // List
-      card.querySelector(".list-btn").onclick = async (ev) => {
-        ev.target.disabled = true;
-        await listNFT(tokenId).catch(console.error);
-        ev.target.disabled = false;
-      };
+async function loadStats() {
+  try {
+    await collectionsReady;
+    const res = await fetch(collectionApi("/stats"));
+    const data = await res.json();
+    if (!res.ok || !data.success) return;
+
+    const s = data.stats;
+    const listed = s.percentListed !== null
+      ? `${s.listedCount} (${s.percentListed}%)`
+      : `${s.listedCount}`;
+    const items = [
+      ["Floor", formatApe(s.floorPrice)],
+      ["Listed", listed],
+      ["24s həcm", formatApe(s.volume["24h"])],
+      ["7g həcm", formatApe(s.volume["7d"])],
+      ["Ümumi həcm", formatApe(s.volume.all)],
+      ["Satışlar", `${s.sales["24h"]} / ${s.sales["7d"]} / ${s.sales.all}`],
+      ["Orta qiymət", formatApe(s.averagePrice)]
+    ];
+    // The figures above are APE sales; sales in ERC-20 tokens are shown per token
+    for (const t of s.byToken.filter((t) => t.paymentToken)) {
+      const volume = Number(t.volume.all).toLocaleString(undefined, { maximumFractionDigits: 4 });
+      items.push([
+        `Həcm (${tokenInfo(t.paymentToken).symbol})`,
+        `${formatPrice(volume, t.paymentToken)} · ${t.sales.all} satış`
+      ]);
     }
+
+    statsBar.innerHTML = items
+      .map(([label, value]) => `<div class="stat"><span>${label}</span><strong>${value}</strong></div>`)
+      .join("");
   } catch (err) {
     console.error(err);
-    marketplaceDiv.innerHTML = "<p>Xəta baş verdi.</p>";
   }
 }
 
+loadStats();
+
+// ---------------- Market Config ----------------
+async function loadConfig() {
+  try {
+    const res = await fetch(`${BACKEND_URL}/api/config`);
+    const data = await res.json();
+    if (!res.ok || !data.success) return;
+    marketConfig = {
+      paymentTokens: data.paymentTokens,
+      offerTokens: data.offerTokens,
+      marketplaceFee: data.marketplaceFee
+    };
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+// Prices are formatted with the configured symbols/decimals, so renderers wait for it
+const configReady = loadConfig();
+
+// ---------------- Activity ----------------
+const ACTIVITY_LABELS = {
+  listing: "📝 Listing",
+  sale: "💰 Satış",
+  cancel: "🗑 Ləğv",
+  expire: "⌛ Bitib",
+  inactive: "⚠️ Deaktiv",
+  offer: "🤝 Təklif"
+};
+
+function showTab(tab) {
+  const sections = { market: marketSection, activity: activitySection, inventory: inventorySection };
+  const tabs = { market: marketTab, activity: activityTab, inventory: inventoryTab };
+  for (const key of Object.keys(sections)) {
+    sections[key].style.display = key === tab ? "block" : "none";
+    tabs[key].classList.toggle("active", key === tab);
+  }
+}
+
+async function loadActivity() {
+  try {
+    activityList.innerHTML = "<p style='opacity:.7'>Yüklənir...</p>";
+    activityTitle.textContent = activityTokenId ? `${tokenLabel(activityTokenId)} tarixçəsi` : "Son aktivlik";
+    activityResetBtn.style.display = activityTokenId ? "inline-block" : "none";
+
+    const params = new URLSearchParams({ limit: "50" });
+    if (activityTokenId) params.set("tokenId", activityTokenId);
+    if (activityType.value) params.set("type", activityType.value);
+    if (activityMine.checked && userAddress) params.set("address", userAddress);
+
+    await collectionsReady;
+    const res = await fetch(collectionApi(`/activity?${params}`));
+    const data = await res.json();
+
+    if (!res.ok || !data.success) {
+      activityList.innerHTML = "<p>Server məlumat qaytarmadı.</p>";
+      return;
+    }
+    if (data.activity.length === 0) {
+      activityList.innerHTML = "<p>Aktivlik yoxdur.</p>";
+      return;
+    }
+
+    activityList.innerHTML = "";
+    for (const a of data.activity) {
+      const row = document.createElement("div");
+      row.className = "activity-row";
+      const tx = a.txHash
+        ? `<a href="https://apescan.io/tx/${a.txHash}" target="_blank" rel="noopener">tx</a>`
+        : "";
+      row.innerHTML = `
+        <span class="activity-type">${ACTIVITY_LABELS[a.type] || a.type}</span>
+        <span>${escapeHtml(tokenLabel(a.tokenId ?? "?"))}</span>
+        <span class="price">${formatPrice(a.price, a.paymentToken)}</span>
+        <span>${shortAddr(a.fromAddress)}${a.toAddress ? " → " + shortAddr(a.toAddress) : ""} ${tx}</span>
+        <span style="opacity:.7">${new Date(a.createdAt).toLocaleString()}</span>
+      `;
+      activityList.appendChild(row);
+    }
+  } catch (err) {
+    console.error(err);
+    activityList.innerHTML = "<p>Xəta baş verdi.</p>";
+  }
+}
+
+function showTokenHistory(tokenId) {
+  activityTokenId = tokenId;
+  showTab("activity");
+  loadActivity();
+}
+
+marketTab.onclick = () => showTab("market");
+inventoryTab.onclick = () => {
+  showTab("inventory");
+  loadInventory();
+};
+activityTab.onclick = () => {
+  showTab("activity");
+  loadActivity();
+};
+activityType.onchange = loadActivity;
+activityMine.onchange = loadActivity;
+activityResetBtn.onclick = () => {
+  activityTokenId = null;
+  loadActivity();
+};
+
 // ---------------- BUY NFT ----------------
 async function buyNFT(orderRecord) {
   if (!signer || !seaport) return alert("Cüzdan qoşulmayıb!");
 
   notify("Alış hazırlanır...");
 
-  const rawOrder =
-    orderRecord.seaportOrder ||
-    orderRecord.seaportorder ||
-    orderRecord.seaport_order ||
-    JSON.parse(orderRecord.seaportOrderJSON);
+  const rawOrder = getRawOrder(orderRecord);
 
   if (!rawOrder) return alert("Order boşdur!");
 
   try {
     const buyer = await signer.getAddress();
+    const reserved = reservedItem(rawOrder.parameters);
+    if (reserved && reserved.recipient.toLowerCase() !== buyer.toLowerCase()) {
+      return alert("Bu listing başqa alıcı üçün ayrılıb!");
+    }
 
-    notify("Transaction göndərilir...");
+    // Multi-unit listings (ERC-1155, PARTIAL_OPEN) can be bought a few units at a time; private ones only whole
+    const left = unitsLeft(orderRecord);
+    let units;
+    if (left > 1 && !reserved) {
+      units = Number(prompt(`Neçə ədəd alırsan? (1–${left})`, String(left)));
+      if (!Number.isInteger(units) || units < 1 || units > left) return notify("Alış ləğv edildi.");
+    }
 
-    const result = await seaport.fulfillOrder({
-      order: rawOrder,
-      accountAddress: buyer
-    });
+    // Pre-flight: a stale order would only surface as a raw revert
+    const check = await checkFillable(orderRecord, { buyer, units });
+    if (!check.fillable) {
+      alert(`Bu listing alına bilməz: ${reasonText(check.reason)}`);
+      loadOrders(currentPage);
+      return;
+    }
+
+    notify("Transaction göndərilir...");
 
-    const executeTx = result.executeAllActions || result.execute;
-    const tx = await executeTx();
+    let tx;
+    if (reserved) {
+      tx = await fulfillPrivateListing(rawOrder, buyer);
+    } else {
+      const result = await seaport.fulfillOrder({
+        order: rawOrder,
+        accountAddress: buyer,
+        ...(units ? { unitsToFill: units } : {})
+      });
+      const executeTx = result.executeAllActions || result.execute;
+      tx = await executeTx();
+    }
     await tx.wait();
 
-    notify("NFT alındı! ✅");
+    notify(units ? `${units} ədəd alındı! ✅` : "NFT alındı! ✅");
+    loadStats();
 
     // Backendə xəbər ver
-    await fetch(`${BACKEND_URL}/api/buy`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        orderHash: orderRecord.orderHash,
-        buyerAddress: buyer
-      })
+    await postWithSession("/api/buy", {
+      orderHash: orderRecord.orderHash,
+      txHash: tx.hash,
+      buyerAddress: buyer
     });
 
     loadOrders(currentPage);
@@ -243,16 +857,474 @@ async function buyNFT(orderRecord) {
   }
 }
 
+// Private listing: only the listing's own offer can meet its NFT consideration item, so the reserved buyer
+// matches it with an unsigned counter-order (they send the tx) that offers the payment
+async function fulfillPrivateListing(rawOrder, buyer) {
+  const params = rawOrder.parameters;
+  const reserved = reservedItem(params);
+  const payments = params.consideration.filter((c) => c !== reserved);
+  const total = payments.reduce((sum, c) => sum.add(c.endAmount), ethers.BigNumber.from(0));
+  const native = Number(payments[0].itemType) === 0;
+
+  // The counter-order's ERC-20 payment moves through the listing's conduit
+  if (!native) {
+    const operator = seaport.config.conduitKeyToConduit[params.conduitKey];
+    const erc20 = new ethers.Contract(
+      payments[0].token,
+      [
+        "function allowance(address owner, address spender) view returns (uint256)",
+        "function approve(address spender, uint256 amount) returns (bool)"
+      ],
+      signer
+    );
+    if ((await erc20.allowance(buyer, operator)).lt(total)) {
+      notify("Ödəniş tokeni üçün approve göndərilir...");
+      await (await erc20.approve(operator, total)).wait();
+    }
+  }
+
+  const counterOrder = {
+    parameters: {
+      ...params,
+      offerer: buyer,
+      offer: [{
+        itemType: payments[0].itemType,
+        token: payments[0].token,
+        identifierOrCriteria: "0",
+        startAmount: total.toString(),
+        endAmount: total.toString()
+      }],
+      consideration: [],
+      totalOriginalConsiderationItems: 0
+    },
+    signature: "0x"
+  };
+
+  // The listed NFT meets the reserved item; the buyer's payment meets every payment item
+  const reservedIndex = params.consideration.indexOf(reserved);
+  const fulfillments = [
+    {
+      offerComponents: [{ orderIndex: 0, itemIndex: 0 }],
+      considerationComponents: [{ orderIndex: 0, itemIndex: reservedIndex }]
+    },
+    ...params.consideration
+      .map((c, itemIndex) => ({ c, itemIndex }))
+      .filter(({ c }) => c !== reserved)
+      .map(({ itemIndex }) => ({
+        offerComponents: [{ orderIndex: 1, itemIndex: 0 }],
+        considerationComponents: [{ orderIndex: 0, itemIndex }]
+      }))
+  ];
+
+  return seaport
+    .matchOrders({
+      orders: [rawOrder, counterOrder],
+      fulfillments,
+      overrides: native ? { value: total } : {},
+      accountAddress: buyer
+    })
+    .transact();
+}
+
+// Opens the ?order= listing (after sign-in, so a private listing's buyer may see it) in its collection
+async function loadSharedOrder() {
+  if (!sharedOrderHash) return;
+  await collectionsReady;
+
+  const res = await fetch(`${BACKEND_URL}/api/orders/${encodeURIComponent(sharedOrderHash)}`, { headers: authHeaders() });
+  const data = await res.json();
+  if (!res.ok || !data.success || data.order.status !== "active") {
+    sharedOrder = null;
+    return notify("Paylaşılan listing tapılmadı və ya artıq aktiv deyil.");
+  }
+  sharedOrder = data.order;
+
+  const collection = collections.find((c) => c.address === sharedOrder.nftContract);
+  if (collection && collection !== currentCollection) {
+    currentCollection = collection;
+    localStorage.setItem("collection", collection.slug);
+    collectionSelect.value = collection.slug;
+    currentPage = 1;
+    loadTraits();
+    loadStats();
+  }
+}
+
+// The seller sends this to the reserved buyer
+async function shareOrderLink(orderHash) {
+  const link = shareLink(orderHash);
+  try {
+    await navigator.clipboard.writeText(link);
+    notify("Link kopyalandı ✅");
+  } catch {
+    prompt("Alıcıya bu linki göndər:", link);
+  }
+}
+
+// ---------------- PRE-FLIGHT ----------------
+// Same reason codes as checkOrderFillable() in seaportOrders.js
+const REASON_TEXT = {
+  ORDER_EXPIRED: "vaxtı bitib",
+  NOT_STARTED: "hələ başlamayıb",
+  ORDER_CANCELLED: "ləğv edilib",
+  ORDER_FILLED: "artıq satılıb",
+  ORDER_INACTIVE: "deaktivdir",
+  STALE_COUNTER: "satıcı bütün listinglərini ləğv edib",
+  NOT_OWNER: "satıcı NFT-ni köçürüb (və ya qalan ədədlər onda yoxdur)",
+  NOT_APPROVED: "satıcı icazəni geri alıb",
+  INVALID_CONDUIT: "conduit mövcud deyil",
+  INSUFFICIENT_CONSIDERATION: "ödəniş bölgüsü yetərsizdir",
+  INSUFFICIENT_FUNDS: "balansın kifayət etmir",
+  RESERVED: "başqa alıcı üçün ayrılıb",
+  MALFORMED_ORDER: "order zədəlidir",
+  DELISTED: "OpenSea-dən götürülüb"
+};
+
+function reasonText(reason) {
+  return REASON_TEXT[reason] || reason || "naməlum səbəb";
+}
+
+/**
+ * Client-side pre-flight straight from the chain: { fillable, reason }.
+ * With `buyer`, also checks they can pay for `units` (default: all that are left).
+ */
+async function checkFillable(orderRecord, { buyer, units } = {}) {
+  const fail = (reason) => ({ fillable: false, reason });
+  const params = getRawOrder(orderRecord)?.parameters;
+  if (!params?.consideration?.length || !params.offer?.length) return fail("MALFORMED_ORDER");
+
+  const now = Math.floor(Date.now() / 1000);
+  if (Number(params.endTime) <= now) return fail("ORDER_EXPIRED");
+  if (Number(params.startTime) > now) return fail("NOT_STARTED");
+
+  const erc1155 = Number(params.offer[0].itemType) === 3;
+  const nft = new ethers.Contract(
+    orderRecord.nftContract,
+    [
+      "function ownerOf(uint256) view returns (address)",
+      "function balanceOf(address owner, uint256 id) view returns (uint256)",
+      "function isApprovedForAll(address owner, address operator) view returns (bool)",
+      "function getApproved(uint256 tokenId) view returns (address)"
+    ],
+    provider
+  );
+  const [status, counter, holding] = await Promise.all([
+    seaport.getOrderStatus(orderRecord.orderHash),
+    seaport.getCounter(params.offerer),
+    erc1155
+      ? nft.balanceOf(params.offerer, orderRecord.tokenId)
+      : nft.ownerOf(orderRecord.tokenId).catch(() => null)
+  ]);
+  if (status.isCancelled) return fail("ORDER_CANCELLED");
+  if (status.totalSize.gt(0) && status.totalFilled.gte(status.totalSize)) return fail("ORDER_FILLED");
+  if (counter.toString() !== params.counter.toString()) return fail("STALE_COUNTER");
+
+  // totalFilled / totalSize is the filled fraction of the whole order
+  const quantity = ethers.BigNumber.from(params.offer[0].endAmount);
+  const remaining = status.totalSize.gt(0)
+    ? quantity.mul(status.totalSize.sub(status.totalFilled)).div(status.totalSize)
+    : quantity;
+  if (erc1155 ? holding.lt(remaining) : holding?.toLowerCase() !== params.offerer.toLowerCase()) {
+    return fail("NOT_OWNER");
+  }
+
+  const operator = seaport.config.conduitKeyToConduit[params.conduitKey];
+  if (!operator) return fail("INVALID_CONDUIT");
+  // An ERC-721 may also be approved to the operator on its own
+  const [approvedForAll, approved] = await Promise.all([
+    nft.isApprovedForAll(params.offerer, operator),
+    erc1155 ? null : nft.getApproved(orderRecord.tokenId).catch(() => null)
+  ]);
+  if (!approvedForAll && approved?.toLowerCase() !== operator.toLowerCase()) return fail("NOT_APPROVED");
+
+  const reserved = reservedItem(params);
+  const payments = params.consideration.filter((c) => c !== reserved);
+  const pays = (c) => c.recipient.toLowerCase() === params.offerer.toLowerCase();
+  if (!payments.some(pays)) return fail("INSUFFICIENT_CONSIDERATION");
+
+  if (buyer) {
+    if (reserved && reserved.recipient.toLowerCase() !== buyer.toLowerCase()) return fail("RESERVED");
+    // A Dutch auction costs what it costs right now
+    const total = payments.reduce((sum, c) => sum.add(currentAmount(c, params, now)), ethers.BigNumber.from(0));
+    const cost = total.mul(units ?? remaining).div(quantity);
+    const first = payments[0];
+    const balance = Number(first.itemType) === 1
+      ? await new ethers.Contract(first.token, ["function balanceOf(address) view returns (uint256)"], provider).balanceOf(buyer)
+      : await provider.getBalance(buyer);
+    if (balance.lt(cost)) return fail("INSUFFICIENT_FUNDS");
+  }
+
+  return { fillable: true, reason: null };
+}
+
+// ---------------- CART / SWEEP ----------------
+function renderCart() {
+  const totals = {};
+  for (const o of cart.values()) {
+    const { symbol } = tokenInfo(o.paymentToken);
+    totals[symbol] = (totals[symbol] || 0) + Number(currentPrice(o)) * unitsLeft(o);
+  }
+  const sum = Object.entries(totals)
+    .map(([symbol, v]) => `${Number(v.toFixed(6))} ${symbol}`)
+    .join(" + ");
+
+  cartSummary.textContent = cart.size ? `Səbət: ${cart.size} NFT — ${sum}` : "Səbət boşdur";
+  cartBuyBtn.disabled = cartClearBtn.disabled = cart.size === 0;
+}
+
+function toggleCart(orderRecord) {
+  if (cart.has(orderRecord.orderHash)) {
+    cart.delete(orderRecord.orderHash);
+  } else if (cart.size >= MAX_CART) {
+    return notify(`Səbətə ən çox ${MAX_CART} NFT əlavə etmək olar.`);
+  } else {
+    cart.set(orderRecord.orderHash, orderRecord);
+  }
+  renderCart();
+}
+
+// Splits orders into those that can still be filled and those that cannot.
+// Seaport skips sold/cancelled/expired orders on chain, but a moved NFT would revert the whole tx.
+async function splitFillable(orders) {
+  const ok = await Promise.all(orders.map(async (o) => {
+    try {
+      return (await checkFillable(o)).fillable;
+    } catch (err) {
+      console.warn(`Order ${o.orderHash} yoxlanıla bilmədi:`, err);
+      return false;
+    }
+  }));
+
+  return {
+    fillable: orders.filter((_, i) => ok[i]),
+    skipped: orders.filter((_, i) => !ok[i])
+  };
+}
+
+// Buys every fillable order in one fulfillAvailableOrders transaction
+async function checkoutOrders(orders) {
+  if (!signer || !seaport) return alert("Cüzdan qoşulmayıb!");
+
+  notify("Listinglər yoxlanılır...");
+  const { fillable, skipped } = await splitFillable(orders);
+  if (fillable.length === 0) {
+    alert("Alına bilən listing qalmayıb.");
+    return null;
+  }
+
+  notify(`${fillable.length} NFT üçün tranzaksiya göndərilir...`);
+  const { executeAllActions } = await seaport.fulfillOrders({
+    fulfillOrderDetails: fillable.map((o) => ({ order: getRawOrder(o) })),
+    accountAddress: userAddress
+  });
+  const tx = await executeAllActions();
+  const receipt = await tx.wait();
+
+  // Orders that fail on chain are skipped by Seaport: only logged fulfilments were bought
+  const filled = new Set();
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== SEAPORT_CONTRACT_ADDRESS.toLowerCase()) continue;
+    try {
+      const ev = seaport.contract.interface.parseLog(log);
+      if (ev.name === "OrderFulfilled") filled.add(ev.args.orderHash.toLowerCase());
+    } catch {}
+  }
+  const bought = fillable.filter((o) => filled.has(o.orderHash.toLowerCase()));
+  const failed = [...skipped, ...fillable.filter((o) => !filled.has(o.orderHash.toLowerCase()))];
+
+  // Backendə xəbər ver (one /api/buy per order)
+  await Promise.all(bought.map((o) =>
+    postWithSession("/api/buy", { orderHash: o.orderHash, txHash: tx.hash, buyerAddress: userAddress })
+      .catch(console.error)
+  ));
+
+  for (const o of [...bought, ...skipped]) cart.delete(o.orderHash);
+  renderCart();
+  loadOrders(currentPage);
+  loadStats();
+
+  const ids = (list) => list.map((o) => `#${o.tokenId}`).join(", ");
+  alert(
+    `Alındı (${bought.length}): ${ids(bought) || "—"}` +
+    (failed.length ? `\nAlınmadı (${failed.length}): ${ids(failed)}` : "")
+  );
+  return { bought, failed };
+}
+
+// Cheapest `count` native-priced listings (current trait filters apply), excluding our own
+async function sweepFloor(count) {
+  if (!signer || !seaport) return alert("Cüzdan qoşulmayıb!");
+  if (!Number.isInteger(count) || count <= 0 || count > MAX_CART) {
+    return alert(`1 ilə ${MAX_CART} arasında say daxil et.`);
+  }
+
+  const params = new URLSearchParams({
+    sort: "price_asc",
+    currency: "native",
+    limit: Math.min(count * 2, 100)
+  });
+  const traits = traitFilterParam();
+  if (traits) params.set("traits", traits);
+
+  const res = await fetch(collectionApi(`/orders?${params}`));
+  const data = await res.json();
+  if (!res.ok || !data.success) return alert("Server məlumat qaytarmadı.");
+
+  const picked = data.orders.filter((o) => o.seller !== userAddress).slice(0, count);
+  if (picked.length === 0) return alert("Floor-da listing yoxdur.");
+
+  const total = picked.reduce((sum, o) => sum + Number(currentPrice(o)) * unitsLeft(o), 0);
+  if (!confirm(`Ən ucuz ${picked.length} NFT ~${Number(total.toFixed(6))} APE-ə alınsın?`)) return null;
+
+  return checkoutOrders(picked);
+}
+
+cartBuyBtn.onclick = async () => {
+  cartBuyBtn.disabled = true;
+  await checkoutOrders([...cart.values()]).catch((err) => alert("Buy xətası: " + err.message));
+  renderCart();
+};
+cartClearBtn.onclick = () => {
+  cart.clear();
+  renderCart();
+  loadOrders(currentPage);
+};
+sweepBtn.onclick = async () => {
+  sweepBtn.disabled = true;
+  await sweepFloor(Number(sweepCount.value)).catch((err) => alert("Sweep xətası: " + err.message));
+  sweepBtn.disabled = false;
+};
+
+renderCart();
+
+// ---------------- LIVE UPDATES ----------------
+// GET /api/collections/:slug/events pushes listings, price changes, sales,
+// cancels and expiries; the grid follows them without a reload
+let eventSource = null;
+
+function orderCard(orderHash) {
+  return marketplaceDiv.querySelector(`.nft-card[data-hash="${CSS.escape(orderHash)}"]`);
+}
+
+// New listings only show where they would land: the first page of the unfiltered newest view
+function showsNewListings() {
+  return currentPage === 1 && sortSelect.value === "newest" && !traitFilterParam();
+}
+
+function dropOrder(orderHash) {
+  orderCard(orderHash)?.remove();
+  if (cart.delete(orderHash)) renderCart();
+}
+
+function putOrder(order, replaces = order.orderHash) {
+  const old = orderCard(replaces) || orderCard(order.orderHash);
+  if (old) {
+    old.replaceWith(renderOrderCard(order));
+  } else if (showsNewListings()) {
+    // Drop the "no NFTs" placeholder
+    if (!marketplaceDiv.querySelector(".nft-card")) marketplaceDiv.innerHTML = "";
+    marketplaceDiv.prepend(renderOrderCard(order));
+  }
+  if (cart.delete(replaces)) renderCart();
+}
+
+function onLiveEvent(handler) {
+  return (msg) => {
+    try {
+      handler(JSON.parse(msg.data));
+    } catch (err) {
+      console.error(err);
+    }
+  };
+}
+
+async function connectLiveUpdates() {
+  await collectionsReady;
+  eventSource?.close();
+  eventSource = null;
+  if (!currentCollection || !signer) return;
+
+  eventSource = new EventSource(collectionApi("/events"));
+
+  eventSource.addEventListener("listing", onLiveEvent(({ order }) => {
+    if (order?.status === "active") putOrder(order);
+  }));
+
+  eventSource.addEventListener("price", onLiveEvent(({ order, replaces, activity }) => {
+    if (order?.status !== "active") return dropOrder(replaces);
+    putOrder(order, replaces);
+    if (activity.fromAddress !== userAddress) {
+      notify(`${tokenLabel(activity.tokenId)} yeni qiymət: ${formatPrice(currentPrice(order), order.paymentToken)}`);
+    }
+  }));
+
+  eventSource.addEventListener("sale", onLiveEvent(({ order, activity }) => {
+    // Partly filled ERC-1155 listings stay with fewer units left
+    if (order?.status === "active") putOrder(order);
+    else dropOrder(activity.orderHash);
+
+    if (activity.toAddress !== userAddress) {
+      notify(`🎉 ${tokenLabel(activity.tokenId)} satıldı — ${formatPrice(activity.price, activity.paymentToken)}`);
+    }
+    loadStats();
+  }));
+
+  for (const type of ["cancel", "expire", "inactive"]) {
+    eventSource.addEventListener(type, onLiveEvent(({ activity }) => dropOrder(activity.orderHash)));
+  }
+}
+
+// ---------------- SALE FEES ----------------
+// Marketplace fee and royalty (ERC-2981, else the registry's) owed on a sale of `tokenId` at `total`,
+// as { label, recipient, cut(amount) }: the backend's requiredFees() rule, for listings and offers alike
+async function saleFees(collection, tokenId, total) {
+  const nftContract = new ethers.Contract(
+    collection.address,
+    ["function royaltyInfo(uint256 tokenId, uint256 salePrice) view returns (address receiver, uint256 royaltyAmount)"],
+    provider
+  );
+
+  const fees = [];
+  const fee = marketConfig.marketplaceFee;
+  if (fee?.recipient && fee.bps > 0) {
+    fees.push({ label: "Marketplace haqqı", recipient: fee.recipient, cut: async (amount) => amount.mul(fee.bps).div(10000) });
+  }
+  const royalty = await nftContract.royaltyInfo(tokenId, total).catch(() => null);
+  if (royalty && !royalty.royaltyAmount.isZero() && royalty.receiver !== ethers.constants.AddressZero) {
+    fees.push({
+      label: "Royalti",
+      recipient: royalty.receiver,
+      cut: async (amount) => (amount.eq(total) ? royalty : await nftContract.royaltyInfo(tokenId, amount)).royaltyAmount
+    });
+  } else if (collection.royaltyRecipient && collection.royaltyBps > 0) {
+    // No ERC-2981 royalty on the contract: the registry's one applies
+    fees.push({
+      label: "Royalti",
+      recipient: collection.royaltyRecipient,
+      cut: async (amount) => amount.mul(collection.royaltyBps).div(10000)
+    });
+  }
+  return fees;
+}
+
 // ---------------- LIST NFT ----------------
-async function listNFT(tokenId) {
+// presetToken: payment token address (null = APE); asked for when undefined.
+// ERC-1155: presetQuantity units are listed (asked for when null); presetPrice is per unit.
+// taker: reserve the listing for that wallet (a private listing; fixed price, bought whole).
+// Without presetPrice the seller picks a fixed price, a private sale, a Dutch auction or (ERC-721) an English auction.
+async function listNFT(tokenId, presetPrice = null, presetToken = undefined, presetQuantity = null, taker = null) {
   if (!signer || !seaport) return alert("Cüzdan qoşulmayıb!");
 
   const seller = await signer.getAddress();
+  await Promise.all([configReady, collectionsReady]);
+  const collection = currentCollection;
+  const erc1155 = isErc1155(collection);
 
   const nftContract = new ethers.Contract(
-    NFT_CONTRACT_ADDRESS,
+    collection.address,
     [
       "function ownerOf(uint256) view returns (address)",
+      "function balanceOf(address owner, uint256 id) view returns (uint256)",
       "function isApprovedForAll(address owner, address operator) view returns (bool)",
       "function setApprovalForAll(address operator, bool approved)"
     ],
@@ -261,15 +1333,88 @@ async function listNFT(tokenId) {
 
   notify("Sahiblik yoxlanılır...");
 
-  const owner = (await nftContract.ownerOf(tokenId)).toLowerCase();
-  if (owner !== seller.toLowerCase()) {
-    return alert("Bu NFT sənin deyil!");
+  let quantity = 1;
+  if (erc1155) {
+    const balance = await nftContract.balanceOf(seller, tokenId);
+    if (balance.isZero()) return alert("Bu NFT sənin deyil!");
+    quantity = Number(presetQuantity ?? prompt(`Neçə ədəd list edirsən? (1–${balance})`, balance.toString()));
+    if (!Number.isInteger(quantity) || quantity < 1 || balance.lt(quantity)) return notify("Listing ləğv edildi.");
+  } else {
+    const owner = (await nftContract.ownerOf(tokenId)).toLowerCase();
+    if (owner !== seller.toLowerCase()) {
+      return alert("Bu NFT sənin deyil!");
+    }
+  }
+
+  let mode = "fixed";
+  if (presetPrice === null && !taker) {
+    const modes = erc1155
+      ? "1 = sabit qiymət, 2 = şəxsi satış, 3 = Hollandiya auksionu"
+      : "1 = sabit qiymət, 2 = şəxsi satış, 3 = Hollandiya auksionu, 4 = auksion (təkliflərlə)";
+    const choice = prompt(`Satış növü? (${modes})`, "1")?.trim();
+    mode = { 1: "fixed", 2: "private", 3: "dutch", 4: erc1155 ? null : "english" }[choice];
+    if (!mode) return notify("Listing ləğv edildi.");
+  }
+  if (mode === "english") return createAuction(tokenId);
+  if (mode === "private") {
+    taker = prompt("Alıcının cüzdan ünvanı? (yalnız o ala biləcək)")?.trim();
+    if (!taker) return notify("Listing ləğv edildi.");
+  }
+  if (taker && (!ethers.utils.isAddress(taker) || taker.toLowerCase() === seller.toLowerCase())) {
+    return alert("Alıcı ünvanı yanlışdır!");
+  }
+
+  let currency = presetToken === undefined ? marketConfig.paymentTokens[0] : tokenInfo(presetToken);
+  if (presetToken === undefined && marketConfig.paymentTokens.length > 1) {
+    const symbols = marketConfig.paymentTokens.map((t) => t.symbol);
+    const choice = prompt(`Valyuta? (${symbols.join(" / ")})`, symbols[0]);
+    currency = marketConfig.paymentTokens.find((t) => t.symbol.toLowerCase() === choice?.trim().toLowerCase());
+    if (!currency) return notify("Listing ləğv edildi.");
+  }
+
+  // Dutch auction: the price falls linearly from startPrice to price over `hours`
+  let startPrice = null;
+  if (mode === "dutch") {
+    startPrice = prompt(`Başlanğıc qiymət: ${erc1155 ? "bir ədəd" : "NFT"} neçə ${currency.symbol}?`);
+    if (!startPrice || isNaN(startPrice)) return notify("Listing ləğv edildi.");
   }
 
-  let price = prompt("NFT neçə APE? (məs: 1.5)");
+  let price = presetPrice ?? prompt(mode === "dutch"
+    ? `Son qiymət neçə ${currency.symbol}? (başlanğıcdan aşağı)`
+    : `${erc1155 ? "Bir ədəd" : "NFT"} neçə ${currency.symbol}? (məs: 1.5)`);
   if (!price || isNaN(price)) return notify("Listing ləğv edildi.");
 
-  const priceWei = ethers.utils.parseEther(price);
+  let hours = 24 * 30;
+  if (mode === "dutch") {
+    if (Number(startPrice) <= Number(price)) return alert("Başlanğıc qiymət son qiymətdən yüksək olmalıdır!");
+    hours = Number(prompt("Qiymət neçə saata son qiymətə düşsün?", "24"));
+    if (!Number.isInteger(hours) || hours < 1 || hours > 24 * 30) return notify("Listing ləğv edildi.");
+  }
+
+  // Totals for every unit listed, at the end and at the start; the fees below are taken out of each
+  const priceUnits = ethers.utils.parseUnits(price, currency.decimals).mul(quantity);
+  const startUnits = startPrice === null ? priceUnits : ethers.utils.parseUnits(startPrice, currency.decimals).mul(quantity);
+
+  // Marketplace fee and ERC-2981 royalty come out of the price; the backend rejects listings without them
+  const fees = await saleFees(collection, tokenId, priceUnits);
+  // Partial fills need every amount to split evenly per unit: round each fee up to a multiple of quantity
+  const perUnit = (amount) => amount.add(quantity - 1).div(quantity).mul(quantity);
+  for (const f of fees) {
+    f.amount = perUnit(await f.cut(priceUnits));
+    f.startAmount = startUnits.eq(priceUnits) ? f.amount : perUnit(await f.cut(startUnits));
+  }
+  const sellerAmount = fees.reduce((rest, f) => rest.sub(f.amount), priceUnits);
+  const sellerStart = fees.reduce((rest, f) => rest.sub(f.startAmount), startUnits);
+  if (sellerAmount.lte(0)) return alert("Qiymət haqları ödəmək üçün çox aşağıdır!");
+
+  if (fees.length) {
+    const fmt = (amount) => `${ethers.utils.formatUnits(amount, currency.decimals)} ${currency.symbol}`;
+    const range = (start, end) => (start.eq(end) ? fmt(end) : `${fmt(start)} → ${fmt(end)}`);
+    const lines = fees.map((f) => `${f.label}: ${range(f.startAmount, f.amount)}`);
+    if (!confirm(`${lines.join("\n")}\nSənə çatacaq: ${range(sellerStart, sellerAmount)}\nDavam edilsin?`)) {
+      return notify("Listing ləğv edildi.");
+    }
+  }
 
   // Approval
   const approved = await nftContract.isApprovedForAll(
@@ -287,21 +1432,38 @@ async function listNFT(tokenId) {
 
   notify("Seaport order yaradılır...");
 
+  const now = Math.floor(Date.now() / 1000);
   const createReq = {
     offer: [
-      {
-        itemType: 2, // ERC721
-        token: NFT_CONTRACT_ADDRESS,
-        identifier: tokenId.toString()
-      }
+      erc1155
+        ? { itemType: 3, token: collection.address, identifier: tokenId.toString(), amount: quantity.toString() } // ERC1155
+        : { itemType: 2, token: collection.address, identifier: tokenId.toString() } // ERC721
     ],
+    // PARTIAL_OPEN: buyers may take some of the units (a private listing goes whole to its buyer)
+    allowPartialFills: erc1155 && !taker,
+    // A Dutch auction's items start at `amount` and fall to `endAmount`
     consideration: [
-      {
-        amount: priceWei.toString(),
-        recipient: seller
-      }
-    ],
-    endTime: Math.floor(Date.now() / 1000 + 86400 * 30).toString()
+      { amount: sellerStart, endAmount: sellerAmount, recipient: seller },
+      ...fees.map((f) => ({ amount: f.startAmount, endAmount: f.amount, recipient: f.recipient }))
+    ].map(({ amount, endAmount, ...item }) => ({
+      ...item,
+      amount: amount.toString(),
+      ...(amount.eq(endAmount) ? {} : { endAmount: endAmount.toString() }),
+      ...(currency.address ? { token: currency.address } : {})
+    })).concat(
+      // Private listing: the NFT itself must reach the reserved buyer
+      taker
+        ? [{
+            itemType: erc1155 ? 3 : 2,
+            token: collection.address,
+            identifier: tokenId.toString(),
+            ...(erc1155 ? { amount: quantity.toString() } : {}),
+            recipient: taker
+          }]
+        : []
+    ),
+    startTime: now.toString(),
+    endTime: (now + hours * 3600).toString()
   };
 
   const orderResult = await seaport.createOrder(createReq, seller);
@@ -312,31 +1474,461 @@ async function listNFT(tokenId) {
   const orderHash =
     signedOrder.orderHash ??
     signed.orderHash ??
-    null;
+    seaport.getOrderHash(signedOrder.parameters);
 
   notify("Order backend-ə göndərilir...");
 
-  const res = await fetch(`${BACKEND_URL}/api/order`, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({
-      tokenId,
-      price: Number(price),
-      sellerAddress: seller,
-      seaportOrder: signedOrder,
-      orderHash,
-      image: null
-    })
+  const j = await postWithSession("/api/order", {
+    tokenId,
+    price: Number(price),
+    sellerAddress: seller,
+    seaportOrder: signedOrder,
+    orderHash,
+    image: null
   });
+  if (!j.success) {
+    return alert(`Backend order-u qəbul etmədi: ${j.error}${j.code ? ` (${j.code})` : ""}`);
+  }
 
-  const j = await res.json();
-  if (!j.success) return alert("Backend order-u qəbul etmədi!");
+  const shown = startPrice === null ? price : `${startPrice} → ${price}`;
+  notify(erc1155
+    ? `NFT #${tokenId} list olundu — ${quantity} ədəd × ${shown} ${currency.symbol}`
+    : `NFT #${tokenId} list olundu — ${shown} ${currency.symbol}`);
+  if (taker) await shareOrderLink(orderHash);
+  loadOrders(currentPage);
+  loadStats();
+  if (inventorySection.style.display === "block") loadInventory();
+}
+
+// ---------------- CANCEL / RE-PRICE ----------------
+// Tells the backend about an on-chain cancel; the chain sync catches up if this fails
+async function recordCancellation(orderHashes) {
+  const all = orderHashes === "all";
+  const hashes = all ? [] : orderHashes.map((h) => h.toLowerCase());
+
+  const j = await postWithSession("/api/cancel", { sellerAddress: userAddress, orderHashes: hashes, all });
+  if (!j.success) notify(`Backend ləğvi qeyd etmədi: ${j.error}`);
+  return j;
+}
+
+async function cancelListing(orderRecord, { silent = false } = {}) {
+  if (!signer || !seaport) return alert("Cüzdan qoşulmayıb!");
+
+  const rawOrder = getRawOrder(orderRecord);
+  if (!rawOrder?.parameters) return alert("Order boşdur!");
+  if (!silent && !confirm(`NFT #${orderRecord.tokenId} listingi ləğv edilsin?`)) return false;
+
+  notify("Ləğv tranzaksiyası göndərilir...");
+  const tx = await seaport.cancelOrders([rawOrder.parameters], userAddress).transact();
+  await tx.wait();
+
+  await recordCancellation([orderRecord.orderHash]).catch(console.error);
+  notify("Listing ləğv edildi ✅");
+  return true;
+}
+
+// incrementCounter: invalidates every order this wallet has signed so far
+async function cancelAllListings() {
+  if (!signer || !seaport) return alert("Cüzdan qoşulmayıb!");
+  if (!confirm("Bütün listinglər ləğv edilsin? (bir tranzaksiya)")) return false;
+
+  notify("Ləğv tranzaksiyası göndərilir...");
+  const tx = await seaport.bulkCancelOrders(userAddress).transact();
+  await tx.wait();
+
+  await recordCancellation("all").catch(console.error);
+  notify("Bütün listinglər ləğv edildi ✅");
+  return true;
+}
+
+async function editListingPrice(orderRecord) {
+  const { symbol } = tokenInfo(orderRecord.paymentToken);
+  const unit = Number(orderRecord.quantity) > 1 ? ", bir ədəd" : "";
+  const price = prompt(`NFT #${orderRecord.tokenId} üçün yeni qiymət (${symbol}${unit})?`);
+  if (!price || isNaN(price)) return notify("Dəyişiklik ləğv edildi.");
+
+  // Seaport orders are immutable: cancel the old one, then sign a new one in the same currency
+  if (!(await cancelListing(orderRecord, { silent: true }))) return;
+  await listNFT(orderRecord.tokenId, price, orderRecord.paymentToken ?? null, unitsLeft(orderRecord), orderRecord.taker ?? null);
+}
+
+// ---------------- OFFERS ----------------
+function bestOfferLine(offer) {
+  if (!offer) return "";
+  const scope = offer.kind === "collection" ? " (kolleksiya)" : "";
+  return `<p class="best-offer">Ən yaxşı təklif: ${formatPrice(offer.price, offer.paymentToken)}${scope}</p>`;
+}
+
+// tokenId = null → collection offer: any token of the collection (criteria root 0).
+// auction: a bid in that English auction — its currency, valid until the settlement window closes
+async function makeOffer(tokenId = null, auction = null) {
+  if (!signer || !seaport) return alert("Cüzdan qoşulmayıb!");
+  if (isErc1155()) return alert("ERC-1155 kolleksiyalarında təkliflər hələ dəstəklənmir.");
+  const offerToken = auction ? tokenInfo(auction.paymentToken) : marketConfig.offerTokens[0];
+  if (!offerToken) return alert("Təklif tokeni konfiqurasiya edilməyib!");
+
+  const target = tokenId === null ? "kolleksiyadakı istənilən NFT" : `NFT #${tokenId}`;
+  const minimum = auction
+    ? ` (${auction.highestBid ? `ən yüksək: ${auction.highestBid.price}` : `rezerv: ${auction.reservePrice}`})`
+    : "";
+  const amount = prompt(`${target} üçün neçə ${offerToken.symbol} təklif edirsən?${minimum}`);
+  if (!amount || isNaN(amount)) return notify("Təklif ləğv edildi.");
+
+  let endTime;
+  if (auction) {
+    // The backend wants bids to outlive the settlement window; a few minutes of slack for clock skew
+    endTime = Math.ceil(new Date(auction.endTime).getTime() / 1000) + AUCTION_SETTLEMENT_HOURS * 3600 + 300;
+  } else {
+    const days = Number(prompt("Təklif neçə gün qüvvədə olsun?", "7"));
+    if (!Number.isInteger(days) || days <= 0) return notify("Təklif ləğv edildi.");
+    endTime = Math.floor(Date.now() / 1000 + 86400 * days);
+  }
+
+  // itemType 2 = ERC721; with `criteria` seaport-js turns it into ERC721_WITH_CRITERIA
+  const wanted = tokenId === null
+    ? { itemType: 2, token: currentCollection.address, criteria: "0", recipient: userAddress }
+    : { itemType: 2, token: currentCollection.address, identifier: tokenId.toString(), recipient: userAddress };
+
+  // The seller gets the offer minus marketplace fee and royalty (a collection offer's royalty is token 0's)
+  const offerUnits = ethers.utils.parseUnits(amount, offerToken.decimals);
+  const fees = await saleFees(currentCollection, tokenId ?? 0, offerUnits);
+  const feeItems = await Promise.all(
+    fees.map(async (f) => ({ token: offerToken.address, amount: (await f.cut(offerUnits)).toString(), recipient: f.recipient }))
+  );
+
+  notify("Təklif imzalanır...");
 
-  notify(`NFT #${tokenId} list olundu — ${price} APE`);
+  // seaport-js adds the ERC-20 approval step when the allowance is too low
+  const orderResult = await seaport.createOrder({
+    offer: [{ token: offerToken.address, amount: offerUnits.toString() }],
+    consideration: [wanted, ...feeItems],
+    endTime: endTime.toString()
+  }, userAddress);
+  const signedOrder = await orderResult.executeAllActions();
+
+  const j = await postWithSession("/api/offers", {
+    buyerAddress: userAddress,
+    seaportOrder: signedOrder,
+    orderHash: seaport.getOrderHash(signedOrder.parameters)
+  });
+  if (!j.success) {
+    return alert(`Backend təklifi qəbul etmədi: ${j.error}${j.code ? ` (${j.code})` : ""}`);
+  }
+
+  notify(`Təklif göndərildi — ${amount} ${offerToken.symbol} ✅`);
   loadOrders(currentPage);
+  return true;
+}
+
+// Sells `tokenId` into `offer` (the owner fulfils the bidder's order)
+async function acceptOffer(offer, tokenId) {
+  if (!signer || !seaport) return alert("Cüzdan qoşulmayıb!");
+  if (!confirm(`NFT #${tokenId} ${formatPrice(offer.price, offer.paymentToken)} qarşılığında satılsın?`)) return false;
+
+  notify("Təklif qəbul edilir...");
+  const { executeAllActions } = await seaport.fulfillOrder({
+    order: offer.seaportOrder,
+    accountAddress: userAddress,
+    considerationCriteria: offer.kind === "collection"
+      ? [{ identifier: tokenId.toString(), proof: [] }]
+      : []
+  });
+  const tx = await executeAllActions();
+  await tx.wait();
+
+  const j = await postWithSession("/api/offers/accept", {
+    orderHash: offer.orderHash,
+    txHash: tx.hash,
+    sellerAddress: userAddress
+  });
+  if (!j.success) notify(`Backend satışı qeyd etmədi: ${j.error}`);
+
+  notify(`NFT #${tokenId} satıldı — ${formatPrice(offer.price, offer.paymentToken)} ✅`);
+  loadStats();
+  return true;
+}
+
+async function cancelOffer(offer) {
+  if (!signer || !seaport) return alert("Cüzdan qoşulmayıb!");
+  if (!confirm("Təklif ləğv edilsin?")) return false;
+
+  notify("Ləğv tranzaksiyası göndərilir...");
+  const tx = await seaport.cancelOrders([offer.seaportOrder.parameters], userAddress).transact();
+  await tx.wait();
+
+  await recordCancellation([offer.orderHash]).catch(console.error);
+  notify("Təklif ləğv edildi ✅");
+  return true;
+}
+
+// Active offers for a token, shown under its card; `isOwner` enables accepting
+async function toggleTokenOffers(container, tokenId, isOwner) {
+  if (container.childElementCount) {
+    container.innerHTML = "";
+    return;
+  }
+
+  try {
+    const res = await fetch(collectionApi(`/offers?tokenId=${tokenId}&limit=10`));
+    const data = await res.json();
+    if (!res.ok || !data.success) {
+      container.innerHTML = "<p>Server məlumat qaytarmadı.</p>";
+      return;
+    }
+    if (data.offers.length === 0) {
+      container.innerHTML = "<p style='opacity:.7'>Təklif yoxdur.</p>";
+      return;
+    }
+
+    container.innerHTML = "";
+    for (const offer of data.offers) {
+      const row = document.createElement("div");
+      row.className = "offer-row";
+      const mine = offer.buyer === userAddress;
+      row.innerHTML = `
+        <span>${formatPrice(offer.price, offer.paymentToken)}${offer.kind === "collection" ? " (kolleksiya)" : ""}</span>
+        <span>${shortAddr(offer.buyer)}</span>
+        <span style="opacity:.7">${new Date(offer.endTime).toLocaleDateString()}</span>
+        ${isOwner ? `<button class="page-btn accept-offer">Qəbul et</button>` : ""}
+        ${mine ? `<button class="page-btn cancel-offer">Ləğv et</button>` : ""}
+      `;
+      const act = (selector, action) => {
+        const btn = row.querySelector(selector);
+        if (!btn) return;
+        btn.onclick = async () => {
+          btn.disabled = true;
+          try {
+            if (await action()) loadOrders(currentPage);
+          } catch (err) {
+            console.error(err);
+            alert("Xəta: " + err.message);
+          }
+          btn.disabled = false;
+        };
+      };
+      act(".accept-offer", () => acceptOffer(offer, tokenId));
+      act(".cancel-offer", () => cancelOffer(offer));
+      container.appendChild(row);
+    }
+  } catch (err) {
+    console.error(err);
+    container.innerHTML = "<p>Xəta baş verdi.</p>";
+  }
+}
+
+collectionOfferBtn.onclick = async () => {
+  collectionOfferBtn.disabled = true;
+  await makeOffer(null).catch((err) => alert("Xəta: " + err.message));
+  collectionOfferBtn.disabled = false;
+};
+
+// ---------------- AUCTIONS ----------------
+// Bids stay valid this long after the close so the seller can settle (SETTLEMENT_WINDOW_MS in auctionRepository.js)
+const AUCTION_SETTLEMENT_HOURS = 48;
+
+// English auction of an ERC-721 token: bids are offers, the seller accepts the winning one at the close
+async function createAuction(tokenId) {
+  const offerToken = marketConfig.offerTokens[0];
+  if (!offerToken) return alert("Təklif tokeni konfiqurasiya edilməyib!");
+
+  const reserve = prompt(`Rezerv qiymət neçə ${offerToken.symbol}? (bundan aşağı təkliflər qalib gəlmir)`);
+  if (!reserve || isNaN(reserve) || Number(reserve) <= 0) return notify("Auksion ləğv edildi.");
+  const hours = Number(prompt("Auksion neçə saat davam etsin?", "24"));
+  if (!Number.isInteger(hours) || hours < 1 || hours > 24 * 30) return notify("Auksion ləğv edildi.");
+
+  const j = await postWithSession("/api/auctions", {
+    nftContract: currentCollection.address,
+    tokenId: tokenId.toString(),
+    reservePrice: reserve,
+    paymentToken: offerToken.address,
+    durationHours: hours
+  });
+  if (!j.success) {
+    return alert(`Backend auksionu qəbul etmədi: ${j.error}${j.code ? ` (${j.code})` : ""}`);
+  }
+
+  notify(`NFT #${tokenId} auksiona çıxdı — ${hours} saat, rezerv ${reserve} ${offerToken.symbol} ✅`);
+  loadAuctions();
+  return true;
+}
+
+async function cancelAuction(auction) {
+  if (!confirm(`NFT #${auction.tokenId} auksionu ləğv edilsin?`)) return false;
+
+  const j = await postWithSession(`/api/auctions/${auction.id}/cancel`, {});
+  if (!j.success) return alert(`Auksion ləğv edilmədi: ${j.error}${j.code ? ` (${j.code})` : ""}`);
+
+  notify("Auksion ləğv edildi ✅");
+  return true;
+}
+
+// Running auctions of the collection, ending soonest first
+async function loadAuctions() {
+  try {
+    await Promise.all([configReady, collectionsReady]);
+    const res = await fetch(collectionApi("/auctions?limit=20"));
+    const data = await res.json();
+    if (!res.ok || !data.success) return;
+
+    auctionsDiv.innerHTML = "";
+    auctionsHead.style.display = data.auctions.length ? "block" : "none";
+
+    for (const a of data.auctions) {
+      const isMine = !!userAddress && a.seller === userAddress;
+      const bidding = a.status === "open" && new Date(a.endTime).getTime() > Date.now();
+      const name = escapeHtml(a.name ?? tokenLabel(a.tokenId));
+      const image = a.image ?? "https://ipfs.io/ipfs/QmExampleNFTImage/default.png";
+
+      const card = document.createElement("div");
+      card.className = "nft-card";
+      card.innerHTML = `
+        <img src="${escapeHtml(image)}" alt="${name}"
+          onerror="this.src='https://ipfs.io/ipfs/QmExampleNFTImage/default.png'">
+
+        <h4>${name}</h4>
+        <p class="price">${a.highestBid
+          ? `Ən yüksək təklif: ${formatPrice(a.highestBid.price, a.paymentToken)}`
+          : "Təklif yoxdur"}</p>
+        <p class="units">Rezerv: ${formatPrice(a.reservePrice, a.paymentToken)} ${a.reserveMet ? "✅" : ""}</p>
+        ${bidding
+          ? `<p class="countdown" data-ends="${escapeHtml(a.endTime)}">⏳ ${formatCountdown(a.endTime)}</p>`
+          : `<p class="countdown">${a.reserveMet ? "Bitdi — satıcının təsdiqi gözlənilir" : "Bitdi"}</p>`}
+
+        <div class="nft-actions">
+          ${!isMine && bidding ? `<button class="wallet-btn bid-btn">Təklif ver</button>` : ""}
+          ${isMine && a.reserveMet ? `<button class="wallet-btn settle-btn">Satışı tamamla</button>` : ""}
+          ${isMine && a.status === "open" && !a.highestBid
+            ? `<button class="wallet-btn cancel-btn" style="background:#333;">Ləğv et</button>`
+            : ""}
+        </div>
+      `;
+      auctionsDiv.appendChild(card);
+
+      const act = (selector, action) => {
+        const btn = card.querySelector(selector);
+        if (!btn) return;
+        btn.onclick = async () => {
+          btn.disabled = true;
+          try {
+            if (await action()) loadAuctions();
+          } catch (err) {
+            console.error(err);
+            alert("Xəta: " + err.message);
+          }
+          btn.disabled = false;
+        };
+      };
+      act(".bid-btn", () => makeOffer(a.tokenId, a));
+      act(".settle-btn", () => acceptOffer(a.highestBid, a.tokenId));
+      act(".cancel-btn", () => cancelAuction(a));
+    }
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+// ---------------- MY NFTs ----------------
+cancelAllBtn.onclick = async () => {
+  cancelAllBtn.disabled = true;
+  try {
+    if (await cancelAllListings()) loadInventory();
+  } catch (err) {
+    console.error(err);
+    alert("Xəta: " + err.message);
+  }
+  cancelAllBtn.disabled = false;
+};
+
+async function loadInventory() {
+  if (!userAddress) return;
+  try {
+    inventoryDiv.innerHTML = "<p style='opacity:.7'>Yüklənir...</p>";
+
+    const res = await fetch(collectionApi(`/wallet/${userAddress}/tokens`), { headers: authHeaders() });
+    const data = await res.json();
+
+    if (data.code === "INVENTORY_INDEXING") {
+      inventoryDiv.innerHTML = "<p>Kolleksiya hələ indekslənir, bir az sonra yenidən yoxlayın.</p>";
+      return;
+    }
+    if (!res.ok || !data.success) {
+      inventoryDiv.innerHTML = "<p>Server məlumat qaytarmadı.</p>";
+      return;
+    }
+    if (data.tokens.length === 0) {
+      inventoryDiv.innerHTML = "<p>Bu cüzdanda NFT yoxdur.</p>";
+      return;
+    }
+
+    inventoryDiv.innerHTML = "";
+    for (const t of data.tokens) {
+      const name = escapeHtml(t.name ?? tokenLabel(t.tokenId));
+      const image = t.image ?? "https://ipfs.io/ipfs/QmExampleNFTImage/default.png";
+      const listing = t.listing;
+      const state = !listing
+        ? "Listed deyil"
+        : listing.status === "inactive"
+          ? `⚠️ Listing deaktivdir${listing.inactiveReason ? ` (${reasonText(listing.inactiveReason)})` : ""}`
+          : Number(listing.quantity) > 1
+            ? `Listed: ${unitsLeft(listing)} ədəd × ${formatPrice(listing.price ?? parseOrderPrice(listing), listing.paymentToken)}`
+            : `Listed: ${formatPrice(listing.price ?? parseOrderPrice(listing), listing.paymentToken)}`;
+
+      const card = document.createElement("div");
+      card.className = "nft-card";
+      card.innerHTML = `
+        <img src="${escapeHtml(image)}" alt="${name}"
+          onerror="this.src='https://ipfs.io/ipfs/QmExampleNFTImage/default.png'">
+        <h4>${name}</h4>
+        ${isErc1155() ? `<p class="units">Balans: ${escapeHtml(t.balance)} ədəd</p>` : ""}
+        <p class="listing-state">${state}</p>
+        ${bestOfferLine(t.bestOffer)}
+        <div class="nft-actions">
+          ${listing
+            ? `<button class="wallet-btn edit-btn">Qiyməti dəyiş</button>
+               <button class="wallet-btn cancel-btn" style="background:#333;">Ləğv et</button>`
+            : `<button class="wallet-btn list-btn">List</button>`}
+        </div>
+        ${t.bestOffer ? `<button class="wallet-btn accept-btn" style="margin-top:8px;">Ən yaxşı təklifi qəbul et</button>` : ""}
+      `;
+      inventoryDiv.appendChild(card);
+
+      const bind = (selector, action) => {
+        const btn = card.querySelector(selector);
+        if (!btn) return;
+        btn.onclick = async (ev) => {
+          ev.target.disabled = true;
+          try {
+            await action();
+          } catch (err) {
+            console.error(err);
+            alert("Xəta: " + err.message);
+          }
+          ev.target.disabled = false;
+          loadInventory();
+        };
+      };
+      bind(".list-btn", () => listNFT(t.tokenId));
+      bind(".edit-btn", () => editListingPrice(listing));
+      bind(".cancel-btn", () => cancelListing(listing));
+      bind(".accept-btn", () => acceptOffer(t.bestOffer, t.tokenId));
+    }
+  } catch (err) {
+    console.error(err);
+    inventoryDiv.innerHTML = "<p>Xəta baş verdi.</p>";
+  }
 }
 
 // Expose to window (HTML üçün lazımdır)
 window.buyNFT = buyNFT;
 window.listNFT = listNFT;
-window.loadOrders = loadOrders;
\ No newline at end of file
+window.loadOrders = loadOrders;
+window.showTokenHistory = showTokenHistory;
+window.cancelListing = cancelListing;
+window.cancelAllListings = cancelAllListings;
+window.loadInventory = loadInventory;
+window.makeOffer = makeOffer;
+window.loadAuctions = loadAuctions;
+window.checkoutOrders = checkoutOrders;
+window.sweepFloor = sweepFloor;
+window.acceptOffer = acceptOffer;
+window.cancelOffer = cancelOffer;
\ No newline at end of file
@@ -0,0 +1,230 @@
+/**
+ * offerRepository.js — the only place that writes the `offers` table
+ *
+ * Offers follow the same status machine as listings (orderRepository.js).
+ * A collection offer has kind "collection" and no tokenId until it is
+ * accepted for a specific token. Bids in an English auction are token
+ * offers with an auctionId; accepting one settles the auction.
+ */
+
+import { nanoid } from "nanoid";
+import { supabase } from "./db.js";
+import { canTransition, InvalidTransitionError } from "./orderRepository.js";
+import { recordActivity } from "./activityRepository.js";
+import { transitionAuction } from "./auctionRepository.js";
+
+export const OFFER_KINDS = ["token", "collection"];
+
+// Columns that describe an acceptance or cancellation rather than the offer
+const STATUS_FIELDS = ["tokenId", "sellerAddress", "fulfillTxHash", "onChainBlock"];
+
+function pick(obj, keys) {
+  const out = {};
+  for (const k of keys) {
+    if (obj[k] !== undefined && obj[k] !== null) out[k] = obj[k];
+  }
+  return out;
+}
+
+// Activity rows are shaped like orders: the bidder makes the offer, the
+// token owner sells when it is accepted
+function toActivity(offer) {
+  const accepted = offer.status === "fulfilled";
+  return {
+    status: offer.status,
+    orderHash: offer.orderHash,
+    tokenId: offer.tokenId,
+    nftContract: offer.nftContract,
+    seller: accepted ? offer.sellerAddress : offer.buyer,
+    buyerAddress: offer.buyer,
+    price: offer.price,
+    currency: "erc20",
+    paymentToken: offer.paymentToken,
+    fulfillTxHash: offer.fulfillTxHash,
+    onChainBlock: offer.onChainBlock,
+  };
+}
+
+// -------------------- READ --------------------
+export async function findOffer(orderHash) {
+  const { data, error } = await supabase
+    .from("offers")
+    .select("*")
+    .eq("orderHash", orderHash.toLowerCase())
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Highest-first page of offers. With `tokenId`, collection offers are
+ * included since they can be accepted for any token. Active offers past
+ * their endTime are left out.
+ */
+export async function listOffers({ nftContract, tokenId, buyer, status = "active", page = 1, limit = 20 } = {}) {
+  let query = supabase.from("offers").select("*", { count: "exact" });
+
+  if (nftContract) query = query.eq("nftContract", nftContract.toLowerCase());
+  if (tokenId) query = query.or(`tokenId.eq.${tokenId},kind.eq.collection`);
+  if (buyer) query = query.eq("buyer", buyer.toLowerCase());
+  if (status !== "all") query = query.eq("status", status);
+  if (status === "active") query = query.gt("endTime", new Date().toISOString());
+
+  const from = (page - 1) * limit;
+  const { data, error, count } = await query
+    .order("price", { ascending: false })
+    .order("createdAt", { ascending: true })
+    .range(from, from + limit - 1);
+
+  if (error && error.code !== "PGRST103") throw error;
+
+  return { offers: data || [], total: count ?? 0 };
+}
+
+/**
+ * Best active offer per token id: the higher of the token's own best offer
+ * and the best collection offer. Tokens without any offer are absent.
+ */
+export async function getBestOffers(nftContract, tokenIds) {
+  const contract = nftContract.toLowerCase();
+  const now = new Date().toISOString();
+
+  const [tokenRes, collectionRes] = await Promise.all([
+    tokenIds.length
+      ? supabase
+          .from("offers")
+          .select("*")
+          .eq("nftContract", contract)
+          .eq("kind", "token")
+          .eq("status", "active")
+          .gt("endTime", now)
+          .in("tokenId", tokenIds.map(String))
+          .order("price", { ascending: false })
+      : { data: [] },
+    supabase
+      .from("offers")
+      .select("*")
+      .eq("nftContract", contract)
+      .eq("kind", "collection")
+      .eq("status", "active")
+      .gt("endTime", now)
+      .order("price", { ascending: false })
+      .limit(1),
+  ]);
+  if (tokenRes.error) throw tokenRes.error;
+  if (collectionRes.error) throw collectionRes.error;
+
+  const collectionBest = collectionRes.data[0] || null;
+  const best = new Map();
+  for (const id of tokenIds.map(String)) {
+    // Rows are sorted by price, so the first one per token is its best
+    const own = tokenRes.data.find((o) => o.tokenId === id);
+    const top = own && (!collectionBest || Number(own.price) >= Number(collectionBest.price)) ? own : collectionBest;
+    if (top) best.set(id, top);
+  }
+  return best;
+}
+
+/**
+ * Every open (active or inactive) offer made by `buyer`.
+ */
+export async function findOpenOffersByBuyer(buyer) {
+  const { data, error } = await supabase
+    .from("offers")
+    .select("*")
+    .eq("buyer", buyer.toLowerCase())
+    .in("status", ["active", "inactive"]);
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Open (active or inactive) offers whose endTime has passed.
+ */
+export async function findExpiredOffers({ limit = 500 } = {}) {
+  const { data, error } = await supabase
+    .from("offers")
+    .select("*")
+    .in("status", ["active", "inactive"])
+    .lt("endTime", new Date().toISOString())
+    .limit(limit);
+  if (error) throw error;
+  return data;
+}
+
+// -------------------- WRITE --------------------
+// The seller accepted a bid: the sale happened even if the auction had already closed unsold
+async function settleAuction(offer) {
+  try {
+    await transitionAuction(offer.auctionId, "settled", { winningOfferHash: offer.orderHash });
+  } catch (e) {
+    if (!(e instanceof InvalidTransitionError)) throw e;
+  }
+}
+
+/**
+ * Stores a verified offer; posting the same orderHash again returns the
+ * existing row unchanged. New offers are added to the activity feed.
+ */
+export async function saveOffer(offer, { occurredAt } = {}) {
+  const orderHash = offer.orderHash.toLowerCase();
+  const existing = await findOffer(orderHash);
+  if (existing) return existing;
+
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from("offers")
+    .insert({
+      id: nanoid(),
+      ...offer,
+      orderHash,
+      nftContract: offer.nftContract.toLowerCase(),
+      buyer: offer.buyer.toLowerCase(),
+      paymentToken: offer.paymentToken.toLowerCase(),
+      status: "active",
+      createdAt: now,
+      updatedAt: now,
+    })
+    .select()
+    .single();
+  if (error?.code === "23505") return findOffer(orderHash);
+  if (error) throw error;
+  await recordActivity(toActivity(data), { occurredAt, type: "offer" });
+  return data;
+}
+
+/**
+ * Moves an offer to `status`, applying only acceptance/cancellation
+ * columns from `fields`. Same contract as transitionOrder(): re-applying
+ * the current status is a no-op, unknown offers return null and forbidden
+ * moves throw InvalidTransitionError. Accepted offers are recorded as sales.
+ */
+export async function transitionOffer(orderHash, status, fields = {}, { occurredAt } = {}) {
+  const hash = orderHash.toLowerCase();
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const current = await findOffer(hash);
+    if (!current) return null;
+    if (current.status === status) return current;
+    if (!canTransition(current.status, status)) {
+      throw new InvalidTransitionError(hash, current.status, status);
+    }
+
+    const { data, error } = await supabase
+      .from("offers")
+      .update({ ...pick(fields, STATUS_FIELDS), status, updatedAt: new Date().toISOString() })
+      .eq("orderHash", hash)
+      .eq("status", current.status)
+      .select();
+    if (error) throw error;
+    if (data.length) {
+      if (status === "fulfilled") {
+        await recordActivity(toActivity(data[0]), { occurredAt });
+        if (data[0].auctionId) await settleAuction(data[0]);
+      }
+      return data[0];
+    }
+  }
+
+  throw new Error(`Offer ${hash} kept changing while moving it to ${status}`);
+}
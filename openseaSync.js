@@ -1,139 +1,279 @@
 /**
  * openseaSync.js — Opensea Active Listings → Supabase
- * API-Key safe + retry + rate limit
+ *
+ * For every registered collection with an OpenSea slug, pages through all
+ * its active listings (GET /api/v2/listings/collection/{slug}/all), maps
+ * each one's protocol_data to a fulfillable Seaport order and stores it
+ * with source "opensea". After a complete crawl of a collection, its open
+ * "opensea" rows the API no longer returns are marked inactive (DELISTED).
+ *
+ * Requests go through a token bucket (OPENSEA_RPS / OPENSEA_BURST); 429s
+ * and 5xx are retried, honouring Retry-After. OPENSEA_API_URL points the
+ * importer at another host (e.g. a local mock of the endpoints).
  */
 
 import fetch from "node-fetch";
 import dotenv from "dotenv";
-import { nanoid } from "nanoid";
-import { createClient } from "@supabase/supabase-js";
+import { ethers } from "ethers";
+import { getTokenDecimals } from "./chain.js";
+import { ITEM_TYPE, orderFromProtocolData, considerationTotal, endTimeIso } from "./seaportOrders.js";
+import {
+  saveListing,
+  findOpenOrdersAfter,
+  transitionOrder,
+  setInactiveReason,
+  InvalidTransitionError,
+} from "./orderRepository.js";
+import { listCollections } from "./collectionRepository.js";
 
 dotenv.config();
 
 // -----------------------
-// 🔌 Supabase Connect
+// 🔧 ENV
 // -----------------------
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE_KEY,
-  { auth: { persistSession: false } }
-);
+const SEAPORT_CONTRACT_ADDRESS = process.env.SEAPORT_CONTRACT_ADDRESS;
+const OPENSEA_API_KEY = process.env.OPENSEA_API_KEY;
+const API_URL = (process.env.OPENSEA_API_URL || "https://api.opensea.io").replace(/\/$/, "");
+const PAGE_SIZE = Math.min(parseInt(process.env.OPENSEA_PAGE_SIZE || "100"), 100); // API max
+const RPS = parseFloat(process.env.OPENSEA_RPS || "2");
+const BURST = parseInt(process.env.OPENSEA_BURST || "4");
+const MAX_RETRIES = 5;
+const BASE_DELAY = 2000; // ms, doubled per retry
+
+if (!OPENSEA_API_KEY || !process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+  console.error("❌ Missing env variables");
+  process.exit(1);
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+const totals = { saved: 0, duplicate: 0, skipped: 0, delisted: 0 };
 
 // -----------------------
-// 🔧 ENV
+// 🪣 Token bucket
 // -----------------------
-const NFT_CONTRACT = process.env.NFT_CONTRACT_ADDRESS;
-const LIMIT = 5;
-const MAX_RETRIES = 3;
-const BASE_DELAY = 6000; // ms → 1 req/sec safe
-const OPENSEA_API_KEY = process.env.OPENSEA_API_KEY;
+// `rate` requests per second on average, up to `burst` back to back
+function rateLimiter({ rate, burst }) {
+  let tokens = burst;
+  let last = Date.now();
+
+  return async function take() {
+    for (;;) {
+      const now = Date.now();
+      tokens = Math.min(burst, tokens + ((now - last) / 1000) * rate);
+      last = now;
+      if (tokens >= 1) {
+        tokens -= 1;
+        return;
+      }
+      await sleep(((1 - tokens) / rate) * 1000);
+    }
+  };
+}
+
+const takeToken = rateLimiter({ rate: RPS, burst: BURST });
 
 // -----------------------
 // 🟢 Fetch Listings + Retry
 // -----------------------
-async function fetchListings(cursor = null, retry = 0) {
-  try {
-    const url = new URL(`https://api.opensea.io/v2/orders/ethereum/seaport/listings`);
-    url.searchParams.append("asset_contract_address", NFT_CONTRACT);
-    url.searchParams.append("order_by", "created_date");
-    url.searchParams.append("order_direction", "asc");
-    url.searchParams.append("limit", LIMIT);
-    if (cursor) url.searchParams.append("cursor", cursor);
-
-    const res = await fetch(url.toString(), {
-      headers: { "X-API-KEY": OPENSEA_API_KEY }
-    });
-
-    if (!res.ok) {
-      const txt = await res.text();
-      throw new Error(`Opensea API error ${res.status}: ${txt}`);
-    }
+async function fetchPage(openseaSlug, cursor = null) {
+  const url = new URL(`${API_URL}/api/v2/listings/collection/${openseaSlug}/all`);
+  url.searchParams.append("limit", PAGE_SIZE);
+  if (cursor) url.searchParams.append("next", cursor);
+
+  for (let retry = 0; ; retry++) {
+    await takeToken();
 
-    return await res.json();
+    let status = 0; // 0 = network error
+    let detail;
+    let retryAfter = NaN;
+    try {
+      const res = await fetch(url.toString(), {
+        headers: { "X-API-KEY": OPENSEA_API_KEY, Accept: "application/json" },
+      });
+      if (res.ok) return await res.json();
+      status = res.status;
+      detail = await res.text();
+      retryAfter = parseFloat(res.headers.get("retry-after"));
+    } catch (err) {
+      detail = err.message;
+    }
 
-  } catch (err) {
-    if (retry < MAX_RETRIES) {
-      const delay = BASE_DELAY * (retry + 1);
-      console.warn(`⚠️ Retry #${retry + 1}/${MAX_RETRIES} after ${delay}ms | Error: ${err.message}`);
-      await new Promise(r => setTimeout(r, delay));
-      return fetchListings(cursor, retry + 1);
+    // 429 and server/network errors are worth another try; other 4xx are not
+    const retryable = status === 0 || status === 429 || status >= 500;
+    if (!retryable || retry >= MAX_RETRIES) {
+      throw new Error(`Opensea API error ${status}: ${detail}`);
     }
-    throw new Error(`Opensea fatal: ${err.message}`);
+
+    const delay = Number.isFinite(retryAfter) ? retryAfter * 1000 : BASE_DELAY * 2 ** retry;
+    console.warn(`⚠️ Retry #${retry + 1}/${MAX_RETRIES} after ${delay}ms | ${status} ${detail}`);
+    await sleep(delay);
   }
 }
 
 // -----------------------
 // 📤 Save to Supabase
 // -----------------------
-async function saveOrder(order) {
-  const id = nanoid();
-  const now = new Date().toISOString();
-
-  const tokenId = order.asset?.token_id;
-  const price = order.current_price ? Number(order.current_price) / 1e18 : null; // ETH to number
-  const seller = order.maker?.address?.toLowerCase() || null;
-  const orderHash = order.order_hash;
-
-  const { error } = await supabase.from("orders").upsert(
-    {
-      id,
-      tokenId,
-      price,
-      nftContract: NFT_CONTRACT,
-      marketplaceContract: "opensea",
-      seller,
-      buyerAddress: null,
-      seaportOrder: order,
-      orderHash,
-      onChain: false,
-      status: "active",
-      image: order.asset?.image_url || null,
-      createdAt: now,
-      updatedAt: now
-    },
-    { onConflict: "orderHash" }
-  );
+// null (with a logged reason) for listings this marketplace cannot fill
+function toListing(listing, collection) {
+  const orderHash = listing.order_hash?.toLowerCase();
+  const skip = (why) => {
+    console.log(`⏭ ${orderHash || "?"}: ${why}`);
+    return null;
+  };
+
+  if (!orderHash) return skip("no order_hash");
+  if (SEAPORT_CONTRACT_ADDRESS && listing.protocol_address?.toLowerCase() !== SEAPORT_CONTRACT_ADDRESS.toLowerCase()) {
+    return skip(`other Seaport (${listing.protocol_address})`);
+  }
+
+  const seaportOrder = orderFromProtocolData(listing.protocol_data, orderHash);
+  if (!seaportOrder) return skip("protocol_data does not hash to order_hash");
+
+  const { parameters } = seaportOrder;
+  const [nft] = parameters.offer;
+  if (
+    parameters.offer.length !== 1 ||
+    nft.itemType !== ITEM_TYPE.ERC721 ||
+    nft.token.toLowerCase() !== collection.address
+  ) {
+    return skip("not a single ERC-721 of this collection");
+  }
+  // Zone-restricted orders need the zone's signature at fill time, which only OpenSea can give
+  if (parameters.orderType >= 2 && parameters.zone !== ethers.constants.AddressZero) {
+    return skip("restricted to OpenSea's zone");
+  }
 
-  if (error) console.error("❌ Supabase upsert error:", error);
-  else console.log(`✅ Saved tokenId: ${tokenId}`);
+  const total = considerationTotal(parameters.consideration);
+  if (!total) return skip("mixed or non-fungible consideration");
+
+  return { orderHash, seaportOrder, nft, total };
+}
+
+async function saveOrder(listing, collection) {
+  const mapped = toListing(listing, collection);
+  if (!mapped) {
+    totals.skipped++;
+    return;
+  }
+  const { orderHash, seaportOrder, nft, total } = mapped;
+  const decimals = await getTokenDecimals(total.paymentToken);
+
+  await saveListing({
+    tokenId: nft.identifierOrCriteria,
+    // Exact: wei string → decimal string, no float on the way
+    price: ethers.utils.formatUnits(total.amount, decimals),
+    // Dutch auction listed on OpenSea
+    startPrice: total.startAmount.eq(total.amount) ? null : ethers.utils.formatUnits(total.startAmount, decimals),
+    startTime: endTimeIso(seaportOrder.parameters.startTime),
+    // Private listing reserved for one buyer
+    taker: total.taker,
+    currency: total.paymentToken ? "erc20" : "native",
+    paymentToken: total.paymentToken,
+    nftContract: collection.address,
+    marketplaceContract: listing.protocol_address.toLowerCase(),
+    source: "opensea",
+    seller: seaportOrder.parameters.offerer,
+    seaportOrder,
+    orderHash,
+    endTime: endTimeIso(seaportOrder.parameters.endTime),
+    onChain: false,
+  });
+  totals.saved++;
+}
+
+// -----------------------
+// 🧹 Delisting detection
+// -----------------------
+// Open "opensea" rows of the collection that its finished crawl did not see.
+// Already inactive ones (NOT_OWNER, NOT_APPROVED) are re-tagged DELISTED so
+// the sweep does not bring them back once the token is fillable again.
+async function markDelisted(collection, seen) {
+  let after = null;
+  for (;;) {
+    const batch = await findOpenOrdersAfter(after, { source: "opensea", nftContract: collection.address });
+    if (batch.length === 0) return;
+    after = batch[batch.length - 1].id;
+
+    for (const order of batch) {
+      if (seen.has(order.orderHash) || order.inactiveReason === "DELISTED") continue;
+      try {
+        const updated =
+          order.status === "inactive"
+            ? await setInactiveReason(order.orderHash, "DELISTED")
+            : await transitionOrder(order.orderHash, "inactive", { inactiveReason: "DELISTED" });
+        if (!updated) continue;
+        totals.delisted++;
+        console.log(`🗑 #${order.tokenId} ${order.orderHash} → inactive (DELISTED)`);
+      } catch (e) {
+        if (!(e instanceof InvalidTransitionError)) throw e;
+      }
+    }
+  }
 }
 
 // -----------------------
 // 🔄 Main Sync Loop
 // -----------------------
-async function main() {
-  console.log(`🚀 Opensea Sync başladı... NFT: ${NFT_CONTRACT}`);
+async function syncCollection(collection) {
+  console.log(`📚 ${collection.name}: ${collection.openseaSlug} (${collection.address})`);
 
-  let total = 0;
+  const seen = new Set();
   let cursor = null;
 
-  try {
-    while (true) {
-      console.log(`🌐 Fetching cursor: ${cursor || "start"}...`);
-      const data = await fetchListings(cursor);
-      const listings = data.orders || [];
+  do {
+    console.log(`🌐 Fetching cursor: ${cursor || "start"}...`);
+    const data = await fetchPage(collection.openseaSlug, cursor);
 
-      if (listings.length === 0) {
-        console.log("⛔ No more listings.");
-        break;
+    for (const listing of data.listings || []) {
+      const hash = listing.order_hash?.toLowerCase();
+      if (hash && seen.has(hash)) {
+        totals.duplicate++;
+        continue;
       }
+      if (hash) seen.add(hash);
 
-      for (const nft of listings) {
-        await saveOrder(nft);
-        await new Promise(r => setTimeout(r, BASE_DELAY));
-        total++;
+      try {
+        await saveOrder(listing, collection);
+      } catch (error) {
+        totals.skipped++;
+        console.error(`❌ Supabase save error (${hash}):`, error.message || error);
       }
-
-      cursor = data.next; // Opensea pagination
-      if (!cursor) break;
     }
 
-    console.log(`🎉 Sync Bitdi! Total saved: ${total}`);
+    cursor = data.next || null;
+  } while (cursor);
 
-  } catch (err) {
-    console.error(`💀 Fatal error: ${err.message}`);
+  // Only a complete crawl proves a listing is gone
+  await markDelisted(collection, seen);
+}
+
+async function main() {
+  const collections = (await listCollections()).filter((c) => c.openseaSlug);
+  console.log(`🚀 Opensea Sync başladı... ${collections.length} collection(s), page ${PAGE_SIZE}, ${RPS} req/s`);
+
+  // One failing collection does not stop the others
+  let failed = 0;
+  for (const collection of collections) {
+    try {
+      await syncCollection(collection);
+    } catch (err) {
+      failed++;
+      console.error(`❌ ${collection.slug}: ${err.message}`);
+    }
+  }
+
+  console.log(
+    `🎉 Sync Bitdi! saved: ${totals.saved}, duplicate: ${totals.duplicate}, ` +
+      `skipped: ${totals.skipped}, delisted: ${totals.delisted}`
+  );
+  if (failed) {
+    console.error(`💀 ${failed} collection(s) failed`);
     process.exit(1);
   }
 }
 
-main();
+main().catch((err) => {
+  console.error(`💀 Fatal error: ${err.message}`);
+  process.exit(1);
+});
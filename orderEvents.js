@@ -0,0 +1,87 @@
+/**
+ * orderEvents.js — live order lifecycle feed (GET /api/events)
+ *
+ * Every writer (API, chain sync, OpenSea import, sweep) adds what happens to
+ * an order to the `activity` table, so polling it sees changes made by any
+ * process. Each new row becomes { type, activity, order } with the order's
+ * current orders_view row. A new listing of a token its seller cancelled a
+ * listing for shortly before is a re-price and comes out as "price".
+ */
+
+import { findActivityAfter, findLatestActivityId } from "./activityRepository.js";
+import { findOrdersByHash } from "./orderRepository.js";
+
+const POLL_MS = process.env.EVENTS_POLL_MS ? parseInt(process.env.EVENTS_POLL_MS) : 3000;
+// Cancel + new listing within this window is one price change
+const REPRICE_WINDOW_MS = 10 * 60_000;
+
+// Activity types that are order lifecycle events (offers have their own feed)
+const EVENT_TYPES = ["listing", "sale", "cancel", "expire", "inactive"];
+
+const listeners = new Set();
+const recentCancels = new Map(); // nftContract:tokenId:seller → { orderHash, price, at }
+let lastId = null;
+let timer = null;
+
+const tokenKey = (a) => `${a.nftContract}:${a.tokenId}:${a.fromAddress}`;
+
+function toEvent(activity, order) {
+  const key = tokenKey(activity);
+  const now = Date.now();
+  for (const [k, c] of recentCancels) if (now - c.at > REPRICE_WINDOW_MS) recentCancels.delete(k);
+
+  if (activity.type === "cancel") {
+    recentCancels.set(key, { orderHash: activity.orderHash, price: activity.price, at: now });
+  }
+  if (activity.type === "listing" && recentCancels.has(key)) {
+    const { orderHash, price } = recentCancels.get(key);
+    recentCancels.delete(key);
+    return { type: "price", activity, order, replaces: orderHash, previousPrice: price };
+  }
+  return { type: activity.type, activity, order };
+}
+
+async function poll() {
+  if (lastId === null) lastId = await findLatestActivityId();
+
+  for (;;) {
+    const rows = await findActivityAfter(lastId);
+    if (rows.length === 0) return;
+    lastId = rows[rows.length - 1].id;
+
+    const relevant = rows.filter((a) => EVENT_TYPES.includes(a.type));
+    const orders = await findOrdersByHash([...new Set(relevant.map((a) => a.orderHash))]);
+    const byHash = new Map(orders.map((o) => [o.orderHash, o]));
+
+    // A private listing's order stays with its seller and buyer; only its sale is public
+    const events = relevant.map((a) => {
+      const order = byHash.get(a.orderHash) ?? null;
+      return toEvent(a, order?.taker ? null : order);
+    });
+    if (events.length) for (const listener of listeners) listener(events);
+  }
+}
+
+function schedule() {
+  timer = setTimeout(async () => {
+    try {
+      await poll();
+    } catch (err) {
+      console.warn("⚠️ Order events poll failed:", err.message);
+    }
+    if (listeners.size) return schedule();
+    // Nobody listens: the next subscriber starts from then, not from here
+    timer = null;
+    lastId = null;
+  }, POLL_MS);
+}
+
+/**
+ * Calls `listener(events)` with each new batch of events; polling runs
+ * while anyone listens. Returns the unsubscribe function.
+ */
+export function onOrderEvents(listener) {
+  listeners.add(listener);
+  if (!timer) schedule();
+  return () => listeners.delete(listener);
+}
@@ -0,0 +1,459 @@
+/**
+ * orderRepository.js — the only place that writes the `orders` table (and
+ * its `order_fills` ledger)
+ *
+ * Used by server.js, openseaSync.js and syncSeaportOrders.js so that every
+ * source follows the same status state machine and never wipes listing
+ * data it does not know about.
+ */
+
+import { nanoid } from "nanoid";
+import { supabase } from "./db.js";
+import { recordActivity } from "./activityRepository.js";
+
+// -------------------- STATUS MACHINE --------------------
+export const ORDER_STATUSES = ["active", "inactive", "expired", "fulfilled", "cancelled"];
+
+// fulfilled and cancelled are final; inactive (NFT moved / approval revoked) can recover.
+// An expired order can still turn out fulfilled: a sale mined before endTime
+// may only reach us after the sweep expired it, and the chain proves the fill.
+const TRANSITIONS = {
+  active: ["inactive", "expired", "fulfilled", "cancelled"],
+  inactive: ["active", "expired", "fulfilled", "cancelled"],
+  expired: ["fulfilled", "cancelled"],
+  fulfilled: [],
+  cancelled: [],
+};
+
+export function canTransition(from, to) {
+  return TRANSITIONS[from]?.includes(to) ?? false;
+}
+
+export class InvalidTransitionError extends Error {
+  constructor(orderHash, from, to) {
+    super(`Order ${orderHash} cannot go from ${from} to ${to}`);
+    this.name = "InvalidTransitionError";
+    this.orderHash = orderHash;
+    this.from = from;
+    this.to = to;
+  }
+}
+
+// Listing fields a later source may fill in, but never overwrite
+const LISTING_FIELDS = [
+  "tokenId",
+  "price",
+  "currency",
+  "paymentToken",
+  "seaportOrder",
+  "endTime",
+  "image",
+  "nftContract",
+  "marketplaceContract",
+  "quantity",
+  "startPrice",
+  "startTime",
+  "taker",
+];
+
+// Columns that describe a sale or cancellation rather than the listing
+const STATUS_FIELDS = [
+  "buyerAddress",
+  "onChain",
+  "onChainBlock",
+  "fulfillTxHash",
+  "currency",
+  "paymentToken",
+  "sellerProceeds",
+  "fees",
+];
+
+function pick(obj, keys) {
+  const out = {};
+  for (const k of keys) {
+    if (obj[k] !== undefined && obj[k] !== null) out[k] = obj[k];
+  }
+  return out;
+}
+
+function hasSignedOrder(row) {
+  return !!row.seaportOrder?.signature;
+}
+
+// -------------------- READ --------------------
+export async function findOrder(orderHash) {
+  const { data, error } = await supabase
+    .from("orders")
+    .select("*")
+    .eq("orderHash", orderHash.toLowerCase())
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+export const ORDER_SORTS = {
+  newest: { column: "createdAt", ascending: false },
+  oldest: { column: "createdAt", ascending: true },
+  // Dutch auctions sort by what they cost now
+  price_asc: { column: "currentPrice", ascending: true },
+  price_desc: { column: "currentPrice", ascending: false },
+  rarity: { column: "rarityRank", ascending: true },
+};
+
+/**
+ * One page of orders plus the total row count for the same filters.
+ * `nftContract` scopes it to one collection; `status: "all"` disables the
+ * status filter; `currency` is "native" or "erc20" (prices are only
+ * comparable within one currency). `traits` maps a trait type to accepted
+ * values: any value within a type, every listed type must match.
+ * Private listings are left out unless `viewer` is their seller or taker.
+ */
+export async function listOrders({
+  nftContract,
+  viewer,
+  status = "active",
+  seller,
+  tokenId,
+  minPrice,
+  maxPrice,
+  currency,
+  traits = {},
+  sort = "newest",
+  page = 1,
+  limit = 12,
+} = {}) {
+  let query = supabase.from("orders_view").select("*", { count: "exact" });
+
+  if (nftContract) query = query.eq("nftContract", nftContract.toLowerCase());
+  if (status !== "all") query = query.eq("status", status);
+  if (seller) query = query.eq("seller", seller.toLowerCase());
+  if (tokenId) query = query.eq("tokenId", tokenId.toString());
+  if (minPrice !== undefined) query = query.gte("currentPrice", minPrice);
+  if (maxPrice !== undefined) query = query.lte("currentPrice", maxPrice);
+  if (currency) query = query.eq("currency", currency);
+  if (viewer) {
+    const v = viewer.toLowerCase();
+    query = query.or(`taker.is.null,seller.eq.${v},taker.eq.${v}`);
+  } else {
+    query = query.is("taker", null);
+  }
+  for (const [type, values] of Object.entries(traits)) {
+    query = query.overlaps("traits", values.map((v) => `${type}:${v}`));
+  }
+
+  const { column, ascending } = ORDER_SORTS[sort];
+  const from = (page - 1) * limit;
+
+  const { data, error, count } = await query
+    .order(column, { ascending, nullsFirst: false })
+    .order("id", { ascending: true })
+    .range(from, from + limit - 1);
+
+  // PostgREST answers 416 when the offset is past the last row
+  if (error && error.code !== "PGRST103") throw error;
+
+  return { orders: data || [], total: count ?? 0 };
+}
+
+/**
+ * A seller's open (active or inactive) listings for the given token ids of
+ * one collection, with remainingQuantity.
+ */
+export async function findOpenListings(nftContract, seller, tokenIds) {
+  if (tokenIds.length === 0) return [];
+  const { data, error } = await supabase
+    .from("orders_view")
+    .select("*")
+    .eq("nftContract", nftContract.toLowerCase())
+    .eq("seller", seller.toLowerCase())
+    .in("status", ["active", "inactive"])
+    .in("tokenId", tokenIds.map(String))
+    .order("createdAt", { ascending: false });
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Orders (from orders_view, so with remainingQuantity and currentPrice) by
+ * orderHash; unknown hashes are left out.
+ */
+export async function findOrdersByHash(orderHashes) {
+  if (orderHashes.length === 0) return [];
+  const { data, error } = await supabase
+    .from("orders_view")
+    .select("*")
+    .in("orderHash", orderHashes.map((h) => h.toLowerCase()));
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Distinct token ids the collection has ever had a listing for (any status).
+ */
+export async function findListedTokenIds(nftContract) {
+  const ids = new Set();
+  for (let from = 0; ; from += 1000) {
+    const { data, error } = await supabase
+      .from("orders")
+      .select("tokenId")
+      .eq("nftContract", nftContract.toLowerCase())
+      .order("id")
+      .range(from, from + 999);
+    if (error) throw error;
+    data.forEach((r) => r.tokenId !== null && ids.add(String(r.tokenId)));
+    if (data.length < 1000) return [...ids];
+  }
+}
+
+/**
+ * Every open (active or inactive) order of a seller.
+ */
+export async function findOpenOrdersBySeller(seller) {
+  const { data, error } = await supabase
+    .from("orders")
+    .select("*")
+    .eq("seller", seller.toLowerCase())
+    .in("status", ["active", "inactive"]);
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Open (active or inactive) orders whose endTime has passed.
+ */
+export async function findExpiredOrders({ limit = 500 } = {}) {
+  const { data, error } = await supabase
+    .from("orders")
+    .select("*")
+    .in("status", ["active", "inactive"])
+    .lt("endTime", new Date().toISOString())
+    .limit(limit);
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Open orders in id order, `limit` at a time after id `after` (keyset
+ * paging stays stable while rows change status underneath). `source`
+ * ("local" / "opensea") and `nftContract` narrow it further. Rows come
+ * from orders_view, so they carry remainingQuantity.
+ */
+export async function findOpenOrdersAfter(after, { limit = 200, source, nftContract } = {}) {
+  let query = supabase.from("orders_view").select("*").in("status", ["active", "inactive"]);
+  if (source) query = query.eq("source", source);
+  if (nftContract) query = query.eq("nftContract", nftContract.toLowerCase());
+  if (after) query = query.gt("id", after);
+  const { data, error } = await query.order("id").limit(limit);
+  if (error) throw error;
+  return data;
+}
+
+// -------------------- WRITE --------------------
+/**
+ * Stores a listing. An existing row for the same orderHash keeps its id,
+ * status and createdAt; only listing fields it is missing are filled in
+ * (e.g. an OrderValidated row gets its signed order from the API).
+ * An inactive listing that is posted again becomes active.
+ *
+ * New listings are recorded in the activity feed at `occurredAt` (default now).
+ */
+export async function saveListing(listing, { occurredAt } = {}) {
+  const orderHash = listing.orderHash.toLowerCase();
+  const now = new Date().toISOString();
+  const existing = await findOrder(orderHash);
+
+  if (!existing) {
+    const row = {
+      id: nanoid(),
+      ...listing,
+      orderHash,
+      seller: listing.seller?.toLowerCase() ?? null,
+      status: listing.status || "active",
+      createdAt: now,
+      updatedAt: now,
+    };
+    const { data, error } = await supabase.from("orders").insert(row).select().single();
+    // Lost a race with another writer: fall through to the merge below
+    if (error?.code === "23505") return saveListing(listing, { occurredAt });
+    if (error) throw error;
+    await recordActivity(data, { occurredAt });
+    return data;
+  }
+
+  const patch = {};
+  for (const [k, v] of Object.entries(pick(listing, LISTING_FIELDS))) {
+    if (existing[k] === null || existing[k] === undefined) patch[k] = v;
+  }
+  if (listing.seaportOrder && !hasSignedOrder(existing) && hasSignedOrder(listing)) {
+    patch.seaportOrder = listing.seaportOrder;
+  }
+  if (existing.status === "inactive" && (listing.status || "active") === "active") {
+    patch.status = "active";
+    patch.inactiveReason = null;
+  }
+  if (Object.keys(patch).length === 0) return existing;
+
+  const { data, error } = await supabase
+    .from("orders")
+    .update({ ...patch, updatedAt: now })
+    .eq("orderHash", orderHash)
+    .select()
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Moves an order to `status`, applying only sale/cancellation columns from
+ * `fields` (listing data is left alone). Re-applying the current status is
+ * a no-op that returns the row. When the order is unknown, `insert` (if
+ * given) is stored as a new row already in `status`; otherwise null.
+ *
+ * `fields.inactiveReason` is kept when moving to inactive and cleared on
+ * any other move.
+ *
+ * Throws InvalidTransitionError for moves the state machine forbids.
+ * Every actual change is added to the activity feed at `occurredAt`.
+ */
+export async function transitionOrder(orderHash, status, fields = {}, { insert, occurredAt } = {}) {
+  const hash = orderHash.toLowerCase();
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const current = await findOrder(hash);
+
+    if (!current) {
+      if (!insert) return null;
+      const now = new Date().toISOString();
+      const { data, error } = await supabase
+        .from("orders")
+        .insert({
+          id: nanoid(),
+          ...insert,
+          ...pick(fields, STATUS_FIELDS),
+          orderHash: hash,
+          status,
+          createdAt: now,
+          updatedAt: now,
+        })
+        .select()
+        .single();
+      if (error?.code === "23505") continue;
+      if (error) throw error;
+      await recordActivity(data, { occurredAt });
+      return data;
+    }
+
+    if (current.status === status) return current;
+    if (!canTransition(current.status, status)) {
+      throw new InvalidTransitionError(hash, current.status, status);
+    }
+
+    // Guard on the status we read so concurrent writers cannot both win
+    const { data, error } = await supabase
+      .from("orders")
+      .update({
+        ...pick(fields, STATUS_FIELDS),
+        status,
+        inactiveReason: status === "inactive" ? fields.inactiveReason ?? null : null,
+        updatedAt: new Date().toISOString(),
+      })
+      .eq("orderHash", hash)
+      .eq("status", current.status)
+      .select();
+    if (error) throw error;
+    if (data.length) {
+      await recordActivity(data[0], { occurredAt });
+      return data[0];
+    }
+  }
+
+  throw new Error(`Order ${hash} kept changing while moving it to ${status}`);
+}
+
+/**
+ * Changes why an inactive order is inactive (e.g. NOT_APPROVED → DELISTED)
+ * without a status move. Resolves to the updated row, or null when the
+ * order is not inactive (any more).
+ */
+export async function setInactiveReason(orderHash, inactiveReason) {
+  const { data, error } = await supabase
+    .from("orders")
+    .update({ inactiveReason, updatedAt: new Date().toISOString() })
+    .eq("orderHash", orderHash.toLowerCase())
+    .eq("status", "inactive")
+    .select();
+  if (error) throw error;
+  return data[0] ?? null;
+}
+
+/**
+ * Records one fill of a listing, read from its OrderFulfilled log: `units`
+ * bought by `buyerAddress` for `price` (the total paid, decimal string).
+ * Fills are keyed by (txHash, logIndex), so replays change nothing.
+ *
+ * Each new fill is a sale in the activity feed. Once fills cover the
+ * order's quantity it moves to fulfilled with `fields`; a partly filled
+ * order keeps its status. Resolves to { order, recorded, remaining }, or
+ * null when the order is unknown. An order that may not become fulfilled
+ * (a cancelled one) throws InvalidTransitionError before anything is
+ * written, so the ledger, the feed and the status always agree.
+ */
+export async function recordFill(orderHash, fill, fields = {}, { occurredAt } = {}) {
+  const hash = orderHash.toLowerCase();
+  const order = await findOrder(hash);
+  if (!order) return null;
+  if (order.status !== "fulfilled" && !canTransition(order.status, "fulfilled")) {
+    throw new InvalidTransitionError(hash, order.status, "fulfilled");
+  }
+
+  const { data: inserted, error } = await supabase
+    .from("order_fills")
+    .upsert(
+      {
+        orderHash: hash,
+        txHash: fill.txHash.toLowerCase(),
+        logIndex: fill.logIndex,
+        units: fill.units,
+        buyerAddress: fill.buyerAddress?.toLowerCase() ?? null,
+        price: fill.price ?? null,
+        blockNumber: fill.blockNumber ?? null,
+        createdAt: occurredAt || new Date().toISOString(),
+      },
+      { onConflict: "txHash,logIndex", ignoreDuplicates: true }
+    )
+    .select();
+  if (error) throw error;
+  const recorded = inserted.length > 0;
+
+  if (recorded) {
+    await recordActivity(
+      {
+        ...order,
+        ...pick(fields, STATUS_FIELDS),
+        buyerAddress: fill.buyerAddress?.toLowerCase() ?? null,
+        fulfillTxHash: fill.txHash.toLowerCase(),
+        onChainBlock: fill.blockNumber ?? null,
+        price: fill.price ?? null,
+        quantity: fill.units,
+      },
+      { occurredAt, type: "sale" }
+    );
+  }
+
+  // Summed after our insert, so the writer of the last fill always sees every unit
+  const { data: fills, error: sumError } = await supabase.from("order_fills").select("units").eq("orderHash", hash);
+  if (sumError) throw sumError;
+  const filled = fills.reduce((sum, f) => sum + Number(f.units), 0);
+  const remaining = Math.max(Number(order.quantity ?? 1) - filled, 0);
+
+  if (remaining > 0) return { order, recorded, remaining };
+
+  // Same tx as the sale above: the activity row it would add is a duplicate
+  const updated = await transitionOrder(
+    hash,
+    "fulfilled",
+    { ...fields, buyerAddress: fill.buyerAddress, fulfillTxHash: fill.txHash.toLowerCase(), onChainBlock: fill.blockNumber },
+    { occurredAt }
+  );
+  return { order: updated, recorded, remaining };
+}
@@ -0,0 +1,71 @@
+/**
+ * registerCollection.js — add or update a collection in the registry
+ *
+ *   node registerCollection.js <address> <slug> "<name>"
+ *        [--standard erc721|erc1155] [--opensea <opensea slug>]
+ *        [--royalty <recipient>:<bps>] [--supply <token count>]
+ *        [--deploy-block <block>]
+ */
+
+import { ethers } from "ethers";
+import dotenv from "dotenv";
+import { saveCollection, COLLECTION_STANDARDS } from "./collectionRepository.js";
+dotenv.config();
+
+function usage(message) {
+  console.error(`❌ ${message}`);
+  console.error('Usage: node registerCollection.js <address> <slug> "<name>" [--standard erc721|erc1155] [--opensea <slug>] [--royalty <recipient>:<bps>] [--supply <n>] [--deploy-block <block>]');
+  process.exit(1);
+}
+
+function flag(name) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i === -1 ? undefined : process.argv[i + 1];
+}
+
+async function main() {
+  const [address, slug, name] = process.argv.slice(2);
+  if (!address || !slug || !name) usage("address, slug and name are required");
+  if (!ethers.utils.isAddress(address)) usage(`Invalid address: ${address}`);
+  if (!/^[a-z0-9-]+$/.test(slug)) usage("slug may only contain a-z, 0-9 and -");
+
+  const standard = flag("standard") || "erc721";
+  if (!COLLECTION_STANDARDS.includes(standard)) usage(`Unknown standard: ${standard}`);
+
+  let royaltyRecipient = null;
+  let royaltyBps = null;
+  if (flag("royalty")) {
+    const [recipient, bps] = flag("royalty").split(":");
+    if (!ethers.utils.isAddress(recipient) || !/^\d+$/.test(bps || "") || Number(bps) > 10000) {
+      usage("--royalty must be <recipient>:<bps> with bps <= 10000");
+    }
+    royaltyRecipient = recipient.toLowerCase();
+    royaltyBps = Number(bps);
+  }
+
+  // Only needed when the contract has no totalSupply() (e.g. ERC-1155)
+  const supply = flag("supply");
+  if (supply !== undefined && !/^\d+$/.test(supply)) usage("--supply must be a non-negative integer");
+
+  // Wallet inventory scans the Transfer logs from here instead of block 0
+  const deployBlock = flag("deploy-block");
+  if (deployBlock !== undefined && !/^\d+$/.test(deployBlock)) usage("--deploy-block must be a block number");
+
+  const saved = await saveCollection({
+    address,
+    slug,
+    name,
+    standard,
+    openseaSlug: flag("opensea") || null,
+    royaltyRecipient,
+    royaltyBps,
+    totalSupply: supply === undefined ? null : Number(supply),
+    deployBlock: deployBlock === undefined ? null : Number(deployBlock),
+  });
+  console.log(`✅ ${saved.name} (${saved.slug}) → ${saved.address}`);
+}
+
+main().catch((err) => {
+  console.error("💀 Fatal:", err);
+  process.exit(1);
+});
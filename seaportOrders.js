@@ -0,0 +1,1184 @@
+/**
+ * seaportOrders.js — Seaport order verification (hash, signature, chain state)
+ */
+
+import { ethers } from "ethers";
+
+// -------------------- CONSTANTS --------------------
+export const ITEM_TYPE = {
+  NATIVE: 0,
+  ERC20: 1,
+  ERC721: 2,
+  ERC1155: 3,
+  ERC721_WITH_CRITERIA: 4,
+  ERC1155_WITH_CRITERIA: 5,
+};
+
+// PARTIAL_* orders may be filled a fraction at a time (some units of an ERC-1155)
+export const ORDER_TYPE = {
+  FULL_OPEN: 0,
+  PARTIAL_OPEN: 1,
+  FULL_RESTRICTED: 2,
+  PARTIAL_RESTRICTED: 3,
+};
+
+const NFT_ITEM_TYPES = [ITEM_TYPE.ERC721, ITEM_TYPE.ERC1155];
+const PAYMENT_ITEM_TYPES = [ITEM_TYPE.NATIVE, ITEM_TYPE.ERC20];
+
+const ZERO_BYTES32 = ethers.constants.HashZero;
+
+// Seaport EIP-712 types (OrderComponents is what the offerer signs)
+export const ORDER_TYPES = {
+  OrderComponents: [
+    { name: "offerer", type: "address" },
+    { name: "zone", type: "address" },
+    { name: "offer", type: "OfferItem[]" },
+    { name: "consideration", type: "ConsiderationItem[]" },
+    { name: "orderType", type: "uint8" },
+    { name: "startTime", type: "uint256" },
+    { name: "endTime", type: "uint256" },
+    { name: "zoneHash", type: "bytes32" },
+    { name: "salt", type: "uint256" },
+    { name: "conduitKey", type: "bytes32" },
+    { name: "counter", type: "uint256" },
+  ],
+  OfferItem: [
+    { name: "itemType", type: "uint8" },
+    { name: "token", type: "address" },
+    { name: "identifierOrCriteria", type: "uint256" },
+    { name: "startAmount", type: "uint256" },
+    { name: "endAmount", type: "uint256" },
+  ],
+  ConsiderationItem: [
+    { name: "itemType", type: "uint8" },
+    { name: "token", type: "address" },
+    { name: "identifierOrCriteria", type: "uint256" },
+    { name: "startAmount", type: "uint256" },
+    { name: "endAmount", type: "uint256" },
+    { name: "recipient", type: "address" },
+  ],
+};
+
+// -------------------- ABIs --------------------
+export const SEAPORT_ABI = [
+  "function information() view returns (string version, bytes32 domainSeparator, address conduitController)",
+  "function getCounter(address offerer) view returns (uint256 counter)",
+  "function getOrderStatus(bytes32 orderHash) view returns (bool isValidated, bool isCancelled, uint256 totalFilled, uint256 totalSize)",
+  "event OrderValidated(bytes32 orderHash, tuple(address offerer, address zone, tuple(uint8 itemType, address token, uint256 identifierOrCriteria, uint256 startAmount, uint256 endAmount)[] offer, tuple(uint8 itemType, address token, uint256 identifierOrCriteria, uint256 startAmount, uint256 endAmount, address recipient)[] consideration, uint8 orderType, uint256 startTime, uint256 endTime, bytes32 zoneHash, uint256 salt, bytes32 conduitKey, uint256 totalOriginalConsiderationItems) orderParameters)",
+  "event OrderFulfilled(bytes32 orderHash, address indexed offerer, address indexed zone, address recipient, tuple(uint8 itemType, address token, uint256 identifier, uint256 amount)[] offer, tuple(uint8 itemType, address token, uint256 identifier, uint256 amount, address recipient)[] consideration)",
+  "event OrderCancelled(bytes32 orderHash, address indexed offerer, address indexed zone)",
+  "event CounterIncremented(uint256 newCounter, address indexed offerer)",
+];
+
+const seaportInterface = new ethers.utils.Interface(SEAPORT_ABI);
+
+export const ERC721_ABI = [
+  "function ownerOf(uint256 tokenId) view returns (address)",
+  "function getApproved(uint256 tokenId) view returns (address)",
+  "function isApprovedForAll(address owner, address operator) view returns (bool)",
+  "function royaltyInfo(uint256 tokenId, uint256 salePrice) view returns (address receiver, uint256 royaltyAmount)",
+];
+
+export const ERC1155_ABI = [
+  "function balanceOf(address owner, uint256 id) view returns (uint256)",
+  "function isApprovedForAll(address owner, address operator) view returns (bool)",
+];
+
+const ERC20_ABI = [
+  "function balanceOf(address owner) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+];
+
+const CONDUIT_CONTROLLER_ABI = [
+  "function getConduit(bytes32 conduitKey) view returns (address conduit, bool exists)",
+];
+
+// -------------------- ERRORS --------------------
+export class OrderVerificationError extends Error {
+  constructor(code, message, status = 400) {
+    super(message);
+    this.name = "OrderVerificationError";
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// -------------------- HELPERS --------------------
+function sameAddress(a, b) {
+  return !!a && !!b && a.toLowerCase() === b.toLowerCase();
+}
+
+function isPartialOrder(orderType) {
+  return Number(orderType) === ORDER_TYPE.PARTIAL_OPEN || Number(orderType) === ORDER_TYPE.PARTIAL_RESTRICTED;
+}
+
+/**
+ * Splits a listing's consideration into the payments and the NFT items.
+ * A private listing has one NFT item: the listed token itself, sent to the
+ * only buyer who can take the order (the buyer fills it with matchOrders).
+ */
+function splitReserved(consideration) {
+  const isNft = (c) => NFT_ITEM_TYPES.includes(Number(c.itemType));
+  return { payments: consideration.filter((c) => !isNft(c)), reserved: consideration.filter(isNft) };
+}
+
+/**
+ * Picks exactly the signed OrderComponents fields out of a Seaport order
+ * `parameters` object (seaport-js adds extras like totalOriginalConsiderationItems).
+ */
+export function toOrderComponents(params) {
+  const item = (i) => ({
+    itemType: Number(i.itemType),
+    token: ethers.utils.getAddress(i.token),
+    identifierOrCriteria: ethers.BigNumber.from(i.identifierOrCriteria).toString(),
+    startAmount: ethers.BigNumber.from(i.startAmount).toString(),
+    endAmount: ethers.BigNumber.from(i.endAmount).toString(),
+  });
+
+  return {
+    offerer: ethers.utils.getAddress(params.offerer),
+    zone: ethers.utils.getAddress(params.zone),
+    offer: params.offer.map(item),
+    consideration: params.consideration.map((c) => ({
+      ...item(c),
+      recipient: ethers.utils.getAddress(c.recipient),
+    })),
+    orderType: Number(params.orderType),
+    startTime: ethers.BigNumber.from(params.startTime).toString(),
+    endTime: ethers.BigNumber.from(params.endTime).toString(),
+    zoneHash: ethers.utils.hexZeroPad(params.zoneHash, 32),
+    salt: ethers.BigNumber.from(params.salt).toString(),
+    conduitKey: ethers.utils.hexZeroPad(params.conduitKey, 32),
+    counter: ethers.BigNumber.from(params.counter).toString(),
+  };
+}
+
+/**
+ * Rebuilds a fulfillable order from an OrderValidated event. Validated
+ * orders need no signature, but seaport-js expects the offerer's counter.
+ */
+export function orderFromValidated(orderParameters, counter) {
+  const components = toOrderComponents({ ...orderParameters, counter });
+  return {
+    parameters: {
+      ...components,
+      totalOriginalConsiderationItems: Number(orderParameters.totalOriginalConsiderationItems),
+    },
+    signature: "0x",
+  };
+}
+
+/**
+ * Maps OpenSea's `protocol_data` ({ parameters, signature }) to the order
+ * shape seaport-js fulfils. null unless the parameters hash to `orderHash`,
+ * so a mis-mapped order never reaches the grid.
+ */
+export function orderFromProtocolData(protocolData, orderHash) {
+  const params = protocolData?.parameters;
+  if (!params || !protocolData.signature) return null;
+
+  let components;
+  try {
+    components = toOrderComponents(params);
+  } catch {
+    return null;
+  }
+  if (getOrderHash(components).toLowerCase() !== String(orderHash).toLowerCase()) return null;
+
+  return {
+    parameters: {
+      ...components,
+      totalOriginalConsiderationItems: Number(
+        params.totalOriginalConsiderationItems ?? components.consideration.length
+      ),
+    },
+    signature: protocolData.signature,
+  };
+}
+
+/**
+ * What the buyer pays for a listing: { paymentToken (null = native), amount,
+ * startAmount, taker } summed over every payment item, or null when the
+ * payments are not all in one native/ERC-20 currency. `amount` is the price
+ * at endTime; `startAmount` differs from it for Dutch auctions. `taker` is
+ * the reserved buyer of a private listing (null for public ones).
+ */
+export function considerationTotal(consideration) {
+  const { payments, reserved } = splitReserved(consideration || []);
+  const [first] = payments;
+  if (!first || reserved.length > 1 || !PAYMENT_ITEM_TYPES.includes(Number(first.itemType))) return null;
+  if (!payments.every((c) => Number(c.itemType) === Number(first.itemType) && sameAddress(c.token, first.token))) {
+    return null;
+  }
+
+  return {
+    paymentToken: Number(first.itemType) === ITEM_TYPE.ERC20 ? first.token.toLowerCase() : null,
+    amount: payments.reduce((sum, c) => sum.add(c.endAmount), ethers.BigNumber.from(0)),
+    startAmount: payments.reduce((sum, c) => sum.add(c.startAmount), ethers.BigNumber.from(0)),
+    taker: reserved[0]?.recipient.toLowerCase() ?? null,
+  };
+}
+
+/**
+ * What a stored offer pays (its one fixed ERC-20 item) in base units, read
+ * from the signed order: the numeric price column comes back as a float.
+ */
+export function offerAmount(seaportOrder) {
+  return ethers.BigNumber.from(seaportOrder.parameters.offer[0].endAmount);
+}
+
+/**
+ * Seaport's amount for `item` at `now` (unix seconds): linear from
+ * startAmount at startTime to endAmount at endTime. Consideration amounts
+ * round up and offer amounts down, as on chain.
+ */
+export function amountAt(item, { startTime, endTime }, now, roundUp = true) {
+  const start = ethers.BigNumber.from(item.startAmount);
+  const end = ethers.BigNumber.from(item.endAmount);
+  if (start.eq(end)) return end;
+
+  const duration = ethers.BigNumber.from(endTime).sub(startTime);
+  let elapsed = ethers.BigNumber.from(now).sub(startTime);
+  if (elapsed.lt(0)) elapsed = ethers.BigNumber.from(0);
+  if (elapsed.gt(duration)) elapsed = duration;
+
+  const total = start.mul(duration.sub(elapsed)).add(end.mul(elapsed));
+  return roundUp && !total.isZero() ? total.sub(1).div(duration).add(1) : total.div(duration);
+}
+
+// Latest second a timestamptz column (and Date) can hold comfortably: 9999-12-31
+const MAX_END_TIME = 253402300799;
+
+/**
+ * An order's endTime (or startTime; unix seconds, any numeric form) as an
+ * ISO string; "never expires" values like uint256 max are clamped to year 9999.
+ */
+export function endTimeIso(endTime) {
+  const bn = ethers.BigNumber.from(endTime);
+  const seconds = bn.gt(MAX_END_TIME) ? MAX_END_TIME : bn.toNumber();
+  return new Date(seconds * 1000).toISOString();
+}
+
+export function getOrderHash(components) {
+  return ethers.utils._TypedDataEncoder.hashStruct("OrderComponents", ORDER_TYPES, components);
+}
+
+const seaportInfoCache = new Map();
+async function getSeaportInfo(seaport) {
+  const key = seaport.address.toLowerCase();
+  if (!seaportInfoCache.has(key)) {
+    const info = await seaport.information();
+    seaportInfoCache.set(key, {
+      version: info.version,
+      domainSeparator: info.domainSeparator,
+      conduitController: info.conduitController,
+    });
+  }
+  return seaportInfoCache.get(key);
+}
+
+async function getOperator(components, info, provider, seaportAddress) {
+  if (components.conduitKey === ZERO_BYTES32) return seaportAddress;
+
+  const controller = new ethers.Contract(info.conduitController, CONDUIT_CONTROLLER_ABI, provider);
+  const { conduit, exists } = await controller.getConduit(components.conduitKey);
+  if (!exists) {
+    throw new OrderVerificationError("INVALID_CONDUIT", "Order conduitKey has no deployed conduit");
+  }
+  return conduit;
+}
+
+/**
+ * Address that must be approved to move an offerer's items for orders
+ * signed with `conduitKey`: Seaport itself, or the conduit the key maps to.
+ */
+export async function resolveOperator(conduitKey, { provider, seaportAddress }) {
+  const seaport = new ethers.Contract(seaportAddress, SEAPORT_ABI, provider);
+  const info = await getSeaportInfo(seaport);
+  return getOperator({ conduitKey: ethers.utils.hexZeroPad(conduitKey, 32) }, info, provider, seaportAddress);
+}
+
+// -------------------- VERIFY --------------------
+// Signed OrderComponents out of a request body, checked against the claimed hash
+function readSignedOrder(seaportOrder, orderHash) {
+  const params = seaportOrder?.parameters;
+  const signature = seaportOrder?.signature;
+  if (!params || !signature) {
+    throw new OrderVerificationError("MALFORMED_ORDER", "seaportOrder must contain parameters and signature");
+  }
+
+  let components;
+  try {
+    components = toOrderComponents(params);
+  } catch (e) {
+    throw new OrderVerificationError("MALFORMED_ORDER", `Invalid order parameters: ${e.message}`);
+  }
+
+  const computedHash = getOrderHash(components);
+  if (!orderHash || orderHash.toLowerCase() !== computedHash.toLowerCase()) {
+    throw new OrderVerificationError("ORDER_HASH_MISMATCH", `orderHash does not match parameters (expected ${computedHash})`);
+  }
+  return { components, computedHash, signature };
+}
+
+function checkTimeWindow(components) {
+  const now = Math.floor(Date.now() / 1000);
+  if (Number(components.endTime) <= now) {
+    throw new OrderVerificationError("ORDER_EXPIRED", "Order endTime is in the past");
+  }
+  if (Number(components.startTime) >= Number(components.endTime)) {
+    throw new OrderVerificationError("MALFORMED_ORDER", "Order startTime must be before endTime");
+  }
+}
+
+/**
+ * Signature (EIP-712 over Seaport's domain) and on-chain state (counter,
+ * cancelled, filled) checks shared by listings and offers. Returns the
+ * Seaport information() result.
+ */
+async function checkSignatureAndState(components, orderHash, signature, { provider, seaportAddress }) {
+  // EIP-712 digest over Seaport's domain
+  const seaport = new ethers.Contract(seaportAddress, SEAPORT_ABI, provider);
+  const info = await getSeaportInfo(seaport);
+
+  const sigLength = ethers.utils.hexDataLength(signature);
+  if (sigLength !== 64 && sigLength !== 65) {
+    throw new OrderVerificationError("UNSUPPORTED_SIGNATURE", "Only single-order ECDSA signatures are supported");
+  }
+  const digest = ethers.utils.keccak256(
+    ethers.utils.solidityPack(["bytes2", "bytes32", "bytes32"], ["0x1901", info.domainSeparator, orderHash])
+  );
+  let signer;
+  try {
+    signer = ethers.utils.recoverAddress(digest, signature);
+  } catch {
+    throw new OrderVerificationError("BAD_SIGNATURE", "Signature could not be decoded");
+  }
+  if (!sameAddress(signer, components.offerer)) {
+    throw new OrderVerificationError("BAD_SIGNATURE", "Signature was not made by the offerer");
+  }
+
+  // Counter and order status
+  const [counter, status] = await Promise.all([
+    seaport.getCounter(components.offerer),
+    seaport.getOrderStatus(orderHash),
+  ]);
+  if (counter.toString() !== components.counter) {
+    throw new OrderVerificationError("STALE_COUNTER", "Order counter is no longer current");
+  }
+  if (status.isCancelled) {
+    throw new OrderVerificationError("ORDER_CANCELLED", "Order is cancelled on chain");
+  }
+  if (status.totalSize.gt(0) && status.totalFilled.gte(status.totalSize)) {
+    throw new OrderVerificationError("ORDER_FILLED", "Order is already filled");
+  }
+
+  return info;
+}
+
+/**
+ * ERC-2981 royalty owed on a sale of `tokenId` at `salePrice`, or null when
+ * the collection does not implement royaltyInfo (or asks for nothing).
+ */
+export async function getRoyalty(nftContract, tokenId, salePrice, provider) {
+  const nft = new ethers.Contract(nftContract, ERC721_ABI, provider);
+  try {
+    const { receiver, royaltyAmount } = await nft.royaltyInfo(tokenId, salePrice);
+    if (royaltyAmount.isZero() || receiver === ethers.constants.AddressZero) return null;
+    return { receiver: receiver.toLowerCase(), amount: royaltyAmount };
+  } catch (e) {
+    if (e.code === ethers.errors.CALL_EXCEPTION) return null;
+    throw e;
+  }
+}
+
+/**
+ * Amounts each fee recipient must receive out of `totalPrice`: the
+ * marketplace fee ({ recipient, bps }) and the ERC-2981 royalty, or the
+ * collection's configured `royalty` ({ recipient, bps }) when the contract
+ * has none. Returns a Map of lower-cased recipient → BigNumber.
+ */
+export async function requiredFees(nftContract, tokenId, totalPrice, { provider, marketplaceFee, royalty = null }) {
+  const onChain = await getRoyalty(nftContract, tokenId, totalPrice, provider);
+  return feesOwed(totalPrice, { marketplaceFee, royalty, onChain });
+}
+
+// requiredFees() once the ERC-2981 royalty (`onChain`, from getRoyalty) is known
+function feesOwed(totalPrice, { marketplaceFee, royalty, onChain }) {
+  const required = new Map();
+  const add = (recipient, amount) => {
+    if (amount.isZero()) return;
+    const key = recipient.toLowerCase();
+    required.set(key, (required.get(key) || ethers.BigNumber.from(0)).add(amount));
+  };
+
+  if (marketplaceFee?.recipient && marketplaceFee.bps > 0) {
+    add(marketplaceFee.recipient, totalPrice.mul(marketplaceFee.bps).div(10000));
+  }
+  if (onChain) add(onChain.receiver, onChain.amount);
+  else if (royalty?.recipient && royalty.bps > 0) add(royalty.recipient, totalPrice.mul(royalty.bps).div(10000));
+
+  return required;
+}
+
+/**
+ * Checks a signed Seaport listing against its claimed hash, signer and the
+ * current chain state. Throws OrderVerificationError (with a `code`) when
+ * the order must be rejected; RPC failures propagate unchanged.
+ *
+ * The price may be in the native currency or one of `paymentTokens`, and
+ * must pay the marketplace fee and the collection royalty (ERC-2981, else `royalty`).
+ * A Dutch auction (consideration startAmount above endAmount) must pay them
+ * at both ends; prices may only fall over time.
+ *
+ * The offer is one ERC-721 or, for `standard` "erc1155", one or more units
+ * of an ERC-1155 token; a multi-unit PARTIAL_OPEN order must split every
+ * consideration item evenly per unit so each unit can be bought alone.
+ *
+ * Resolves to the fields the backend should store, derived from the order
+ * itself rather than from the request body. `amount` is the total price
+ * in the currency's base units, for all `quantity` units, at endTime;
+ * `startAmount` the same at startTime.
+ */
+export async function verifySeaportOrder(
+  { seaportOrder, orderHash, sellerAddress, tokenId },
+  { provider, seaportAddress, nftContract, standard = "erc721", paymentTokens = [], marketplaceFee = null, royalty = null }
+) {
+  // 1) Hash
+  const { components, computedHash, signature } = readSignedOrder(seaportOrder, orderHash);
+
+  if (!sameAddress(components.offerer, sellerAddress)) {
+    throw new OrderVerificationError("SELLER_MISMATCH", "Order offerer is not sellerAddress");
+  }
+
+  // 2) Offer: one ERC-721 (or units of one ERC-1155) from our collection
+  if (components.offer.length !== 1) {
+    throw new OrderVerificationError("INVALID_OFFER", "Order must offer exactly one item");
+  }
+  const offerItem = components.offer[0];
+  const isErc1155 = standard === "erc1155";
+  if (offerItem.itemType !== (isErc1155 ? ITEM_TYPE.ERC1155 : ITEM_TYPE.ERC721)) {
+    throw new OrderVerificationError("INVALID_OFFER", `Offer item must be an ${isErc1155 ? "ERC-1155" : "ERC-721"}`);
+  }
+  if (!sameAddress(offerItem.token, nftContract)) {
+    throw new OrderVerificationError("WRONG_COLLECTION", "Offer item is not from this collection");
+  }
+  if (offerItem.startAmount !== offerItem.endAmount) {
+    throw new OrderVerificationError("INVALID_OFFER", "Offer amount must be fixed");
+  }
+  const quantity = ethers.BigNumber.from(offerItem.endAmount);
+  if (isErc1155 ? quantity.isZero() : !quantity.eq(1)) {
+    throw new OrderVerificationError("INVALID_OFFER", isErc1155 ? "Offer amount must be at least 1" : "ERC-721 offer amount must be 1");
+  }
+  const offeredTokenId = offerItem.identifierOrCriteria;
+  if (tokenId !== undefined && tokenId !== null && tokenId.toString() !== offeredTokenId) {
+    throw new OrderVerificationError("TOKEN_MISMATCH", "tokenId does not match the offer item");
+  }
+
+  // 3) Consideration: one currency (native or an accepted ERC-20), something paid to the seller;
+  // a private listing also sends the offered item itself to its one buyer
+  const { payments, reserved } = splitReserved(components.consideration);
+  if (payments.length === 0) {
+    throw new OrderVerificationError("INVALID_CONSIDERATION", "Order has no payment");
+  }
+  const [takerItem] = reserved;
+  if (
+    reserved.length > 1 ||
+    (takerItem &&
+      (takerItem.itemType !== offerItem.itemType ||
+        !sameAddress(takerItem.token, offerItem.token) ||
+        takerItem.identifierOrCriteria !== offeredTokenId ||
+        takerItem.startAmount !== offerItem.startAmount ||
+        takerItem.endAmount !== offerItem.endAmount))
+  ) {
+    throw new OrderVerificationError("INVALID_CONSIDERATION", "Only the offered item may be reserved for a buyer");
+  }
+  if (takerItem && sameAddress(takerItem.recipient, components.offerer)) {
+    throw new OrderVerificationError("INVALID_TAKER", "A private listing cannot be reserved for the seller");
+  }
+  if (takerItem && isPartialOrder(components.orderType)) {
+    throw new OrderVerificationError("INVALID_TAKER", "A private listing must be filled in full");
+  }
+  const currencyItem = payments[0];
+  const isNative = currencyItem.itemType === ITEM_TYPE.NATIVE;
+  if (
+    !isNative &&
+    !(currencyItem.itemType === ITEM_TYPE.ERC20 && paymentTokens.some((t) => sameAddress(t, currencyItem.token)))
+  ) {
+    throw new OrderVerificationError("UNSUPPORTED_CURRENCY", "Price must be in the native currency or an accepted ERC-20");
+  }
+  if (payments.some((c) => c.itemType !== currencyItem.itemType || !sameAddress(c.token, currencyItem.token))) {
+    throw new OrderVerificationError("INVALID_CONSIDERATION", "All consideration items must be in the same currency");
+  }
+  if (!payments.some((c) => sameAddress(c.recipient, components.offerer))) {
+    throw new OrderVerificationError("INVALID_CONSIDERATION", "No consideration item pays the seller");
+  }
+  if (payments.some((c) => ethers.BigNumber.from(c.startAmount).lt(c.endAmount))) {
+    throw new OrderVerificationError("INVALID_CONSIDERATION", "Prices may only fall over time");
+  }
+  const sumOf = (key) => payments.reduce((sum, c) => sum.add(c[key]), ethers.BigNumber.from(0));
+  const totalPrice = sumOf("endAmount");
+  const startPrice = sumOf("startAmount");
+  // The buyer's counter-order offers a fixed amount
+  if (takerItem && !startPrice.eq(totalPrice)) {
+    throw new OrderVerificationError("INVALID_TAKER", "A private listing must have a fixed price");
+  }
+  // Seaport reverts fractions that do not divide an amount exactly
+  const splits = (amount) => ethers.BigNumber.from(amount).mod(quantity).isZero();
+  if (
+    isPartialOrder(components.orderType) &&
+    components.consideration.some((c) => !splits(c.startAmount) || !splits(c.endAmount))
+  ) {
+    throw new OrderVerificationError("INVALID_CONSIDERATION", "Every consideration amount must split evenly per unit");
+  }
+
+  // 4) Time window
+  checkTimeWindow(components);
+
+  // 5) Signature and 6) Seaport state
+  const info = await checkSignatureAndState(components, computedHash, signature, { provider, seaportAddress });
+
+  // 7) Ownership and approval
+  const operator = await getOperator(components, info, provider, seaportAddress);
+  if (isErc1155) {
+    const nft = new ethers.Contract(offerItem.token, ERC1155_ABI, provider);
+    const [balance, approvedForAll] = await Promise.all([
+      nft.balanceOf(components.offerer, offeredTokenId),
+      nft.isApprovedForAll(components.offerer, operator),
+    ]);
+    if (balance.lt(quantity)) {
+      throw new OrderVerificationError("NOT_OWNER", "Seller holds fewer units than offered");
+    }
+    if (!approvedForAll) {
+      throw new OrderVerificationError("NOT_APPROVED", "Seaport is not approved to transfer this token");
+    }
+  } else {
+    const nft = new ethers.Contract(offerItem.token, ERC721_ABI, provider);
+    let owner;
+    try {
+      owner = await nft.ownerOf(offeredTokenId);
+    } catch {
+      throw new OrderVerificationError("NOT_OWNER", "Token does not exist");
+    }
+    if (!sameAddress(owner, components.offerer)) {
+      throw new OrderVerificationError("NOT_OWNER", "Seller does not own this token");
+    }
+
+    const [approvedForAll, approved] = await Promise.all([
+      nft.isApprovedForAll(components.offerer, operator),
+      nft.getApproved(offeredTokenId).catch(() => ethers.constants.AddressZero),
+    ]);
+    if (!approvedForAll && !sameAddress(approved, operator)) {
+      throw new OrderVerificationError("NOT_APPROVED", "Seaport is not approved to transfer this token");
+    }
+  }
+
+  // 8) Fees: marketplace fee and royalty are paid out of the total price (at both ends of a Dutch auction)
+  const ends = startPrice.eq(totalPrice) ? [["endAmount", totalPrice]] : [["startAmount", startPrice], ["endAmount", totalPrice]];
+  for (const [key, price] of ends) {
+    const fees = await requiredFees(nftContract, offeredTokenId, price, { provider, marketplaceFee, royalty });
+    for (const [recipient, amount] of fees) {
+      if (sameAddress(recipient, components.offerer)) continue;
+      const paid = payments
+        .filter((c) => sameAddress(c.recipient, recipient))
+        .reduce((sum, c) => sum.add(c[key]), ethers.BigNumber.from(0));
+      if (paid.lt(amount)) {
+        throw new OrderVerificationError("MISSING_FEE", `Order pays ${recipient} less than the required fee`);
+      }
+    }
+  }
+
+  return {
+    orderHash: computedHash,
+    tokenId: offeredTokenId,
+    quantity: quantity.toString(),
+    amount: totalPrice.toString(),
+    startAmount: startPrice.toString(),
+    startTime: components.startTime,
+    currency: isNative ? "native" : "erc20",
+    paymentToken: isNative ? null : currencyItem.token.toLowerCase(),
+    seller: components.offerer.toLowerCase(),
+    taker: takerItem ? takerItem.recipient.toLowerCase() : null,
+    endTime: components.endTime,
+  };
+}
+
+/**
+ * Checks a signed buyer offer: the offerer offers one ERC-20 from
+ * `paymentTokens` and asks for one ERC-721 of `nftContract` — either a
+ * specific token, or any token via a criteria item with root 0 (collection
+ * offer). Further consideration items must be fees in the offered token,
+ * paying the marketplace fee and royalty out of the offered amount as a
+ * listing must (a collection offer's ERC-2981 royalty is read for token 0).
+ * The offerer must hold and have approved the offered amount.
+ *
+ * Resolves to the fields to store; `amount` is in the token's base units.
+ */
+export async function verifySeaportOffer(
+  { seaportOrder, orderHash, buyerAddress },
+  { provider, seaportAddress, nftContract, paymentTokens, marketplaceFee = null, royalty = null }
+) {
+  // 1) Hash
+  const { components, computedHash, signature } = readSignedOrder(seaportOrder, orderHash);
+
+  if (!sameAddress(components.offerer, buyerAddress)) {
+    throw new OrderVerificationError("BUYER_MISMATCH", "Order offerer is not buyerAddress");
+  }
+
+  // 2) Offer: one accepted ERC-20, fixed amount
+  if (components.offer.length !== 1) {
+    throw new OrderVerificationError("INVALID_OFFER", "Offer must contain exactly one item");
+  }
+  const payment = components.offer[0];
+  if (payment.itemType !== ITEM_TYPE.ERC20) {
+    throw new OrderVerificationError("INVALID_OFFER", "Offer item must be an ERC-20");
+  }
+  if (!paymentTokens.some((t) => sameAddress(t, payment.token))) {
+    throw new OrderVerificationError("UNSUPPORTED_TOKEN", "Offer token is not accepted");
+  }
+  if (payment.startAmount !== payment.endAmount || ethers.BigNumber.from(payment.endAmount).isZero()) {
+    throw new OrderVerificationError("INVALID_OFFER", "Offer amount must be fixed and non-zero");
+  }
+
+  // 3) Consideration: the NFT to the offerer, then fees in the offered token
+  const [wanted, ...feeItems] = components.consideration;
+  if (!wanted || !sameAddress(wanted.token, nftContract)) {
+    throw new OrderVerificationError("WRONG_COLLECTION", "Offer does not ask for a token of this collection");
+  }
+  if (!sameAddress(wanted.recipient, components.offerer)) {
+    throw new OrderVerificationError("INVALID_CONSIDERATION", "Requested token is not sent to the offerer");
+  }
+  if (wanted.startAmount !== "1" || wanted.endAmount !== "1") {
+    throw new OrderVerificationError("INVALID_CONSIDERATION", "ERC-721 amount must be 1");
+  }
+  let kind;
+  if (wanted.itemType === ITEM_TYPE.ERC721) {
+    kind = "token";
+  } else if (wanted.itemType === ITEM_TYPE.ERC721_WITH_CRITERIA && wanted.identifierOrCriteria === "0") {
+    kind = "collection";
+  } else {
+    throw new OrderVerificationError(
+      "INVALID_CONSIDERATION",
+      "Offer must ask for one token or any token of the collection (criteria 0)"
+    );
+  }
+
+  const amount = ethers.BigNumber.from(payment.endAmount);
+  const feeTotal = feeItems.reduce((sum, c) => {
+    if (c.itemType !== ITEM_TYPE.ERC20 || !sameAddress(c.token, payment.token) || c.startAmount !== c.endAmount) {
+      throw new OrderVerificationError("INVALID_CONSIDERATION", "Fees must be fixed amounts of the offered token");
+    }
+    return sum.add(c.endAmount);
+  }, ethers.BigNumber.from(0));
+  if (feeTotal.gte(amount)) {
+    throw new OrderVerificationError("INVALID_CONSIDERATION", "Fees exceed the offered amount");
+  }
+
+  // 4) Time window
+  checkTimeWindow(components);
+
+  // 5) Signature and 6) Seaport state
+  const info = await checkSignatureAndState(components, computedHash, signature, { provider, seaportAddress });
+
+  // 7) Funds and approval
+  const token = new ethers.Contract(payment.token, ERC20_ABI, provider);
+  const operator = await getOperator(components, info, provider, seaportAddress);
+  const [balance, allowance] = await Promise.all([
+    token.balanceOf(components.offerer),
+    token.allowance(components.offerer, operator),
+  ]);
+  if (balance.lt(amount)) {
+    throw new OrderVerificationError("INSUFFICIENT_FUNDS", "Offerer balance is below the offered amount");
+  }
+  if (allowance.lt(amount)) {
+    throw new OrderVerificationError("NOT_APPROVED", "Seaport is not approved to spend the offered amount");
+  }
+
+  // 8) Fees: the seller accepting the offer pays marketplace fee and royalty out of it
+  const fees = await requiredFees(nftContract, wanted.identifierOrCriteria, amount, { provider, marketplaceFee, royalty });
+  for (const [recipient, required] of fees) {
+    const paid = feeItems
+      .filter((c) => sameAddress(c.recipient, recipient))
+      .reduce((sum, c) => sum.add(c.endAmount), ethers.BigNumber.from(0));
+    if (paid.lt(required)) {
+      throw new OrderVerificationError("MISSING_FEE", `Offer pays ${recipient} less than the required fee`);
+    }
+  }
+
+  return {
+    orderHash: computedHash,
+    kind,
+    tokenId: kind === "token" ? wanted.identifierOrCriteria : null,
+    amount: amount.toString(),
+    paymentToken: payment.token.toLowerCase(),
+    buyer: components.offerer.toLowerCase(),
+    endTime: components.endTime,
+  };
+}
+
+// -------------------- FILLABILITY --------------------
+const fail = (reason, message) => ({ fillable: false, reason, message });
+
+/**
+ * A stored listing's parts for the fillability checks: { components,
+ * nftItem, payments, reserved, isErc1155, total }, or { failure } when it
+ * is malformed or outside its time window at `now`.
+ */
+function readListing(order, now) {
+  let components;
+  try {
+    components = toOrderComponents({ counter: 0, ...order.seaportOrder?.parameters });
+  } catch {
+    return { failure: fail("MALFORMED_ORDER", "Stored order has no valid parameters") };
+  }
+  const nftItem = components.offer.find((i) => NFT_ITEM_TYPES.includes(i.itemType));
+  const { payments, reserved } = splitReserved(components.consideration);
+  if (!nftItem || payments.length === 0) {
+    return { failure: fail("MALFORMED_ORDER", "Stored order is not an NFT listing") };
+  }
+
+  const listing = {
+    components,
+    nftItem,
+    payments,
+    reserved,
+    isErc1155: nftItem.itemType === ITEM_TYPE.ERC1155,
+    total: payments.reduce((sum, c) => sum.add(c.endAmount), ethers.BigNumber.from(0)),
+  };
+  if (Number(components.endTime) <= now) return { ...listing, failure: fail("ORDER_EXPIRED", "Order has expired") };
+  if (Number(components.startTime) > now) return { ...listing, failure: fail("NOT_STARTED", "Order has not started yet") };
+  return listing;
+}
+
+/**
+ * The fillability verdict from what the chain says about a listing:
+ * `state` is { status (getOrderStatus), counter, holding (ERC-721 owner or
+ * ERC-1155 balance, null when unknown), operator, approvedForAll, approved
+ * (getApproved), onChainRoyalty (as getRoyalty) }.
+ */
+function judgeListing({ components, nftItem, payments, isErc1155, total }, state, { marketplaceFee, royalty }) {
+  const { status, counter, holding, approvedForAll, approved, operator } = state;
+  if (status.isCancelled) return fail("ORDER_CANCELLED", "Order is cancelled on chain");
+  if (status.totalSize.gt(0) && status.totalFilled.gte(status.totalSize)) {
+    return fail("ORDER_FILLED", "Order is already filled");
+  }
+  if (counter.toString() !== components.counter) {
+    return fail("STALE_COUNTER", "Seller cancelled all orders signed before this one");
+  }
+
+  // totalFilled / totalSize is the filled fraction of the whole order
+  const quantity = ethers.BigNumber.from(nftItem.endAmount);
+  const remaining = status.totalSize.gt(0)
+    ? quantity.mul(status.totalSize.sub(status.totalFilled)).div(status.totalSize)
+    : quantity;
+
+  // Seller still holds the token (every remaining unit) and the operator may move it
+  if (isErc1155 ? !holding || holding.lt(remaining) : !sameAddress(holding, components.offerer)) {
+    return fail("NOT_OWNER", isErc1155 ? "Seller holds fewer units than are left" : "Seller no longer owns this token");
+  }
+  if (!approvedForAll && !sameAddress(approved, operator)) {
+    return fail("NOT_APPROVED", "Seller revoked the marketplace approval");
+  }
+
+  // Consideration: pays the seller and still covers marketplace fee and royalty
+  const paid = (recipient) =>
+    payments
+      .filter((c) => sameAddress(c.recipient, recipient))
+      .reduce((sum, c) => sum.add(c.endAmount), ethers.BigNumber.from(0));
+  if (paid(components.offerer).isZero()) {
+    return fail("INSUFFICIENT_CONSIDERATION", "Order pays nothing to the seller");
+  }
+  const fees = feesOwed(total, { marketplaceFee, royalty, onChain: state.onChainRoyalty });
+  for (const [recipient, amount] of fees) {
+    if (!sameAddress(recipient, components.offerer) && paid(recipient).lt(amount)) {
+      return fail("INSUFFICIENT_CONSIDERATION", "Order no longer covers the required fees");
+    }
+  }
+
+  return { fillable: true, reason: null, message: null, remaining: remaining.toString() };
+}
+
+// The operator for `components`, or the failure when its conduit does not exist
+async function listingOperator(components, { provider, seaportAddress }) {
+  const info = await getSeaportInfo(new ethers.Contract(seaportAddress, SEAPORT_ABI, provider));
+  try {
+    return { operator: await getOperator(components, info, provider, seaportAddress) };
+  } catch (e) {
+    if (e instanceof OrderVerificationError) return { failure: fail(e.code, e.message) };
+    throw e;
+  }
+}
+
+/**
+ * Whether a stored listing can still be bought right now, without throwing:
+ * resolves to { fillable, reason, message, remaining } where `reason` is an
+ * OrderVerificationError-style code and `remaining` the units still for
+ * sale (from Seaport's fill status). Checks the time window, Seaport
+ * status and counter, the seller's ownership (or ERC-1155 balance for the
+ * remaining units) and approval, and that the consideration still covers
+ * the required fees. With `buyer`, also that the buyer can pay for `units`
+ * (default: all remaining) at the current price. RPC failures propagate.
+ */
+export async function checkOrderFillable(
+  order,
+  { provider, seaportAddress, marketplaceFee = null, royalty = null, buyer, units }
+) {
+  const now = Math.floor(Date.now() / 1000);
+  const listing = readListing(order, now);
+  if (listing.failure && !listing.components) return listing.failure;
+  // Private listing: only the reserved buyer can take it
+  if (buyer && listing.reserved.length && !sameAddress(listing.reserved[0].recipient, buyer)) {
+    return fail("RESERVED", "Listing is reserved for another buyer");
+  }
+  if (listing.failure) return listing.failure;
+
+  const { components, nftItem, payments, isErc1155, total } = listing;
+  const seaport = new ethers.Contract(seaportAddress, SEAPORT_ABI, provider);
+  const nft = new ethers.Contract(nftItem.token, isErc1155 ? ERC1155_ABI : ERC721_ABI, provider);
+  const { operator, failure } = await listingOperator(components, { provider, seaportAddress });
+  if (failure) return failure;
+
+  const [status, counter, holding, approvedForAll, approved, onChainRoyalty] = await Promise.all([
+    seaport.getOrderStatus(order.orderHash),
+    seaport.getCounter(components.offerer),
+    isErc1155
+      ? nft.balanceOf(components.offerer, nftItem.identifierOrCriteria)
+      : nft.ownerOf(nftItem.identifierOrCriteria).catch(() => null),
+    nft.isApprovedForAll(components.offerer, operator),
+    isErc1155
+      ? ethers.constants.AddressZero
+      : nft.getApproved(nftItem.identifierOrCriteria).catch(() => ethers.constants.AddressZero),
+    getRoyalty(nftItem.token, nftItem.identifierOrCriteria, total, provider),
+  ]);
+  const verdict = judgeListing(
+    listing,
+    { status, counter, holding, approvedForAll, approved, operator, onChainRoyalty },
+    { marketplaceFee, royalty }
+  );
+  if (!verdict.fillable) return verdict;
+
+  // Buyer can pay for the units in the order's currency
+  if (buyer) {
+    const currency = payments[0];
+    const balance =
+      currency.itemType === ITEM_TYPE.NATIVE
+        ? await provider.getBalance(buyer)
+        : await new ethers.Contract(currency.token, ERC20_ABI, provider).balanceOf(buyer);
+    // A Dutch auction costs what it costs right now
+    const current = payments.reduce(
+      (sum, c) => sum.add(amountAt(c, components, now)),
+      ethers.BigNumber.from(0)
+    );
+    const cost = current.mul(units ?? verdict.remaining).div(nftItem.endAmount);
+    if (balance.lt(cost)) return fail("INSUFFICIENT_FUNDS", "Buyer balance is below the price");
+  }
+
+  return verdict;
+}
+
+/**
+ * checkOrderFillable() without a buyer for many listings of one collection,
+ * with the chain reads batched through `multicall` (chain.js). Each order
+ * is checked against its own marketplaceContract, else `seaportAddress`.
+ * Resolves to one result per order, null where its reads failed.
+ */
+export async function checkOrdersFillable(
+  orders,
+  { provider, multicall, seaportAddress, marketplaceFee = null, royalty = null }
+) {
+  const now = Math.floor(Date.now() / 1000);
+  const seaportIface = new ethers.utils.Interface(SEAPORT_ABI);
+  const erc721Iface = new ethers.utils.Interface(ERC721_ABI);
+  const erc1155Iface = new ethers.utils.Interface(ERC1155_ABI);
+
+  const results = new Array(orders.length).fill(null);
+  const checks = [];
+  const calls = [];
+  const operators = new Map(); // seaport:conduitKey → listingOperator()
+
+  for (const [i, order] of orders.entries()) {
+    const listing = readListing(order, now);
+    if (listing.failure) {
+      results[i] = listing.failure;
+      continue;
+    }
+    const { components, nftItem, isErc1155, total } = listing;
+    const seaport = order.marketplaceContract || seaportAddress;
+    const key = `${seaport.toLowerCase()}:${components.conduitKey}`;
+    if (!operators.has(key)) operators.set(key, await listingOperator(components, { provider, seaportAddress: seaport }));
+    const { operator, failure } = operators.get(key);
+    if (failure) {
+      results[i] = failure;
+      continue;
+    }
+
+    const nft = { target: nftItem.token, iface: isErc1155 ? erc1155Iface : erc721Iface };
+    const id = nftItem.identifierOrCriteria;
+    checks.push({ i, listing, operator, at: calls.length });
+    calls.push(
+      { target: seaport, iface: seaportIface, fn: "getOrderStatus", args: [order.orderHash] },
+      { target: seaport, iface: seaportIface, fn: "getCounter", args: [components.offerer] },
+      isErc1155
+        ? { ...nft, fn: "balanceOf", args: [components.offerer, id] }
+        : { ...nft, fn: "ownerOf", args: [id] },
+      { ...nft, fn: "isApprovedForAll", args: [components.offerer, operator] },
+      isErc1155 ? null : { ...nft, fn: "getApproved", args: [id] },
+      { target: nftItem.token, iface: erc721Iface, fn: "royaltyInfo", args: [id, total] }
+    );
+  }
+
+  const returned = calls.length ? await multicall(calls.filter(Boolean)) : [];
+  // Re-align with the null placeholders (ERC-1155 has no getApproved)
+  let next = 0;
+  const values = calls.map((c) => (c ? returned[next++] : { success: true, value: ethers.constants.AddressZero }));
+
+  for (const { i, listing, operator, at } of checks) {
+    const [status, counter, holding, approvedForAll, approved, royaltyInfo] = values.slice(at, at + 6);
+    if (!status.success || !counter.success) continue;
+
+    // A reverting royaltyInfo means no ERC-2981, as in getRoyalty()
+    const { receiver, royaltyAmount } = royaltyInfo.success ? royaltyInfo.value : {};
+    const onChainRoyalty =
+      royaltyAmount && !royaltyAmount.isZero() && receiver !== ethers.constants.AddressZero
+        ? { receiver: receiver.toLowerCase(), amount: royaltyAmount }
+        : null;
+
+    results[i] = judgeListing(
+      listing,
+      {
+        status: status.value,
+        counter: counter.value,
+        holding: holding.success ? holding.value : null,
+        approvedForAll: approvedForAll.success && approvedForAll.value,
+        approved: approved.success ? approved.value : ethers.constants.AddressZero,
+        operator,
+        onChainRoyalty,
+      },
+      { marketplaceFee, royalty }
+    );
+  }
+  return results;
+}
+
+// -------------------- FULFILMENT --------------------
+/**
+ * Turns decoded OrderFulfilled args (SpentItem[] offer, ReceivedItem[]
+ * consideration) into plain strings with lower-cased addresses.
+ */
+export function normalizeFulfilled(args) {
+  return {
+    orderHash: args.orderHash.toLowerCase(),
+    offerer: args.offerer.toLowerCase(),
+    zone: args.zone.toLowerCase(),
+    recipient: args.recipient.toLowerCase(),
+    offer: args.offer.map((i) => ({
+      itemType: Number(i.itemType),
+      token: i.token.toLowerCase(),
+      identifier: i.identifier.toString(),
+      amount: i.amount.toString(),
+    })),
+    consideration: args.consideration.map((i) => ({
+      itemType: Number(i.itemType),
+      token: i.token.toLowerCase(),
+      identifier: i.identifier.toString(),
+      amount: i.amount.toString(),
+      recipient: i.recipient.toLowerCase(),
+    })),
+  };
+}
+
+// Who received a listed NFT: the fulfilment's recipient, or the reserved buyer of a private
+// listing (filled through matchOrders, whose events carry no recipient)
+function listingBuyer(event) {
+  const nft = event.offer.find((i) => NFT_ITEM_TYPES.includes(i.itemType));
+  const reserved =
+    nft &&
+    event.consideration.find(
+      (i) => i.itemType === nft.itemType && sameAddress(i.token, nft.token) && i.identifier === nft.identifier
+    );
+  return reserved ? reserved.recipient : event.recipient;
+}
+
+/**
+ * Reads the sale out of a normalized OrderFulfilled event for `nftContract`.
+ *
+ * Works for both directions: a listing (NFT offered, payment received by
+ * the offerer) and an accepted bid (payment offered, NFT received by the
+ * offerer). Returns null when the event did not move an NFT of this
+ * collection. Amounts are base-unit strings; `paymentToken` is null for
+ * the native currency.
+ */
+export function decodeSale(event, nftContract) {
+  const isNft = (i) => NFT_ITEM_TYPES.includes(i.itemType) && sameAddress(i.token, nftContract);
+  const isPayment = (i) => PAYMENT_ITEM_TYPES.includes(i.itemType);
+
+  const listedNft = event.offer.find(isNft);
+  const bidNft = listedNft ? null : event.consideration.find(isNft);
+  const nft = listedNft || bidNft;
+  if (!nft) return null;
+
+  const seller = listedNft ? event.offerer : event.recipient;
+  const buyer = listedNft ? listingBuyer(event) : event.offerer;
+
+  // Listing: buyer pays every consideration item. Bid: buyer's offer is the total,
+  // and the consideration payments are the fees taken out of it.
+  const feeItems = event.consideration.filter((i) => isPayment(i) && !sameAddress(i.recipient, seller));
+  const paidItems = (listedNft ? event.consideration : event.offer).filter(isPayment);
+  if (paidItems.length === 0) return null;
+
+  // Amounts are only summed within the first item's currency
+  const currencyItem = paidItems[0];
+  const sameCurrency = (i) => i.itemType === currencyItem.itemType && sameAddress(i.token, currencyItem.token);
+  const paymentToken = currencyItem.itemType === ITEM_TYPE.NATIVE ? null : currencyItem.token;
+  const total = paidItems.filter(sameCurrency).reduce((sum, i) => sum.add(i.amount), ethers.BigNumber.from(0));
+  const fees = feeItems.filter(sameCurrency).map((i) => ({ recipient: i.recipient, amount: i.amount }));
+  const feeTotal = fees.reduce((sum, f) => sum.add(f.amount), ethers.BigNumber.from(0));
+
+  return {
+    tokenId: nft.identifier,
+    quantity: nft.amount,
+    seller,
+    buyer,
+    currency: paymentToken ? "erc20" : "native",
+    paymentToken,
+    totalAmount: total.toString(),
+    sellerAmount: total.sub(feeTotal).toString(),
+    fees,
+  };
+}
+
+/**
+ * Returns every Seaport OrderFulfilled event emitted by `seaportAddress`
+ * in a transaction receipt, with addresses lower-cased.
+ */
+export function parseFulfilledLogs(receipt, seaportAddress) {
+  const fulfilled = [];
+  for (const log of receipt.logs) {
+    if (!sameAddress(log.address, seaportAddress)) continue;
+    let parsed;
+    try {
+      parsed = seaportInterface.parseLog(log);
+    } catch {
+      continue;
+    }
+    if (parsed.name !== "OrderFulfilled") continue;
+
+    fulfilled.push({ ...normalizeFulfilled(parsed.args), logIndex: log.logIndex });
+  }
+  return fulfilled;
+}
+
+const RECEIPT_TIMEOUT_MS = 30_000;
+
+// Successful receipt of `txHash` and its OrderFulfilled event for `orderHash`
+async function findFulfilledEvent(txHash, orderHash, { provider, seaportAddress }) {
+  if (!ethers.utils.isHexString(txHash, 32)) {
+    throw new OrderVerificationError("INVALID_TX_HASH", "txHash must be a 32-byte hex string");
+  }
+
+  let receipt;
+  try {
+    receipt = await provider.waitForTransaction(txHash, 1, RECEIPT_TIMEOUT_MS);
+  } catch (e) {
+    if (e.code !== ethers.errors.TIMEOUT) throw e;
+  }
+  if (!receipt) {
+    throw new OrderVerificationError("TX_NOT_FOUND", "Transaction receipt not found", 404);
+  }
+  if (receipt.status !== 1) {
+    throw new OrderVerificationError("TX_REVERTED", "Transaction reverted");
+  }
+
+  const event = parseFulfilledLogs(receipt, seaportAddress).find(
+    (e) => e.orderHash === orderHash.toLowerCase()
+  );
+  if (!event) {
+    throw new OrderVerificationError("FULFILLMENT_NOT_FOUND", "Transaction did not fulfil this order");
+  }
+  return { receipt, event };
+}
+
+/**
+ * Proves that `txHash` fulfilled the stored order: the receipt must be
+ * successful and carry an OrderFulfilled log for `order.orderHash` whose
+ * offerer is the seller and whose offered NFT is the listed token.
+ * If `buyerAddress` is given it must be both the tx sender and the `buyer`
+ * who received the NFT (the reserved one for a private listing).
+ */
+export async function verifyFulfillment({ txHash, order, buyerAddress }, { provider, seaportAddress }) {
+  const { receipt, event } = await findFulfilledEvent(txHash, order.orderHash, { provider, seaportAddress });
+  if (!sameAddress(event.offerer, order.seller)) {
+    throw new OrderVerificationError("SELLER_MISMATCH", "Fulfilled order offerer is not the listed seller");
+  }
+  if (
+    order.tokenId &&
+    !event.offer.some((i) => sameAddress(i.token, order.nftContract) && i.identifier === order.tokenId.toString())
+  ) {
+    throw new OrderVerificationError("TOKEN_MISMATCH", "Fulfilled order did not transfer the listed token");
+  }
+
+  const fulfiller = receipt.from.toLowerCase();
+  const buyer = listingBuyer(event);
+  if (buyerAddress && (!sameAddress(buyerAddress, fulfiller) || !sameAddress(buyerAddress, buyer))) {
+    throw new OrderVerificationError("BUYER_MISMATCH", "buyerAddress is not the fulfiller and recipient");
+  }
+
+  return {
+    ...event,
+    buyer,
+    fulfiller,
+    txHash: receipt.transactionHash.toLowerCase(),
+    blockNumber: receipt.blockNumber,
+  };
+}
+
+/**
+ * Proves that `txHash` accepted the stored offer: the receipt must carry an
+ * OrderFulfilled log for `offer.orderHash` by the bidder in which the
+ * bidder received a token of the collection (the offered one for token
+ * offers). The fulfiller, if `sellerAddress` is given, must be the seller.
+ */
+export async function verifyOfferAcceptance({ txHash, offer, sellerAddress }, { provider, seaportAddress }) {
+  const { receipt, event } = await findFulfilledEvent(txHash, offer.orderHash, { provider, seaportAddress });
+  if (!sameAddress(event.offerer, offer.buyer)) {
+    throw new OrderVerificationError("BUYER_MISMATCH", "Fulfilled order offerer is not the bidder");
+  }
+
+  const sale = decodeSale(event, offer.nftContract);
+  if (!sale || (offer.kind === "token" && sale.tokenId !== offer.tokenId)) {
+    throw new OrderVerificationError("TOKEN_MISMATCH", "Fulfilled offer did not transfer the requested token");
+  }
+
+  const fulfiller = receipt.from.toLowerCase();
+  if (sellerAddress && !sameAddress(sellerAddress, fulfiller)) {
+    throw new OrderVerificationError("SELLER_MISMATCH", "sellerAddress is not the fulfiller");
+  }
+
+  return {
+    ...sale,
+    fulfiller,
+    txHash: receipt.transactionHash.toLowerCase(),
+    blockNumber: receipt.blockNumber,
+  };
+}
+
+// -------------------- CANCELLATION --------------------
+/**
+ * Which of `orders` (rows from the `orders` table, all by `offerer`) are
+ * no longer fulfillable because they were cancelled on chain, either one
+ * by one (cancel) or all at once (incrementCounter). Returns their hashes.
+ */
+export async function findCancelledOnChain(orders, offerer, { provider, seaportAddress }) {
+  const seaport = new ethers.Contract(seaportAddress, SEAPORT_ABI, provider);
+  const currentCounter = await seaport.getCounter(offerer);
+
+  const cancelled = await Promise.all(
+    orders.map(async (o) => {
+      const counter = o.seaportOrder?.parameters?.counter;
+      if (counter !== undefined && currentCounter.gt(counter)) return o.orderHash;
+      const status = await seaport.getOrderStatus(o.orderHash);
+      return status.isCancelled ? o.orderHash : null;
+    })
+  );
+  return cancelled.filter(Boolean);
+}
@@ -2,23 +2,116 @@
 import express from "express";
 import cors from "cors";
 import helmet from "helmet";
-import { nanoid } from "nanoid";
 import path from "path";
 import fs from "fs";
 import { fileURLToPath } from "url";
 import dotenv from "dotenv";
-import { createClient } from "@supabase/supabase-js";
+import { ethers } from "ethers";
+import { getProvider, getTokenDecimals, getTokenInfo, multicall } from "./chain.js";
+import {
+  verifySeaportOrder,
+  verifyFulfillment,
+  decodeSale,
+  findCancelledOnChain,
+  verifySeaportOffer,
+  verifyOfferAcceptance,
+  checkOrderFillable,
+  checkOrdersFillable,
+  endTimeIso,
+  offerAmount,
+  ERC721_ABI,
+  OrderVerificationError,
+} from "./seaportOrders.js";
+import {
+  createNonce,
+  verifySiweLogin,
+  issueSession,
+  requireSession,
+  optionalSession,
+  isSessionAddress,
+  AuthError,
+} from "./auth.js";
+import {
+  ORDER_STATUSES,
+  ORDER_SORTS,
+  findOrder,
+  findOpenListings,
+  findOpenOrdersBySeller,
+  listOrders,
+  saveListing,
+  transitionOrder,
+  recordFill,
+  InvalidTransitionError,
+} from "./orderRepository.js";
+import {
+  findOffer,
+  findOpenOffersByBuyer,
+  getBestOffers,
+  listOffers,
+  saveOffer,
+  transitionOffer,
+} from "./offerRepository.js";
+import {
+  SETTLEMENT_WINDOW_MS,
+  findAuction,
+  findRunningAuction,
+  listAuctions,
+  getHighestBids,
+  meetsReserve,
+  createAuction,
+  transitionAuction,
+} from "./auctionRepository.js";
+import { ACTIVITY_TYPES, listActivity } from "./activityRepository.js";
+import { getCollectionStats } from "./collectionStats.js";
+import { getToken, getCachedTokens, getTraitCounts, prefetchTokens } from "./tokenMetadata.js";
+import {
+  getWalletTokenIds,
+  getWalletBalances,
+  forgetWallet,
+  warmInventory,
+  InventoryIndexingError,
+} from "./walletInventory.js";
+import { listCollections, findCollection, getDefaultCollection } from "./collectionRepository.js";
+import { onOrderEvents } from "./orderEvents.js";
 
 dotenv.config();
 
-// -----------------------
-// 🔌 SUPABASE CONNECT
-// -----------------------
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE_KEY,
-  { auth: { persistSession: false } }
-);
+function addressList(value) {
+  return (value || "")
+    .split(",")
+    .map((t) => t.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// ERC-20s buyers may offer with (WETH by default)
+const OFFER_TOKENS = addressList(process.env.OFFER_TOKENS || process.env.WETH_ADDRESS);
+
+// ERC-20s a listing may be priced in, besides the native currency
+const PAYMENT_TOKENS = addressList(process.env.PAYMENT_TOKENS);
+
+// Taken out of every sale (listing or accepted offer), on top of the collection's ERC-2981 royalty
+const MARKETPLACE_FEE = process.env.MARKETPLACE_FEE_RECIPIENT
+  ? {
+      recipient: process.env.MARKETPLACE_FEE_RECIPIENT.toLowerCase(),
+      bps: parseInt(process.env.MARKETPLACE_FEE_BPS || "0"),
+    }
+  : null;
+
+// Browser origins allowed to call the API; unset means any origin outside production
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || "")
+  .split(",")
+  .map((o) => o.trim())
+  .filter(Boolean);
+
+// Hosts a SIWE message may name (SIWE_DOMAINS, else the CORS origins' hosts). Without any, a
+// message signed for another site would log its signer in here, so the server does not start.
+const SIWE_DOMAINS = process.env.SIWE_DOMAINS
+  ? process.env.SIWE_DOMAINS.split(",").map((d) => d.trim()).filter(Boolean)
+  : CORS_ORIGINS.map((o) => new URL(o).host);
+if (SIWE_DOMAINS.length === 0) {
+  console.error("❌ Set SIWE_DOMAINS (e.g. localhost:5173) or CORS_ORIGINS: sign-in needs the allowed domains");
+  process.exit(1);
+}
 
 // -----------------------
 // 🚀 EXPRESS INIT
@@ -31,7 +124,11 @@ app.use(
     crossOriginResourcePolicy: false,
   })
 );
-app.use(cors());
+app.use(
+  cors({
+    origin: CORS_ORIGINS.length ? CORS_ORIGINS : process.env.NODE_ENV !== "production",
+  })
+);
 app.use(express.json({ limit: "20mb" }));
 
 // -----------------------
@@ -62,52 +159,142 @@ app.get("/api/status", (req, res) => {
 //                 🔥 API ROUTE-LAR
 // ======================================================
 
+// 403 unless `address` is the signed-in wallet (routes behind requireSession)
+function rejectOtherAddress(req, res, address) {
+  if (isSessionAddress(req, address)) return false;
+  res.status(403).json({
+    success: false,
+    error: "Signed-in wallet does not match this address",
+    code: "SESSION_MISMATCH",
+  });
+  return true;
+}
+
+// Routes served both for the default collection (/api/...) and per collection (/api/collections/:slug/...)
+const scoped = (path) => [`/api${path}`, `/api/collections/:slug${path}`];
+
+// Sets req.collection from :slug (the default collection on unscoped routes)
+async function withCollection(req, res, next) {
+  try {
+    req.collection = req.params.slug ? await findCollection(req.params.slug) : await getDefaultCollection();
+    if (!req.collection) {
+      return res.status(404).json({ success: false, error: "Unknown collection", code: "UNKNOWN_COLLECTION" });
+    }
+    next();
+  } catch (err) {
+    console.error(`${req.method} ${req.path} collection lookup error:`, err);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+}
+
+// Registry royalty for collections without ERC-2981 ({ recipient, bps } or null)
+function collectionRoyalty(collection) {
+  return collection?.royaltyRecipient && collection.royaltyBps
+    ? { recipient: collection.royaltyRecipient, bps: collection.royaltyBps }
+    : null;
+}
+
+// ================================
+// 📌 0) SIGN-IN WITH ETHEREUM
+// ================================
+app.get("/api/auth/nonce", (req, res) => {
+  res.json({ success: true, nonce: createNonce() });
+});
+
+app.post("/api/auth/verify", (req, res) => {
+  try {
+    const { message, signature } = req.body;
+    if (!message || !signature) {
+      return res.status(400).json({ success: false, error: "Missing message or signature" });
+    }
+
+    const address = verifySiweLogin({ message, signature }, { domains: SIWE_DOMAINS });
+    res.json({ success: true, ...issueSession(address) });
+  } catch (err) {
+    if (err instanceof AuthError) {
+      console.warn("⚠️ POST /api/auth/verify rejected:", err.code, { ip: req.ip });
+      return res.status(err.status).json({ success: false, error: err.message, code: err.code });
+    }
+    console.error("POST /api/auth/verify error:", err);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+app.get("/api/auth/session", requireSession, (req, res) => {
+  res.json({ success: true, address: req.session.address, expiresAt: req.session.expiresAt });
+});
+
 // ================================
 // 📌 1) CREATE/UPSERT ORDER
 // ================================
-app.post("/api/order", async (req, res) => {
+app.post("/api/order", requireSession, async (req, res) => {
   try {
-    const {
-      tokenId,
-      price,
-      sellerAddress,
-      buyerAddress,
-      seaportOrder,
-      orderHash,
-      image,
-      status = "active",
-    } = req.body;
+    const { tokenId, sellerAddress, seaportOrder, orderHash, image } = req.body;
 
     if (!sellerAddress || !seaportOrder || !orderHash) {
       return res
         .status(400)
         .json({ success: false, error: "Missing sellerAddress, orderHash or seaportOrder" });
     }
+    if (rejectOtherAddress(req, res, sellerAddress)) return;
 
-    const id = nanoid();
-    const now = new Date().toISOString();
-
-    const { error } = await supabase.from("orders").upsert(
-      {
-        id,
-        tokenId: tokenId ? tokenId.toString() : null,
-        price: price || null,
-        nftContract: process.env.NFT_CONTRACT_ADDRESS,
-        marketplaceContract: process.env.SEAPORT_CONTRACT_ADDRESS,
-        seller: sellerAddress.toLowerCase(),
-        buyerAddress: buyerAddress ? buyerAddress.toLowerCase() : null,
-        seaportOrder,
-        orderHash,
-        onChain: !!buyerAddress,
-        status,
-        image: image || null,
-        createdAt: now,
-        updatedAt: now,
-      },
-      { onConflict: "orderHash" }
-    );
+    // The listed token decides the collection
+    const collection = await findCollection(seaportOrder.parameters?.offer?.[0]?.token);
+    if (!collection) {
+      return res
+        .status(400)
+        .json({ success: false, error: "Order lists a token of an unknown collection", code: "UNKNOWN_COLLECTION" });
+    }
+
+    let verified;
+    try {
+      verified = await verifySeaportOrder(
+        { seaportOrder, orderHash, sellerAddress, tokenId },
+        {
+          provider: await getProvider(),
+          seaportAddress: process.env.SEAPORT_CONTRACT_ADDRESS,
+          nftContract: collection.address,
+          standard: collection.standard,
+          paymentTokens: PAYMENT_TOKENS,
+          marketplaceFee: MARKETPLACE_FEE,
+          royalty: collectionRoyalty(collection),
+        }
+      );
+    } catch (err) {
+      if (err instanceof OrderVerificationError) {
+        return res.status(err.status).json({ success: false, error: err.message, code: err.code });
+      }
+      console.error("POST /api/order chain error:", err);
+      return res
+        .status(503)
+        .json({ success: false, error: "Chain unavailable", code: "CHAIN_UNAVAILABLE" });
+    }
 
-    if (error) throw error;
+    // Stored per unit, so ERC-1155 listings of several units sort and compare like single tokens
+    const decimals = await getTokenDecimals(verified.paymentToken);
+    await saveListing({
+      tokenId: verified.tokenId,
+      quantity: verified.quantity,
+      price: ethers.utils.formatUnits(ethers.BigNumber.from(verified.amount).div(verified.quantity), decimals),
+      // Dutch auction: the price falls from startPrice to price between startTime and endTime
+      startPrice:
+        verified.startAmount === verified.amount
+          ? null
+          : ethers.utils.formatUnits(ethers.BigNumber.from(verified.startAmount).div(verified.quantity), decimals),
+      startTime: endTimeIso(verified.startTime),
+      // Private listing: only this wallet can buy it
+      taker: verified.taker,
+      currency: verified.currency,
+      paymentToken: verified.paymentToken,
+      nftContract: collection.address,
+      marketplaceContract: process.env.SEAPORT_CONTRACT_ADDRESS,
+      seller: verified.seller,
+      seaportOrder,
+      orderHash: verified.orderHash,
+      endTime: endTimeIso(verified.endTime),
+      onChain: false,
+      image: image || null,
+    });
 
     res.json({ success: true });
   } catch (err) {
@@ -117,59 +304,1065 @@ app.post("/api/order", async (req, res) => {
 });
 
 // ================================
-// 📌 2) GET ACTIVE ORDERS
+// 📌 2) GET ORDERS (paginated)
 // ================================
-app.get("/api/orders", async (req, res) => {
+const DEFAULT_LIMIT = 12;
+const MAX_LIMIT = 100;
+
+function parsePositiveInt(value, fallback) {
+  if (value === undefined || value === "") return fallback;
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+function parsePrice(value) {
+  if (value === undefined || value === "") return undefined;
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+// traits={"Background":["Blue","Red"],"Eyes":["Laser"]} → same object, or null when malformed
+function parseTraits(value) {
+  if (value === undefined || value === "") return {};
   try {
-    const { data, error } = await supabase
-      .from("orders")
-      .select("*")
-      .order("createdAt", { ascending: false })
-      .limit(500);
+    const parsed = JSON.parse(value);
+    if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) return null;
+    const traits = {};
+    for (const [type, values] of Object.entries(parsed)) {
+      if (!Array.isArray(values) || values.some((v) => typeof v !== "string")) return null;
+      if (values.length) traits[type] = values;
+    }
+    return traits;
+  } catch {
+    return null;
+  }
+}
+
+// Adds cached token name/image to each order; missing tokens are fetched in the background
+async function attachMetadata(orders, nftContract) {
+  const ids = [...new Set(orders.map((o) => o.tokenId).filter(Boolean))];
+  const tokens = await getCachedTokens(nftContract, ids);
+  const byId = new Map(tokens.map((t) => [t.tokenId, t]));
+
+  for (const o of orders) {
+    const t = byId.get(o.tokenId);
+    if (!t) continue;
+    o.metadata = { name: t.name, image: t.image, attributes: t.attributes };
+    o.image = o.image || t.image;
+  }
+
+  prefetchTokens(nftContract, ids.filter((id) => !byId.has(id)));
+}
+
+// Adds the best active offer (token or collection) to each order
+async function attachBestOffers(orders, nftContract) {
+  const ids = [...new Set(orders.map((o) => o.tokenId).filter(Boolean))];
+  const best = await getBestOffers(nftContract, ids);
+  for (const o of orders) o.bestOffer = best.get(o.tokenId) ?? null;
+}
 
-    if (error) throw error;
+// Pre-flight check of active orders, cached briefly per orderHash
+const VALIDATION_TTL_MS = 30_000;
+const validationCache = new Map();
 
-    res.json({ success: true, orders: data });
+// Reason codes for orders the backend already knows are not active
+const STATUS_REASONS = {
+  inactive: "ORDER_INACTIVE",
+  expired: "ORDER_EXPIRED",
+  fulfilled: "ORDER_FILLED",
+  cancelled: "ORDER_CANCELLED",
+};
+
+async function validateOrder(order, { buyer, units } = {}) {
+  const cached = !buyer && validationCache.get(order.orderHash);
+  if (cached && Date.now() - cached.at < VALIDATION_TTL_MS) return cached.result;
+
+  const result = await checkOrderFillable(order, {
+    provider: await getProvider(),
+    seaportAddress: order.marketplaceContract || process.env.SEAPORT_CONTRACT_ADDRESS,
+    marketplaceFee: MARKETPLACE_FEE,
+    royalty: collectionRoyalty(await findCollection(order.nftContract)),
+    buyer,
+    units,
+  });
+  if (!buyer) cacheValidation(order.orderHash, result);
+  return result;
+}
+
+function cacheValidation(orderHash, result) {
+  if (validationCache.size > 5000) validationCache.clear();
+  validationCache.set(orderHash, { result, at: Date.now() });
+}
+
+// Adds `validation` ({ fillable, reason, message }) to active orders of `nftContract`, checked
+// together through Multicall3; null when the chain is unreachable
+async function attachValidation(orders, nftContract) {
+  const now = Date.now();
+  const unchecked = [];
+  for (const o of orders) {
+    if (o.status !== "active") continue;
+    const cached = validationCache.get(o.orderHash);
+    if (cached && now - cached.at < VALIDATION_TTL_MS) o.validation = cached.result;
+    else unchecked.push(o);
+  }
+  if (unchecked.length === 0) return;
+
+  let results;
+  try {
+    results = await checkOrdersFillable(unchecked, {
+      provider: await getProvider(),
+      multicall,
+      seaportAddress: process.env.SEAPORT_CONTRACT_ADDRESS,
+      marketplaceFee: MARKETPLACE_FEE,
+      royalty: collectionRoyalty(await findCollection(nftContract)),
+    });
+  } catch (err) {
+    console.warn(`⚠️ Validation of ${unchecked.length} order(s) failed:`, err.message);
+    results = [];
+  }
+
+  unchecked.forEach((o, i) => {
+    o.validation = results[i] ?? null;
+    if (o.validation) cacheValidation(o.orderHash, o.validation);
+  });
+}
+
+// Private listings are visible to their seller and reserved buyer only
+function canSeeOrder(req, order) {
+  return !order.taker || isSessionAddress(req, order.seller) || isSessionAddress(req, order.taker);
+}
+
+app.get(scoped("/orders"), optionalSession, withCollection, async (req, res) => {
+  try {
+    const page = parsePositiveInt(req.query.page, 1);
+    const limit = parsePositiveInt(req.query.limit, DEFAULT_LIMIT);
+    const status = req.query.status || "active";
+    const sort = req.query.sort || "newest";
+    const minPrice = parsePrice(req.query.minPrice);
+    const maxPrice = parsePrice(req.query.maxPrice);
+    const traits = parseTraits(req.query.traits);
+    const { seller, tokenId, currency } = req.query;
+
+    if (!page || !limit || limit > MAX_LIMIT) {
+      return res
+        .status(400)
+        .json({ success: false, error: `page and limit must be positive integers (limit <= ${MAX_LIMIT})` });
+    }
+    if (status !== "all" && !ORDER_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `Unknown status: ${status}` });
+    }
+    if (!ORDER_SORTS[sort]) {
+      return res.status(400).json({ success: false, error: `Unknown sort: ${sort}` });
+    }
+    if (minPrice === null || maxPrice === null) {
+      return res.status(400).json({ success: false, error: "minPrice and maxPrice must be non-negative numbers" });
+    }
+    if (!traits) {
+      return res
+        .status(400)
+        .json({ success: false, error: "traits must be a JSON object of trait type → array of values" });
+    }
+    if (currency && !["native", "erc20"].includes(currency)) {
+      return res.status(400).json({ success: false, error: `Unknown currency: ${currency}` });
+    }
+    if (seller && !ethers.utils.isAddress(seller)) {
+      return res.status(400).json({ success: false, error: "Invalid seller address" });
+    }
+    if (tokenId && !/^\d+$/.test(tokenId)) {
+      return res.status(400).json({ success: false, error: "tokenId must be a non-negative integer" });
+    }
+
+    const nftContract = req.collection.address;
+    const { orders, total } = await listOrders({
+      nftContract,
+      viewer: req.session?.address,
+      status,
+      seller,
+      tokenId,
+      minPrice,
+      maxPrice,
+      currency,
+      traits,
+      sort,
+      page,
+      limit,
+    });
+    await Promise.all([
+      attachMetadata(orders, nftContract),
+      attachBestOffers(orders, nftContract),
+      attachValidation(orders, nftContract),
+    ]);
+
+    res.json({
+      success: true,
+      orders,
+      page,
+      limit,
+      total,
+      totalPages: Math.max(1, Math.ceil(total / limit)),
+    });
   } catch (err) {
     console.error("GET /api/orders error:", err);
     res.status(500).json({ success: false, error: "Server error" });
   }
 });
 
+// ================================
+// 📌 2a) ONE ORDER (direct link, e.g. shared with a private listing's buyer)
+// ================================
+app.get("/api/orders/:orderHash", optionalSession, async (req, res) => {
+  try {
+    const order = await findOrder(req.params.orderHash);
+    // Someone else's private listing does not exist as far as the caller can tell
+    if (!order || !canSeeOrder(req, order)) {
+      return res.status(404).json({ success: false, error: "Order not found" });
+    }
+
+    await Promise.all([
+      order.nftContract && attachMetadata([order], order.nftContract),
+      order.nftContract && attachBestOffers([order], order.nftContract),
+      attachValidation([order], order.nftContract),
+    ]);
+
+    res.json({ success: true, order });
+  } catch (err) {
+    console.error("GET /api/orders/:orderHash error:", err);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// ================================
+// 📌 2b) PRE-FLIGHT CHECK (before the buyer signs)
+// ================================
+app.get("/api/orders/:orderHash/validate", optionalSession, async (req, res) => {
+  try {
+    const { buyer } = req.query;
+    if (buyer && !ethers.utils.isAddress(buyer)) {
+      return res.status(400).json({ success: false, error: "Invalid buyer address" });
+    }
+    // Units the buyer wants of a multi-unit listing (default: all that are left)
+    const units = req.query.units === undefined ? undefined : Number(req.query.units);
+    if (units !== undefined && (!Number.isInteger(units) || units < 1)) {
+      return res.status(400).json({ success: false, error: "units must be a positive integer" });
+    }
+
+    const order = await findOrder(req.params.orderHash);
+    if (!order || !canSeeOrder(req, order)) return res.status(404).json({ success: false, error: "Order not found" });
+    if (order.status !== "active") {
+      return res.json({
+        success: true,
+        validation: { fillable: false, reason: STATUS_REASONS[order.status], message: `Order is ${order.status}` },
+      });
+    }
+
+    let validation;
+    try {
+      validation = await validateOrder(order, { buyer, units });
+    } catch (err) {
+      console.error("GET /api/orders/:orderHash/validate chain error:", err);
+      return res
+        .status(503)
+        .json({ success: false, error: "Chain unavailable", code: "CHAIN_UNAVAILABLE" });
+    }
+
+    res.json({ success: true, validation });
+  } catch (err) {
+    console.error("GET /api/orders/:orderHash/validate error:", err);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
 // ================================
 // 📌 3) BUY CALLBACK (after Seaport tx)
 // ================================
-app.post("/api/buy", async (req, res) => {
+app.post("/api/buy", requireSession, async (req, res) => {
+  const { orderHash, txHash } = req.body;
+  const buyerAddress = req.body.buyerAddress || req.session.address;
+
+  const reject = (status, code, error) => {
+    console.warn("⚠️ POST /api/buy rejected:", code, { orderHash, txHash, buyerAddress, ip: req.ip });
+    return res.status(status).json({ success: false, error, code });
+  };
+
   try {
-    const { orderHash, buyerAddress } = req.body;
+    if (!orderHash || !txHash) {
+      return res.status(400).json({ success: false, error: "Missing orderHash or txHash" });
+    }
+    if (rejectOtherAddress(req, res, buyerAddress)) return;
 
-    if (!orderHash || !buyerAddress) {
-      return res.status(400).json({ success: false, error: "Missing orderHash or buyerAddress" });
+    const order = await findOrder(orderHash);
+    if (!order) return reject(404, "ORDER_NOT_FOUND", "Order not found");
+    if (order.status === "fulfilled") return reject(409, "ALREADY_FULFILLED", "Order is already fulfilled");
+
+    let fulfillment;
+    try {
+      fulfillment = await verifyFulfillment(
+        { txHash, order, buyerAddress },
+        { provider: await getProvider(), seaportAddress: process.env.SEAPORT_CONTRACT_ADDRESS }
+      );
+    } catch (err) {
+      if (err instanceof OrderVerificationError) return reject(err.status, err.code, err.message);
+      console.error("POST /api/buy chain error:", err);
+      return res
+        .status(503)
+        .json({ success: false, error: "Chain unavailable", code: "CHAIN_UNAVAILABLE" });
     }
 
-    const { data, error } = await supabase
-      .from("orders")
-      .update({
-        onChain: true,
-        buyerAddress: buyerAddress.toLowerCase(),
-        status: "fulfilled",
-        updatedAt: new Date().toISOString(),
-      })
-      .eq("orderHash", orderHash)
-      .select();
+    const sale = decodeSale(fulfillment, order.nftContract);
+    const decimals = await getTokenDecimals(sale?.paymentToken);
 
-    if (error) throw error;
+    // One fill: all of an ERC-721 listing, or some units of an ERC-1155 one
+    let fill;
+    try {
+      fill = await recordFill(
+        order.orderHash,
+        {
+          txHash: fulfillment.txHash,
+          logIndex: fulfillment.logIndex,
+          units: sale?.quantity ?? "1",
+          buyerAddress: fulfillment.buyer,
+          price: sale && ethers.utils.formatUnits(sale.totalAmount, decimals),
+          blockNumber: fulfillment.blockNumber,
+        },
+        {
+          onChain: true,
+          currency: sale?.currency,
+          paymentToken: sale?.paymentToken,
+          sellerProceeds: sale && ethers.utils.formatUnits(sale.sellerAmount, decimals),
+          fees: sale?.fees.map((f) => ({
+            recipient: f.recipient,
+            amount: ethers.utils.formatUnits(f.amount, decimals),
+          })),
+        }
+      );
+    } catch (err) {
+      if (err instanceof InvalidTransitionError) {
+        return reject(409, "INVALID_TRANSITION", err.message);
+      }
+      throw err;
+    }
 
-    res.json({ success: true, order: data[0] });
+    // A concurrent request (or the chain sync) recorded it first
+    if (!fill.recorded) {
+      return reject(409, "ALREADY_FULFILLED", "This purchase is already recorded");
+    }
+
+    forgetWallet(order.nftContract, order.seller);
+    forgetWallet(order.nftContract, fulfillment.buyer);
+    validationCache.delete(order.orderHash);
+
+    res.json({ success: true, order: fill.order, remaining: fill.remaining });
   } catch (err) {
     console.error("POST /api/buy error:", err);
     res.status(500).json({ success: false, error: "Server error" });
   }
 });
 
+// ================================
+// 📌 3b) CANCEL (after Seaport cancel / incrementCounter tx)
+// ================================
+app.post("/api/cancel", requireSession, async (req, res) => {
+  try {
+    const { orderHashes, all = false } = req.body;
+    const sellerAddress = req.body.sellerAddress || req.session.address;
+
+    if (!all && (!Array.isArray(orderHashes) || orderHashes.length === 0)) {
+      return res.status(400).json({ success: false, error: "Missing orderHashes (or all: true)" });
+    }
+    if (rejectOtherAddress(req, res, sellerAddress)) return;
+
+    const hashes = all ? [] : orderHashes.map((h) => String(h).toLowerCase());
+
+    // Listings and offers share the offerer's Seaport counter
+    const seller = sellerAddress.toLowerCase();
+    const [openOrders, openOffers] = await Promise.all([
+      findOpenOrdersBySeller(seller),
+      findOpenOffersByBuyer(seller),
+    ]);
+    const open = [...openOrders, ...openOffers];
+    const candidates = all ? open : open.filter((o) => hashes.includes(o.orderHash));
+    const offerHashes = new Set(openOffers.map((o) => o.orderHash));
+
+    let cancelledHashes;
+    try {
+      cancelledHashes = await findCancelledOnChain(candidates, seller, {
+        provider: await getProvider(),
+        seaportAddress: process.env.SEAPORT_CONTRACT_ADDRESS,
+      });
+    } catch (err) {
+      console.error("POST /api/cancel chain error:", err);
+      return res
+        .status(503)
+        .json({ success: false, error: "Chain unavailable", code: "CHAIN_UNAVAILABLE" });
+    }
+
+    const cancelled = [];
+    for (const hash of cancelledHashes) {
+      try {
+        await (offerHashes.has(hash) ? transitionOffer : transitionOrder)(hash, "cancelled");
+        cancelled.push(hash);
+      } catch (err) {
+        if (!(err instanceof InvalidTransitionError)) throw err;
+      }
+    }
+
+    // Requested hashes the chain does not (yet) show as cancelled, or not this seller's
+    const notCancelled = all ? [] : hashes.filter((h) => !cancelled.includes(h));
+
+    res.json({ success: true, cancelled, notCancelled });
+  } catch (err) {
+    console.error("POST /api/cancel error:", err);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// ================================
+// 📌 4) ACTIVITY FEED
+// ================================
+app.get(scoped("/activity"), withCollection, async (req, res) => {
+  try {
+    const page = parsePositiveInt(req.query.page, 1);
+    const limit = parsePositiveInt(req.query.limit, 20);
+    const { tokenId, address, type } = req.query;
+
+    if (!page || !limit || limit > MAX_LIMIT) {
+      return res
+        .status(400)
+        .json({ success: false, error: `page and limit must be positive integers (limit <= ${MAX_LIMIT})` });
+    }
+    if (type && !ACTIVITY_TYPES.includes(type)) {
+      return res.status(400).json({ success: false, error: `Unknown type: ${type}` });
+    }
+    if (address && !ethers.utils.isAddress(address)) {
+      return res.status(400).json({ success: false, error: "Invalid address" });
+    }
+
+    const { activity, total } = await listActivity({
+      nftContract: req.collection.address,
+      tokenId,
+      address,
+      type,
+      page,
+      limit,
+    });
+
+    res.json({
+      success: true,
+      activity,
+      page,
+      limit,
+      total,
+      totalPages: Math.max(1, Math.ceil(total / limit)),
+    });
+  } catch (err) {
+    console.error("GET /api/activity error:", err);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// ================================
+// 📌 5) COLLECTION STATS
+// ================================
+app.get(scoped("/stats"), withCollection, async (req, res) => {
+  try {
+    const stats = await getCollectionStats(req.collection);
+    res.json({ success: true, stats });
+  } catch (err) {
+    console.error("GET /api/stats error:", err);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// ================================
+// 📌 6) TOKEN METADATA
+// ================================
+app.get(scoped("/tokens/:id"), withCollection, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!/^\d+$/.test(id)) {
+      return res.status(400).json({ success: false, error: "Token id must be a non-negative integer" });
+    }
+
+    let token;
+    try {
+      token = await getToken(req.collection.address, id, { refresh: req.query.refresh === "1" });
+    } catch (err) {
+      if (err.code === "CALL_EXCEPTION") {
+        return res.status(404).json({ success: false, error: "Token not found" });
+      }
+      throw err;
+    }
+
+    res.json({ success: true, token });
+  } catch (err) {
+    console.error("GET /api/tokens/:id error:", err);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// ================================
+// 📌 7) TRAIT COUNTS (filter sidebar)
+// ================================
+app.get(scoped("/traits"), withCollection, async (req, res) => {
+  try {
+    const traits = await getTraitCounts(req.collection.address);
+    res.json({ success: true, traits });
+  } catch (err) {
+    console.error("GET /api/traits error:", err);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// ================================
+// 📌 8) WALLET INVENTORY
+// ================================
+app.get(scoped("/wallet/:address/tokens"), optionalSession, withCollection, async (req, res) => {
+  try {
+    const { address } = req.params;
+    if (!ethers.utils.isAddress(address)) {
+      return res.status(400).json({ success: false, error: "Invalid address" });
+    }
+
+    const nftContract = req.collection.address;
+    let ids;
+    let balances = null; // ERC-1155: tokenId → units held
+    try {
+      if (req.collection.standard === "erc1155") {
+        balances = await getWalletBalances(req.collection, address);
+        ids = [...balances.keys()];
+      } else {
+        ids = await getWalletTokenIds(req.collection, address);
+      }
+    } catch (err) {
+      if (err instanceof InventoryIndexingError) {
+        return res
+          .status(503)
+          .set("Retry-After", "30")
+          .json({ success: false, error: "Inventory is still being indexed", code: "INVENTORY_INDEXING" });
+      }
+      console.error("GET /api/wallet chain error:", err);
+      return res
+        .status(503)
+        .json({ success: false, error: "Chain unavailable", code: "CHAIN_UNAVAILABLE" });
+    }
+
+    const [listings, tokens, bestOffers] = await Promise.all([
+      findOpenListings(nftContract, address, ids),
+      getCachedTokens(nftContract, ids),
+      getBestOffers(nftContract, ids),
+    ]);
+    const listingById = new Map();
+    for (const l of listings) {
+      if (!listingById.has(l.tokenId) && canSeeOrder(req, l)) listingById.set(l.tokenId, l);
+    }
+    const tokenById = new Map(tokens.map((t) => [t.tokenId, t]));
+    prefetchTokens(nftContract, ids.filter((id) => !tokenById.has(id)));
+
+    res.json({
+      success: true,
+      tokens: ids.map((id) => {
+        const t = tokenById.get(id);
+        return {
+          tokenId: id,
+          balance: balances ? balances.get(id) : "1",
+          name: t?.name ?? null,
+          image: t?.image ?? null,
+          rarityRank: t?.rarityRank ?? null,
+          listing: listingById.get(id) ?? null,
+          bestOffer: bestOffers.get(id) ?? null,
+        };
+      }),
+    });
+  } catch (err) {
+    console.error("GET /api/wallet/:address/tokens error:", err);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// ================================
+// 📌 9) OFFERS (bids on a token or the whole collection)
+// ================================
+app.post("/api/offers", requireSession, async (req, res) => {
+  try {
+    const { buyerAddress, seaportOrder, orderHash } = req.body;
+
+    if (!buyerAddress || !seaportOrder || !orderHash) {
+      return res
+        .status(400)
+        .json({ success: false, error: "Missing buyerAddress, orderHash or seaportOrder" });
+    }
+    if (rejectOtherAddress(req, res, buyerAddress)) return;
+
+    // The wanted token decides the collection
+    const collection = await findCollection(seaportOrder.parameters?.consideration?.[0]?.token);
+    if (!collection) {
+      return res
+        .status(400)
+        .json({ success: false, error: "Offer is for an unknown collection", code: "UNKNOWN_COLLECTION" });
+    }
+    // Offers ask for one ERC-721; bids on ERC-1155 units are not supported yet
+    if (collection.standard === "erc1155") {
+      return res
+        .status(400)
+        .json({ success: false, error: "Offers are not supported for ERC-1155 collections", code: "UNSUPPORTED_STANDARD" });
+    }
+
+    let verified;
+    try {
+      verified = await verifySeaportOffer(
+        { seaportOrder, orderHash, buyerAddress },
+        {
+          provider: await getProvider(),
+          seaportAddress: process.env.SEAPORT_CONTRACT_ADDRESS,
+          nftContract: collection.address,
+          paymentTokens: OFFER_TOKENS,
+          marketplaceFee: MARKETPLACE_FEE,
+          royalty: collectionRoyalty(collection),
+        }
+      );
+    } catch (err) {
+      if (err instanceof OrderVerificationError) {
+        return res.status(err.status).json({ success: false, error: err.message, code: err.code });
+      }
+      console.error("POST /api/offers chain error:", err);
+      return res
+        .status(503)
+        .json({ success: false, error: "Chain unavailable", code: "CHAIN_UNAVAILABLE" });
+    }
+
+    const decimals = await getTokenDecimals(verified.paymentToken);
+    const price = ethers.utils.formatUnits(verified.amount, decimals);
+
+    // An offer on a token in a running English auction is a bid in it
+    const auction = verified.kind === "token" ? await findRunningAuction(collection.address, verified.tokenId) : null;
+    const bidding = auction?.status === "open" && Date.parse(auction.endTime) > Date.now();
+    if (bidding) {
+      const rejectBid = (code, error) => res.status(400).json({ success: false, error, code });
+      if (verified.paymentToken !== auction.paymentToken) {
+        return rejectBid("AUCTION_CURRENCY", "Bids must be in the auction's currency");
+      }
+      // Still valid when the seller settles after the close
+      if (Number(verified.endTime) * 1000 < Date.parse(auction.endTime) + SETTLEMENT_WINDOW_MS) {
+        return rejectBid("BID_EXPIRES_EARLY", "Bid must stay valid until the settlement window closes");
+      }
+      const highest = (await getHighestBids([auction.id])).get(auction.id);
+      if (highest && ethers.BigNumber.from(verified.amount).lte(offerAmount(highest.seaportOrder))) {
+        return rejectBid("BID_TOO_LOW", `Bid must be above the highest bid (${highest.price})`);
+      }
+    }
+
+    const offer = await saveOffer({
+      orderHash: verified.orderHash,
+      kind: verified.kind,
+      tokenId: verified.tokenId,
+      nftContract: collection.address,
+      marketplaceContract: process.env.SEAPORT_CONTRACT_ADDRESS,
+      buyer: verified.buyer,
+      paymentToken: verified.paymentToken,
+      price,
+      seaportOrder,
+      endTime: endTimeIso(verified.endTime),
+      auctionId: bidding ? auction.id : null,
+    });
+
+    res.json({ success: true, offer });
+  } catch (err) {
+    console.error("POST /api/offers error:", err);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+app.get(scoped("/offers"), withCollection, async (req, res) => {
+  try {
+    const page = parsePositiveInt(req.query.page, 1);
+    const limit = parsePositiveInt(req.query.limit, 20);
+    const status = req.query.status || "active";
+    const { tokenId, buyer } = req.query;
+
+    if (!page || !limit || limit > MAX_LIMIT) {
+      return res
+        .status(400)
+        .json({ success: false, error: `page and limit must be positive integers (limit <= ${MAX_LIMIT})` });
+    }
+    if (status !== "all" && !ORDER_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `Unknown status: ${status}` });
+    }
+    if (tokenId && !/^\d+$/.test(tokenId)) {
+      return res.status(400).json({ success: false, error: "tokenId must be a non-negative integer" });
+    }
+    if (buyer && !ethers.utils.isAddress(buyer)) {
+      return res.status(400).json({ success: false, error: "Invalid buyer address" });
+    }
+
+    const { offers, total } = await listOffers({
+      nftContract: req.collection.address,
+      tokenId,
+      buyer,
+      status,
+      page,
+      limit,
+    });
+
+    res.json({
+      success: true,
+      offers,
+      page,
+      limit,
+      total,
+      totalPages: Math.max(1, Math.ceil(total / limit)),
+    });
+  } catch (err) {
+    console.error("GET /api/offers error:", err);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// Called by the token owner after their Seaport fulfilment tx
+app.post("/api/offers/accept", requireSession, async (req, res) => {
+  const { orderHash, txHash } = req.body;
+  const sellerAddress = req.body.sellerAddress || req.session.address;
+
+  const reject = (status, code, error) => {
+    console.warn("⚠️ POST /api/offers/accept rejected:", code, { orderHash, txHash, sellerAddress, ip: req.ip });
+    return res.status(status).json({ success: false, error, code });
+  };
+
+  try {
+    if (!orderHash || !txHash) {
+      return res.status(400).json({ success: false, error: "Missing orderHash or txHash" });
+    }
+    if (rejectOtherAddress(req, res, sellerAddress)) return;
+
+    const offer = await findOffer(orderHash);
+    if (!offer) return reject(404, "OFFER_NOT_FOUND", "Offer not found");
+    if (offer.status === "fulfilled") return reject(409, "ALREADY_FULFILLED", "Offer is already accepted");
+
+    let sale;
+    try {
+      sale = await verifyOfferAcceptance(
+        { txHash, offer, sellerAddress },
+        { provider: await getProvider(), seaportAddress: process.env.SEAPORT_CONTRACT_ADDRESS }
+      );
+    } catch (err) {
+      if (err instanceof OrderVerificationError) return reject(err.status, err.code, err.message);
+      console.error("POST /api/offers/accept chain error:", err);
+      return res
+        .status(503)
+        .json({ success: false, error: "Chain unavailable", code: "CHAIN_UNAVAILABLE" });
+    }
+
+    let updated;
+    try {
+      updated = await transitionOffer(offer.orderHash, "fulfilled", {
+        tokenId: sale.tokenId,
+        sellerAddress: sale.seller,
+        fulfillTxHash: sale.txHash,
+        onChainBlock: sale.blockNumber,
+      });
+    } catch (err) {
+      if (err instanceof InvalidTransitionError) {
+        return reject(409, "INVALID_TRANSITION", err.message);
+      }
+      throw err;
+    }
+    if (updated.fulfillTxHash !== sale.txHash) {
+      return reject(409, "ALREADY_FULFILLED", "Offer is already accepted");
+    }
+
+    // The token left the seller's wallet, so their listings for it can no longer fill
+    for (const listing of await findOpenListings(offer.nftContract, sale.seller, [sale.tokenId])) {
+      await transitionOrder(listing.orderHash, "inactive").catch((err) => {
+        if (!(err instanceof InvalidTransitionError)) throw err;
+      });
+    }
+
+    forgetWallet(offer.nftContract, sale.seller);
+    forgetWallet(offer.nftContract, offer.buyer);
+
+    res.json({ success: true, offer: updated });
+  } catch (err) {
+    console.error("POST /api/offers/accept error:", err);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// ================================
+// 📌 10) MARKET CONFIG (currencies and fees for the listing form)
+// ================================
+app.get("/api/config", async (req, res) => {
+  try {
+    const [paymentTokens, offerTokens] = await Promise.all([
+      Promise.all([null, ...PAYMENT_TOKENS].map(getTokenInfo)),
+      Promise.all(OFFER_TOKENS.map(getTokenInfo)),
+    ]);
+
+    res.json({
+      success: true,
+      paymentTokens,
+      offerTokens,
+      marketplaceFee: MARKETPLACE_FEE,
+    });
+  } catch (err) {
+    console.error("GET /api/config error:", err);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// ================================
+// 📌 11) COLLECTIONS (picker; the first one is the default)
+// ================================
+app.get("/api/collections", async (req, res) => {
+  try {
+    const collections = await listCollections();
+    res.json({ success: true, collections });
+  } catch (err) {
+    console.error("GET /api/collections error:", err);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// ================================
+// 📌 12) ENGLISH AUCTIONS (bids are offers; the seller settles at close)
+// ================================
+const MAX_AUCTION_HOURS = 30 * 24;
+
+app.post("/api/auctions", requireSession, async (req, res) => {
+  try {
+    const { nftContract, tokenId, reservePrice, durationHours } = req.body;
+    const paymentToken = (req.body.paymentToken || OFFER_TOKENS[0] || "").toLowerCase();
+
+    const collection = await findCollection(nftContract);
+    if (!collection) {
+      return res.status(400).json({ success: false, error: "Unknown collection", code: "UNKNOWN_COLLECTION" });
+    }
+    // Bids are ERC-721 offers
+    if (collection.standard === "erc1155") {
+      return res
+        .status(400)
+        .json({ success: false, error: "Auctions are not supported for ERC-1155 collections", code: "UNSUPPORTED_STANDARD" });
+    }
+    if (!/^\d+$/.test(String(tokenId ?? ""))) {
+      return res.status(400).json({ success: false, error: "tokenId must be a non-negative integer" });
+    }
+    const hours = Number(durationHours);
+    if (!Number.isInteger(hours) || hours < 1 || hours > MAX_AUCTION_HOURS) {
+      return res
+        .status(400)
+        .json({ success: false, error: `durationHours must be an integer from 1 to ${MAX_AUCTION_HOURS}` });
+    }
+    if (!OFFER_TOKENS.includes(paymentToken)) {
+      return res.status(400).json({ success: false, error: "Bids are not accepted in this token", code: "UNSUPPORTED_TOKEN" });
+    }
+    // A plain decimal within the token's precision ("1e3" and "-1" are not)
+    const decimals = await getTokenDecimals(paymentToken);
+    let reserve;
+    try {
+      reserve = ethers.utils.parseUnits(String(reservePrice ?? ""), decimals);
+    } catch {
+      reserve = null;
+    }
+    if (!reserve || reserve.lte(0)) {
+      return res.status(400).json({ success: false, error: "reservePrice must be a positive number" });
+    }
+
+    let owner;
+    try {
+      owner = await new ethers.Contract(collection.address, ERC721_ABI, await getProvider()).ownerOf(tokenId);
+    } catch (err) {
+      if (err.code !== ethers.errors.CALL_EXCEPTION) {
+        console.error("POST /api/auctions chain error:", err);
+        return res
+          .status(503)
+          .json({ success: false, error: "Chain unavailable", code: "CHAIN_UNAVAILABLE" });
+      }
+    }
+    if (!isSessionAddress(req, owner)) {
+      return res.status(403).json({ success: false, error: "Signed-in wallet does not own this token", code: "NOT_OWNER" });
+    }
+
+    const auction = await createAuction({
+      nftContract: collection.address,
+      tokenId: String(tokenId),
+      seller: req.session.address,
+      paymentToken,
+      reservePrice: ethers.utils.formatUnits(reserve, decimals),
+      startTime: new Date().toISOString(),
+      endTime: new Date(Date.now() + hours * 3600_000).toISOString(),
+    });
+    if (!auction) {
+      return res
+        .status(409)
+        .json({ success: false, error: "This token is already being auctioned", code: "AUCTION_EXISTS" });
+    }
+
+    res.json({ success: true, auction });
+  } catch (err) {
+    console.error("POST /api/auctions error:", err);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// Running auctions with their highest bid; `reserveMet` tells whether that bid would win
+app.get(scoped("/auctions"), withCollection, async (req, res) => {
+  try {
+    const page = parsePositiveInt(req.query.page, 1);
+    const limit = parsePositiveInt(req.query.limit, 20);
+    const { seller } = req.query;
+
+    if (!page || !limit || limit > MAX_LIMIT) {
+      return res
+        .status(400)
+        .json({ success: false, error: `page and limit must be positive integers (limit <= ${MAX_LIMIT})` });
+    }
+    if (seller && !ethers.utils.isAddress(seller)) {
+      return res.status(400).json({ success: false, error: "Invalid seller address" });
+    }
+
+    const nftContract = req.collection.address;
+    const { auctions, total } = await listAuctions({ nftContract, seller, page, limit });
+    const [bids, tokens] = await Promise.all([
+      getHighestBids(auctions.map((a) => a.id)),
+      getCachedTokens(nftContract, auctions.map((a) => a.tokenId)),
+    ]);
+    const tokenById = new Map(tokens.map((t) => [t.tokenId, t]));
+    const paymentTokens = [...new Set(auctions.map((a) => a.paymentToken))];
+    const decimalsByToken = new Map(
+      await Promise.all(paymentTokens.map(async (t) => [t, await getTokenDecimals(t)]))
+    );
+
+    res.json({
+      success: true,
+      auctions: auctions.map((a) => {
+        const highestBid = bids.get(a.id) ?? null;
+        const t = tokenById.get(a.tokenId);
+        return {
+          ...a,
+          name: t?.name ?? null,
+          image: t?.image ?? null,
+          highestBid,
+          reserveMet: !!highestBid && meetsReserve(highestBid, a, decimalsByToken.get(a.paymentToken)),
+        };
+      }),
+      page,
+      limit,
+      total,
+      totalPages: Math.max(1, Math.ceil(total / limit)),
+    });
+  } catch (err) {
+    console.error("GET /api/auctions error:", err);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// The seller may call off an auction nobody has bid on yet
+app.post("/api/auctions/:id/cancel", requireSession, async (req, res) => {
+  try {
+    const auction = await findAuction(req.params.id);
+    if (!auction) return res.status(404).json({ success: false, error: "Auction not found" });
+    if (rejectOtherAddress(req, res, auction.seller)) return;
+    if (auction.status !== "open") {
+      return res
+        .status(409)
+        .json({ success: false, error: `Auction is ${auction.status}`, code: "INVALID_TRANSITION" });
+    }
+    if ((await getHighestBids([auction.id])).size > 0) {
+      return res
+        .status(409)
+        .json({ success: false, error: "Auction already has bids", code: "HAS_BIDS" });
+    }
+
+    let updated;
+    try {
+      updated = await transitionAuction(auction.id, "cancelled");
+    } catch (err) {
+      if (err instanceof InvalidTransitionError) {
+        return res.status(409).json({ success: false, error: err.message, code: "INVALID_TRANSITION" });
+      }
+      throw err;
+    }
+
+    res.json({ success: true, auction: updated });
+  } catch (err) {
+    console.error("POST /api/auctions/:id/cancel error:", err);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// ================================
+// 📌 13) LIVE UPDATES (Server-Sent Events: listing, price, sale, cancel, expire, inactive)
+// ================================
+const HEARTBEAT_MS = 25_000;
+
+// Open event streams: { res, nftContract }
+const liveClients = new Set();
+let stopOrderEvents = null;
+
+async function broadcastOrderEvents(events) {
+  // Cards need the same token name/image and best offer as GET /api/orders
+  const byContract = new Map();
+  for (const e of events) {
+    if (!e.order?.nftContract) continue;
+    const list = byContract.get(e.order.nftContract) || [];
+    list.push(e.order);
+    byContract.set(e.order.nftContract, list);
+  }
+  try {
+    await Promise.all(
+      [...byContract].flatMap(([nftContract, orders]) => [
+        attachMetadata(orders, nftContract),
+        attachBestOffers(orders, nftContract),
+      ])
+    );
+  } catch (err) {
+    console.warn("⚠️ Live event enrichment failed:", err.message);
+  }
+
+  for (const e of events) {
+    const frame = `event: ${e.type}\ndata: ${JSON.stringify(e)}\n\n`;
+    for (const client of liveClients) {
+      if (client.nftContract === e.activity.nftContract?.toLowerCase()) client.res.write(frame);
+    }
+  }
+}
+
+app.get(scoped("/events"), withCollection, (req, res) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    // nginx would otherwise buffer the stream
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+  res.write("retry: 5000\n\n");
+
+  const client = { res, nftContract: req.collection.address };
+  liveClients.add(client);
+  if (!stopOrderEvents) stopOrderEvents = onOrderEvents(broadcastOrderEvents);
+
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    liveClients.delete(client);
+    if (liveClients.size === 0 && stopOrderEvents) {
+      stopOrderEvents();
+      stopOrderEvents = null;
+    }
+  });
+});
+
 // ------------------------------------------------------
 // 🚀 START SERVER
 // ------------------------------------------------------
 app.listen(PORT, () => {
   console.log(`🚀 Backend ${PORT}-də işləyir`);
+
+  // Wallet inventory of non-enumerable collections reads their Transfer index
+  listCollections()
+    .then((collections) =>
+      collections.forEach((c) =>
+        warmInventory(c).catch((err) => console.warn(`⚠️ Inventory index of ${c.slug} failed:`, err.message))
+      )
+    )
+    .catch((err) => console.warn("⚠️ Inventory index warm-up skipped:", err.message));
 });
@@ -0,0 +1,5 @@
+-- On-chain proof for fulfilled orders (POST /api/buy)
+alter table orders add column if not exists "fulfillTxHash" text;
+alter table orders add column if not exists "onChainBlock" bigint;
+
+create index if not exists orders_fulfill_tx_hash_idx on orders ("fulfillTxHash");
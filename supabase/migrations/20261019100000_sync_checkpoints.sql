@@ -0,0 +1,6 @@
+-- Last fully processed block per Seaport event type (syncSeaportOrders.js)
+create table if not exists sync_checkpoints (
+  "name" text primary key,
+  "lastBlock" bigint not null,
+  "updatedAt" timestamptz not null default now()
+);
@@ -0,0 +1,5 @@
+-- Sale details decoded from Seaport OrderFulfilled events
+alter table orders add column if not exists "currency" text not null default 'native';
+alter table orders add column if not exists "paymentToken" text;
+alter table orders add column if not exists "sellerProceeds" numeric;
+alter table orders add column if not exists "fees" jsonb;
@@ -0,0 +1,21 @@
+-- Listing / sale / cancel history, written by orderRepository.js
+create table if not exists activity (
+  "id" bigint generated always as identity primary key,
+  "type" text not null check ("type" in ('listing', 'sale', 'cancel', 'expire', 'inactive')),
+  "orderHash" text not null,
+  "tokenId" text,
+  "nftContract" text,
+  "fromAddress" text,
+  "toAddress" text,
+  "price" numeric,
+  "currency" text not null default 'native',
+  "paymentToken" text,
+  "txHash" text,
+  "blockNumber" bigint,
+  "createdAt" timestamptz not null default now(),
+  unique ("type", "orderHash")
+);
+
+create index if not exists activity_token_idx on activity ("tokenId", "createdAt" desc);
+create index if not exists activity_from_idx on activity ("fromAddress", "createdAt" desc);
+create index if not exists activity_to_idx on activity ("toAddress", "createdAt" desc);
@@ -0,0 +1,12 @@
+-- tokenURI metadata cache (tokenMetadata.js / indexTokens.js)
+create table if not exists tokens (
+  "nftContract" text not null,
+  "tokenId" text not null,
+  "tokenUri" text,
+  "name" text,
+  "description" text,
+  "image" text,
+  "attributes" jsonb not null default '[]'::jsonb,
+  "updatedAt" timestamptz not null default now(),
+  primary key ("nftContract", "tokenId")
+);
@@ -0,0 +1,23 @@
+-- Trait filters and rarity ranking (computeRarity.js)
+alter table tokens add column if not exists "traits" text[] not null default '{}';
+alter table tokens add column if not exists "rarityScore" numeric;
+alter table tokens add column if not exists "rarityRank" integer;
+
+create index if not exists tokens_traits_idx on tokens using gin ("traits");
+
+create table if not exists trait_counts (
+  "nftContract" text not null,
+  "traitType" text not null,
+  "value" text not null,
+  "count" integer not null,
+  primary key ("nftContract", "traitType", "value")
+);
+
+-- Orders joined with their token's traits and rarity, read by GET /api/orders
+-- (o.* is expanded when the view is created: re-create it after adding order columns)
+create or replace view orders_view as
+  select o.*, t."traits", t."rarityScore", t."rarityRank"
+  from orders o
+  left join tokens t
+    on t."nftContract" = lower(o."nftContract")
+   and t."tokenId" = o."tokenId";
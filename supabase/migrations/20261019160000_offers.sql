@@ -0,0 +1,30 @@
+-- Buyer offers (bids): Seaport orders offering an ERC-20 for one token or any
+-- token of the collection. Written by offerRepository.js
+create table if not exists offers (
+  "id" text primary key,
+  "orderHash" text not null unique,
+  "kind" text not null check ("kind" in ('token', 'collection')),
+  "tokenId" text,
+  "nftContract" text not null,
+  "marketplaceContract" text,
+  "buyer" text not null,
+  "paymentToken" text not null,
+  "price" numeric not null,
+  "seaportOrder" jsonb not null,
+  "status" text not null default 'active',
+  "endTime" timestamptz not null,
+  "sellerAddress" text,
+  "fulfillTxHash" text,
+  "onChainBlock" bigint,
+  "createdAt" timestamptz not null default now(),
+  "updatedAt" timestamptz not null default now()
+);
+
+create index if not exists offers_token_idx on offers ("nftContract", "tokenId", "status", "price" desc);
+create index if not exists offers_collection_idx on offers ("nftContract", "kind", "status", "price" desc);
+create index if not exists offers_buyer_idx on offers ("buyer", "status");
+
+-- New offers show up in the activity feed
+alter table activity drop constraint if exists activity_type_check;
+alter table activity add constraint activity_type_check
+  check ("type" in ('listing', 'sale', 'cancel', 'expire', 'inactive', 'offer'));
@@ -0,0 +1,56 @@
+-- Listings may now be priced in an ERC-20: the floor only compares native prices
+create or replace function collection_stats(p_nft_contract text)
+returns json
+language sql
+stable
+as $$
+  with listed as (
+    select price, "tokenId"
+    from orders
+    where status = 'active'
+      and currency = 'native'
+      and lower("nftContract") = lower(p_nft_contract)
+  ),
+  all_listed as (
+    select "tokenId"
+    from orders
+    where status = 'active'
+      and lower("nftContract") = lower(p_nft_contract)
+  ),
+  sales as (
+    select price, currency, "paymentToken", "createdAt"
+    from activity
+    where type = 'sale'
+      and lower("nftContract") = lower(p_nft_contract)
+  ),
+  native_sales as (
+    select price, "createdAt" from sales where currency = 'native'
+  )
+  select json_build_object(
+    'floorPrice', (select min(price) from listed),
+    'listedCount', (select count(distinct "tokenId") from all_listed),
+    'volume24h', (select coalesce(sum(price), 0) from native_sales where "createdAt" > now() - interval '24 hours'),
+    'sales24h', (select count(*) from native_sales where "createdAt" > now() - interval '24 hours'),
+    'volume7d', (select coalesce(sum(price), 0) from native_sales where "createdAt" > now() - interval '7 days'),
+    'sales7d', (select count(*) from native_sales where "createdAt" > now() - interval '7 days'),
+    'volumeAll', (select coalesce(sum(price), 0) from native_sales),
+    'salesAll', (select count(*) from native_sales),
+    'averagePrice', (select avg(price) from native_sales),
+    -- Every payment token (null = native), prices only add up within one
+    'byToken', (
+      select coalesce(json_agg(t order by t."paymentToken" nulls first), '[]'::json)
+      from (
+        select "paymentToken",
+               coalesce(sum(price) filter (where "createdAt" > now() - interval '24 hours'), 0) as "volume24h",
+               count(*) filter (where "createdAt" > now() - interval '24 hours') as "sales24h",
+               coalesce(sum(price) filter (where "createdAt" > now() - interval '7 days'), 0) as "volume7d",
+               count(*) filter (where "createdAt" > now() - interval '7 days') as "sales7d",
+               coalesce(sum(price), 0) as "volumeAll",
+               count(*) as "salesAll",
+               avg(price) as "averagePrice"
+        from sales
+        group by "paymentToken"
+      ) t
+    )
+  );
+$$;
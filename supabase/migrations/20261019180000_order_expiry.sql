@@ -0,0 +1,18 @@
+-- Listing end time (for the expiry sweep) and why a listing went inactive
+alter table orders add column if not exists "endTime" timestamptz;
+alter table orders add column if not exists "inactiveReason" text;
+
+update orders
+   set "endTime" = to_timestamp(("seaportOrder"->'parameters'->>'endTime')::numeric)
+ where "endTime" is null
+   and "seaportOrder"->'parameters'->>'endTime' is not null;
+
+create index if not exists orders_open_end_idx on orders ("status", "endTime");
+
+-- o.* is expanded at creation time, so pick up the new columns
+create or replace view orders_view as
+  select o.*, t."traits", t."rarityScore", t."rarityRank"
+  from orders o
+  left join tokens t
+    on t."nftContract" = lower(o."nftContract")
+   and t."tokenId" = o."tokenId";
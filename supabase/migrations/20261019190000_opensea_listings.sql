@@ -0,0 +1,21 @@
+-- Where a listing came from: signed through this app / seen on chain ("local")
+-- or imported from the OpenSea API ("opensea", see openseaSync.js)
+alter table orders add column if not exists "source" text not null default 'local';
+
+-- Rows from the old importer were tagged through marketplaceContract
+update orders
+   set "source" = 'opensea', "marketplaceContract" = null
+ where "marketplaceContract" = 'opensea';
+
+create index if not exists orders_source_open_idx on orders ("source", "status");
+
+-- o.* is expanded at creation time: rebuild the view for "source" and the
+-- order expiry columns. They land before the token columns, which
+-- "create or replace" does not allow, so drop it first.
+drop view if exists orders_view;
+create view orders_view as
+  select o.*, t."traits", t."rarityScore", t."rarityRank"
+  from orders o
+  left join tokens t
+    on t."nftContract" = lower(o."nftContract")
+   and t."tokenId" = o."tokenId";
@@ -0,0 +1,24 @@
+-- Collections served by this deployment (collectionRepository.js). While
+-- the table is empty the NFT_CONTRACT_ADDRESS env collection is used.
+create table if not exists collections (
+  "address" text primary key check ("address" = lower("address")),
+  "slug" text not null unique check ("slug" ~ '^[a-z0-9-]+$'),
+  "name" text not null,
+  "standard" text not null default 'erc721' check ("standard" in ('erc721', 'erc1155')),
+  "openseaSlug" text,
+  -- Used when the contract has no ERC-2981 royaltyInfo
+  "royaltyRecipient" text,
+  "royaltyBps" integer check ("royaltyBps" between 0 and 10000),
+  -- For the listed share when the contract has no totalSupply() (always for ERC-1155)
+  "totalSupply" integer check ("totalSupply" >= 0),
+  -- Wallet inventory scans Transfer logs from here (walletInventory.js)
+  "deployBlock" bigint check ("deployBlock" >= 0),
+  "createdAt" timestamptz not null default now()
+);
+
+-- Rows are now filtered per collection with plain equality
+update orders set "nftContract" = lower("nftContract") where "nftContract" <> lower("nftContract");
+update activity set "nftContract" = lower("nftContract") where "nftContract" <> lower("nftContract");
+
+create index if not exists orders_collection_status_idx on orders ("nftContract", "status");
+create index if not exists activity_collection_idx on activity ("nftContract", "createdAt" desc);
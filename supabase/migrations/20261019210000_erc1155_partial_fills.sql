@@ -0,0 +1,37 @@
+-- ERC-1155 listings: "quantity" units are offered; "price" stays the price of one unit
+alter table orders add column if not exists "quantity" numeric not null default 1;
+
+-- One row per OrderFulfilled log of a listing (replays hit the unique key)
+create table if not exists order_fills (
+  "id" bigint generated always as identity primary key,
+  "orderHash" text not null,
+  "txHash" text not null,
+  "logIndex" integer not null,
+  "units" numeric not null,
+  "buyerAddress" text,
+  "price" numeric,
+  "blockNumber" bigint,
+  "createdAt" timestamptz not null default now(),
+  unique ("txHash", "logIndex")
+);
+
+create index if not exists order_fills_order_idx on order_fills ("orderHash");
+
+-- A partially filled order has one sale per fill transaction
+alter table activity add column if not exists "quantity" numeric not null default 1;
+alter table activity drop constraint if exists "activity_type_orderHash_key";
+alter table activity add constraint activity_type_order_tx_key
+  unique nulls not distinct ("type", "orderHash", "txHash");
+
+drop view if exists orders_view;
+create view orders_view as
+  select o.*, t."traits", t."rarityScore", t."rarityRank",
+         coalesce(f."filled", 0) as "filledQuantity",
+         o."quantity" - coalesce(f."filled", 0) as "remainingQuantity"
+  from orders o
+  left join tokens t
+    on t."nftContract" = lower(o."nftContract")
+   and t."tokenId" = o."tokenId"
+  left join lateral (
+    select sum(fl."units") as "filled" from order_fills fl where fl."orderHash" = o."orderHash"
+  ) f on true;
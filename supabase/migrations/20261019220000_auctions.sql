@@ -0,0 +1,109 @@
+-- Dutch auctions: a listing whose price falls linearly from "startPrice" at
+-- "startTime" to "price" at "endTime" (both per unit; "startPrice" is null
+-- for fixed-price listings)
+alter table orders add column if not exists "startPrice" numeric;
+alter table orders add column if not exists "startTime" timestamptz;
+
+-- English auctions: bids are offers on the token; at "endTime" the highest
+-- bid at or above "reservePrice" wins and the seller settles by accepting it.
+-- "reservePrice" is a decimal string in the payment token: bids are compared
+-- with it in base units, which a numeric read back as a float cannot give.
+create table if not exists auctions (
+  "id" text primary key,
+  "nftContract" text not null,
+  "tokenId" text not null,
+  "seller" text not null,
+  "paymentToken" text not null,
+  "reservePrice" text not null,
+  "startTime" timestamptz not null default now(),
+  "endTime" timestamptz not null,
+  "status" text not null default 'open'
+    check ("status" in ('open', 'ended', 'unsold', 'settled', 'cancelled')),
+  "winningOfferHash" text,
+  "createdAt" timestamptz not null default now(),
+  "updatedAt" timestamptz not null default now()
+);
+
+-- At most one running (open or awaiting settlement) auction per token
+create unique index if not exists auctions_running_token_idx
+  on auctions ("nftContract", "tokenId") where "status" in ('open', 'ended');
+create index if not exists auctions_collection_idx on auctions ("nftContract", "status", "endTime");
+
+alter table offers add column if not exists "auctionId" text references auctions ("id");
+create index if not exists offers_auction_idx on offers ("auctionId", "price" desc);
+
+drop view if exists orders_view;
+create view orders_view as
+  select o.*, t."traits", t."rarityScore", t."rarityRank",
+         coalesce(f."filled", 0) as "filledQuantity",
+         o."quantity" - coalesce(f."filled", 0) as "remainingQuantity",
+         case
+           when o."startPrice" is null or o."startTime" is null or o."endTime" <= o."startTime" then o."price"
+           else o."price" + (o."startPrice" - o."price") * greatest(0, least(1,
+             extract(epoch from (o."endTime" - now())) / extract(epoch from (o."endTime" - o."startTime"))
+           ))
+         end as "currentPrice"
+  from orders o
+  left join tokens t
+    on t."nftContract" = lower(o."nftContract")
+   and t."tokenId" = o."tokenId"
+  left join lateral (
+    select sum(fl."units") as "filled" from order_fills fl where fl."orderHash" = o."orderHash"
+  ) f on true;
+
+-- The floor is the lowest price a buyer pays right now
+create or replace function collection_stats(p_nft_contract text)
+returns json
+language sql
+stable
+as $$
+  with listed as (
+    select "currentPrice" as price, "tokenId"
+    from orders_view
+    where status = 'active'
+      and currency = 'native'
+      and lower("nftContract") = lower(p_nft_contract)
+  ),
+  all_listed as (
+    select "tokenId"
+    from orders
+    where status = 'active'
+      and lower("nftContract") = lower(p_nft_contract)
+  ),
+  sales as (
+    select price, currency, "paymentToken", "createdAt"
+    from activity
+    where type = 'sale'
+      and lower("nftContract") = lower(p_nft_contract)
+  ),
+  native_sales as (
+    select price, "createdAt" from sales where currency = 'native'
+  )
+  select json_build_object(
+    'floorPrice', (select min(price) from listed),
+    'listedCount', (select count(distinct "tokenId") from all_listed),
+    'volume24h', (select coalesce(sum(price), 0) from native_sales where "createdAt" > now() - interval '24 hours'),
+    'sales24h', (select count(*) from native_sales where "createdAt" > now() - interval '24 hours'),
+    'volume7d', (select coalesce(sum(price), 0) from native_sales where "createdAt" > now() - interval '7 days'),
+    'sales7d', (select count(*) from native_sales where "createdAt" > now() - interval '7 days'),
+    'volumeAll', (select coalesce(sum(price), 0) from native_sales),
+    'salesAll', (select count(*) from native_sales),
+    'averagePrice', (select avg(price) from native_sales),
+    -- Every payment token (null = native), prices only add up within one
+    'byToken', (
+      select coalesce(json_agg(t order by t."paymentToken" nulls first), '[]'::json)
+      from (
+        select "paymentToken",
+               coalesce(sum(price) filter (where "createdAt" > now() - interval '24 hours'), 0) as "volume24h",
+               count(*) filter (where "createdAt" > now() - interval '24 hours') as "sales24h",
+               coalesce(sum(price) filter (where "createdAt" > now() - interval '7 days'), 0) as "volume7d",
+               count(*) filter (where "createdAt" > now() - interval '7 days') as "sales7d",
+               coalesce(sum(price), 0) as "volumeAll",
+               count(*) as "salesAll",
+               avg(price) as "averagePrice"
+        from sales
+        group by "paymentToken"
+      ) t
+    )
+  );
+$$;
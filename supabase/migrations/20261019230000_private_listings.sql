@@ -0,0 +1,83 @@
+-- Private listings: the listed NFT also appears in the consideration, sent
+-- to "taker", the only wallet that can fill the order (null = public)
+alter table orders add column if not exists "taker" text;
+create index if not exists orders_taker_idx on orders ("taker") where "taker" is not null;
+
+-- o.* is expanded when the view is created, so it has to be rebuilt for the new column
+drop view if exists orders_view;
+create view orders_view as
+  select o.*, t."traits", t."rarityScore", t."rarityRank",
+         coalesce(f."filled", 0) as "filledQuantity",
+         o."quantity" - coalesce(f."filled", 0) as "remainingQuantity",
+         case
+           when o."startPrice" is null or o."startTime" is null or o."endTime" <= o."startTime" then o."price"
+           else o."price" + (o."startPrice" - o."price") * greatest(0, least(1,
+             extract(epoch from (o."endTime" - now())) / extract(epoch from (o."endTime" - o."startTime"))
+           ))
+         end as "currentPrice"
+  from orders o
+  left join tokens t
+    on t."nftContract" = lower(o."nftContract")
+   and t."tokenId" = o."tokenId"
+  left join lateral (
+    select sum(fl."units") as "filled" from order_fills fl where fl."orderHash" = o."orderHash"
+  ) f on true;
+
+-- Private listings are not for sale to the market: they stay out of the floor and listed count
+create or replace function collection_stats(p_nft_contract text)
+returns json
+language sql
+stable
+as $$
+  with listed as (
+    select "currentPrice" as price, "tokenId"
+    from orders_view
+    where status = 'active'
+      and currency = 'native'
+      and "taker" is null
+      and lower("nftContract") = lower(p_nft_contract)
+  ),
+  all_listed as (
+    select "tokenId"
+    from orders
+    where status = 'active'
+      and "taker" is null
+      and lower("nftContract") = lower(p_nft_contract)
+  ),
+  sales as (
+    select price, currency, "paymentToken", "createdAt"
+    from activity
+    where type = 'sale'
+      and lower("nftContract") = lower(p_nft_contract)
+  ),
+  native_sales as (
+    select price, "createdAt" from sales where currency = 'native'
+  )
+  select json_build_object(
+    'floorPrice', (select min(price) from listed),
+    'listedCount', (select count(distinct "tokenId") from all_listed),
+    'volume24h', (select coalesce(sum(price), 0) from native_sales where "createdAt" > now() - interval '24 hours'),
+    'sales24h', (select count(*) from native_sales where "createdAt" > now() - interval '24 hours'),
+    'volume7d', (select coalesce(sum(price), 0) from native_sales where "createdAt" > now() - interval '7 days'),
+    'sales7d', (select count(*) from native_sales where "createdAt" > now() - interval '7 days'),
+    'volumeAll', (select coalesce(sum(price), 0) from native_sales),
+    'salesAll', (select count(*) from native_sales),
+    'averagePrice', (select avg(price) from native_sales),
+    -- Every payment token (null = native), prices only add up within one
+    'byToken', (
+      select coalesce(json_agg(t order by t."paymentToken" nulls first), '[]'::json)
+      from (
+        select "paymentToken",
+               coalesce(sum(price) filter (where "createdAt" > now() - interval '24 hours'), 0) as "volume24h",
+               count(*) filter (where "createdAt" > now() - interval '24 hours') as "sales24h",
+               coalesce(sum(price) filter (where "createdAt" > now() - interval '7 days'), 0) as "volume7d",
+               count(*) filter (where "createdAt" > now() - interval '7 days') as "sales7d",
+               coalesce(sum(price), 0) as "volumeAll",
+               count(*) as "salesAll",
+               avg(price) as "averagePrice"
+        from sales
+        group by "paymentToken"
+      ) t
+    )
+  );
+$$;
@@ -0,0 +1,208 @@
+/**
+ * sweepOrders.js — expiry and stale-listing sweep (npm run sweep)
+ *
+ * 1) Open listings and offers past their endTime → expired
+ * 2) Open listings are re-checked in batches through Multicall3: a listing
+ *    whose seller no longer owns the token (or, for ERC-1155, holds fewer
+ *    units than are left) or revoked the approval becomes
+ *    inactive (with inactiveReason); an inactive one that is valid again
+ *    becomes active, unless openseaSync.js took it off (DELISTED).
+ * 3) English auctions past their endTime close: ended when the highest bid
+ *    meets the reserve (the seller then settles it), otherwise unsold;
+ *    ended ones nobody settled within the settlement window become unsold.
+ */
+
+import { ethers } from "ethers";
+import dotenv from "dotenv";
+import { getProvider, multicall, getTokenDecimals } from "./chain.js";
+import { ITEM_TYPE, ERC721_ABI, ERC1155_ABI, resolveOperator } from "./seaportOrders.js";
+import {
+  findExpiredOrders,
+  findOpenOrdersAfter,
+  transitionOrder,
+  InvalidTransitionError,
+} from "./orderRepository.js";
+import { findExpiredOffers, transitionOffer } from "./offerRepository.js";
+import { findDueAuctions, getHighestBids, transitionAuction, meetsReserve } from "./auctionRepository.js";
+dotenv.config();
+
+const SEAPORT_CONTRACT_ADDRESS = process.env.SEAPORT_CONTRACT_ADDRESS;
+const BATCH = process.env.SWEEP_BATCH ? parseInt(process.env.SWEEP_BATCH) : 200;
+
+if (!SEAPORT_CONTRACT_ADDRESS || !process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+  console.error("❌ Missing env variables");
+  process.exit(1);
+}
+
+const erc721 = new ethers.utils.Interface(ERC721_ABI);
+const erc1155 = new ethers.utils.Interface(ERC1155_ABI);
+
+let totalExpired = 0;
+let totalInactive = 0;
+let totalReactivated = 0;
+let totalSkipped = 0;
+let totalAuctionsClosed = 0;
+
+// Another writer (API, chain sync) may have moved the order meanwhile
+async function applyTransition(transition, orderHash, status, fields) {
+  try {
+    return await transition(orderHash, status, fields);
+  } catch (e) {
+    if (!(e instanceof InvalidTransitionError)) throw e;
+    console.log(`⏭ ${e.message}`);
+    totalSkipped++;
+    return null;
+  }
+}
+
+// -------------------- EXPIRY --------------------
+async function expireAll(find, transition) {
+  for (;;) {
+    const expired = await find();
+    if (expired.length === 0) return;
+
+    let moved = 0;
+    for (const o of expired) {
+      if (await applyTransition(transition, o.orderHash, "expired")) moved++;
+    }
+    totalExpired += moved;
+    // Everything left in the batch was skipped: stop instead of re-reading it forever
+    if (moved === 0) return;
+  }
+}
+
+// -------------------- OWNERSHIP / APPROVAL --------------------
+const operators = new Map();
+async function operatorFor(conduitKey) {
+  const key = conduitKey || ethers.constants.HashZero;
+  if (!operators.has(key)) {
+    operators.set(
+      key,
+      await resolveOperator(key, { provider: await getProvider(), seaportAddress: SEAPORT_CONTRACT_ADDRESS }).catch(
+        () => null
+      )
+    );
+  }
+  return operators.get(key);
+}
+
+/**
+ * null when the listing can still be filled, otherwise the reason code
+ * (same codes as checkOrderFillable in seaportOrders.js).
+ */
+async function checkBatch(orders) {
+  const checks = [];
+  const calls = [];
+
+  for (const o of orders) {
+    const params = o.seaportOrder?.parameters;
+    const operator = params ? await operatorFor(params.conduitKey) : null;
+    if (!params || !o.tokenId || !o.nftContract || !operator) {
+      checks.push({ order: o, reason: operator ? "MALFORMED_ORDER" : "INVALID_CONDUIT" });
+      continue;
+    }
+    const isErc1155 = Number(params.offer?.[0]?.itemType) === ITEM_TYPE.ERC1155;
+    checks.push({ order: o, seller: params.offerer, operator, isErc1155, at: calls.length });
+    if (isErc1155) {
+      calls.push(
+        { target: o.nftContract, iface: erc1155, fn: "balanceOf", args: [params.offerer, o.tokenId] },
+        { target: o.nftContract, iface: erc1155, fn: "isApprovedForAll", args: [params.offerer, operator] }
+      );
+    } else {
+      calls.push(
+        { target: o.nftContract, iface: erc721, fn: "ownerOf", args: [o.tokenId] },
+        { target: o.nftContract, iface: erc721, fn: "isApprovedForAll", args: [params.offerer, operator] },
+        { target: o.nftContract, iface: erc721, fn: "getApproved", args: [o.tokenId] }
+      );
+    }
+  }
+
+  const results = calls.length ? await multicall(calls) : [];
+
+  return checks.map((c) => {
+    if (c.reason) return c;
+    if (c.isErc1155) {
+      const [balance, approvedForAll] = results.slice(c.at, c.at + 2);
+      const left = c.order.remainingQuantity ?? c.order.quantity ?? 1;
+      if (!balance.success || balance.value.lt(left)) return { ...c, reason: "NOT_OWNER" };
+      return { ...c, reason: approvedForAll.success && approvedForAll.value ? null : "NOT_APPROVED" };
+    }
+
+    const [owner, approvedForAll, approved] = results.slice(c.at, c.at + 3);
+    const same = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
+    if (!owner.success || !same(owner.value, c.seller)) return { ...c, reason: "NOT_OWNER" };
+    const isApproved =
+      (approvedForAll.success && approvedForAll.value) ||
+      (approved.success && same(approved.value, c.operator));
+    return { ...c, reason: isApproved ? null : "NOT_APPROVED" };
+  });
+}
+
+async function revalidateAll() {
+  let after = null;
+  for (;;) {
+    const batch = await findOpenOrdersAfter(after, { limit: BATCH });
+    if (batch.length === 0) return;
+    after = batch[batch.length - 1].id;
+
+    for (const { order, reason } of await checkBatch(batch)) {
+      if (reason && order.status === "active") {
+        const updated = await applyTransition(transitionOrder, order.orderHash, "inactive", { inactiveReason: reason });
+        if (updated) {
+          totalInactive++;
+          console.log(`⚠️ #${order.tokenId} ${order.orderHash} → inactive (${reason})`);
+        }
+      } else if (!reason && order.status === "inactive" && order.inactiveReason !== "DELISTED") {
+        if (await applyTransition(transitionOrder, order.orderHash, "active")) totalReactivated++;
+      }
+    }
+  }
+}
+
+// -------------------- AUCTIONS --------------------
+async function closeAuctions() {
+  for (;;) {
+    const due = await findDueAuctions({ limit: BATCH });
+    if (due.length === 0) return;
+
+    const bids = await getHighestBids(due.filter((a) => a.status === "open").map((a) => a.id));
+    let moved = 0;
+    for (const a of due) {
+      const bid = bids.get(a.id);
+      const won = a.status === "open" && !!bid && meetsReserve(bid, a, await getTokenDecimals(a.paymentToken));
+      const updated = await applyTransition(
+        transitionAuction,
+        a.id,
+        won ? "ended" : "unsold",
+        won ? { winningOfferHash: bid.orderHash } : {}
+      );
+      if (updated) {
+        moved++;
+        console.log(`🔨 Auction ${a.id} (#${a.tokenId}) → ${updated.status}`);
+      }
+    }
+    totalAuctionsClosed += moved;
+    if (moved === 0) return;
+  }
+}
+
+// -------------------- MAIN --------------------
+async function main() {
+  console.log("🧹 Order sweep started...");
+
+  await expireAll(findExpiredOrders, transitionOrder);
+  await expireAll(findExpiredOffers, transitionOffer);
+  await revalidateAll();
+  await closeAuctions();
+
+  console.log(
+    `🎉 Sweep done — expired: ${totalExpired}, inactive: ${totalInactive}, ` +
+      `reactivated: ${totalReactivated}, auctions closed: ${totalAuctionsClosed}, skipped: ${totalSkipped}`
+  );
+}
+
+main().catch((err) => {
+  console.error("💀 Fatal:", err);
+  process.exit(1);
+});
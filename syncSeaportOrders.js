@@ -1,185 +1,463 @@
 /**
  * syncSeaportOrders.js — ApeChain On-Chain Seaport Sync (ALL EVENTS)
+ *
+ * node syncSeaportOrders.js          → one batch run from the checkpoints (cron)
+ * node syncSeaportOrders.js --watch  → long-running watcher (npm run sync:watch)
  */
 
 import { ethers } from "ethers";
-import fetch from "node-fetch";
 import dotenv from "dotenv";
+import { supabase } from "./db.js";
+import { getProvider, getTokenDecimals } from "./chain.js";
+import {
+  SEAPORT_ABI,
+  ITEM_TYPE,
+  normalizeFulfilled,
+  decodeSale,
+  orderFromValidated,
+  considerationTotal,
+  endTimeIso,
+} from "./seaportOrders.js";
+import {
+  findOrder,
+  findOpenOrdersBySeller,
+  saveListing,
+  transitionOrder,
+  recordFill,
+  InvalidTransitionError,
+} from "./orderRepository.js";
+import { findOffer, findOpenOffersByBuyer, transitionOffer } from "./offerRepository.js";
+import { listCollections } from "./collectionRepository.js";
 dotenv.config();
 
-const BACKEND_URL = process.env.BACKEND_URL;
-const NFT_CONTRACT_ADDRESS = process.env.NFT_CONTRACT_ADDRESS;
 const SEAPORT_CONTRACT_ADDRESS = process.env.SEAPORT_CONTRACT_ADDRESS;
 const FROM_BLOCK = process.env.FROM_BLOCK ? parseInt(process.env.FROM_BLOCK) : 0;
+const REORG_MARGIN = process.env.REORG_MARGIN ? parseInt(process.env.REORG_MARGIN) : 20;
+const WATCH = process.argv.includes("--watch");
+const WATCH_INTERVAL_MS = process.env.WATCH_INTERVAL_MS ? parseInt(process.env.WATCH_INTERVAL_MS) : 5000;
 
-if (!BACKEND_URL || !NFT_CONTRACT_ADDRESS || !SEAPORT_CONTRACT_ADDRESS) {
+if (!SEAPORT_CONTRACT_ADDRESS || !process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
   console.error("❌ Missing env variables");
   process.exit(1);
 }
 
-// -------------------- MULTI-RPC --------------------
-const RPC_LIST = [
-  process.env.APECHAIN_RPC,
-  "https://rpc.apechain.com/http",
-  "https://apechain.drpc.org",
-  "https://33139.rpc.thirdweb.com",
-];
+// -------------------- COLLECTIONS --------------------
+// Lower-cased address → standard ("erc721" / "erc1155") of the registered collections, reloaded every pass
+let collections = new Map();
 
-let provider = null;
-async function initProvider() {
-  for (const rpc of RPC_LIST) {
-    if (!rpc) continue;
-    try {
-      const p = new ethers.providers.JsonRpcProvider(rpc);
-      await p.getBlockNumber();
-      console.log("✅ RPC working:", rpc);
-      provider = p;
-      break;
-    } catch (e) {
-      console.warn("❌ RPC failed:", rpc, e.message);
-    }
-  }
-  if (!provider) {
-    console.error("💀 No RPC available!");
-    process.exit(1);
-  }
+const STANDARD_BY_ITEM_TYPE = { [ITEM_TYPE.ERC721]: "erc721", [ITEM_TYPE.ERC1155]: "erc1155" };
+
+async function loadCollections() {
+  collections = new Map((await listCollections()).map((c) => [c.address, c.standard]));
+  if (collections.size === 0) console.warn("⚠️ No collections registered — nothing will match");
 }
 
-// -------------------- SEAPORT ABI --------------------
-const seaportABI = [
-  "event OrderValidated(bytes32 indexed orderHash,address indexed offerer,address indexed zone)",
-  "event OrderFulfilled(bytes32 indexed orderHash,address indexed offerer,address indexed fulfiller,bytes orderDetails)",
-  "event OrderCancelled(bytes32 indexed orderHash,address indexed offerer)"
-];
+// The offer item of a registered collection, in that collection's standard
+function findListedItem(offer) {
+  return offer.find((i) => {
+    const standard = STANDARD_BY_ITEM_TYPE[i.itemType];
+    return !!standard && collections.get(i.token.toLowerCase()) === standard;
+  });
+}
+
+// The sale an OrderFulfilled event made in one of our collections, or null
+function findSale(fulfilled) {
+  for (const nftContract of collections.keys()) {
+    const sale = decodeSale(fulfilled, nftContract);
+    if (sale) return { sale, nftContract };
+  }
+  return null;
+}
 
+// -------------------- RPC --------------------
+let provider = null;
 let seaportContract;
 
-// -------------------- BACKEND POST --------------------
-async function postOrderEvent(payload) {
-  try {
-    const res = await fetch(`${BACKEND_URL}/api/order`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(payload)
-    });
+async function connect(fresh = false) {
+  provider = await getProvider({ fresh });
+  seaportContract = new ethers.Contract(SEAPORT_CONTRACT_ADDRESS, SEAPORT_ABI, provider);
+}
 
-    if (!res.ok) {
-      console.log("❌ Backend rejected:", res.status, await res.text());
-      return false;
-    }
-    return true;
-  } catch (e) {
-    console.log("❌ Backend error:", e.message);
-    return false;
-  }
+// -------------------- CHECKPOINTS --------------------
+// Last fully processed block per event type, stored in `sync_checkpoints`.
+function checkpointName(eventName) {
+  return `${SEAPORT_CONTRACT_ADDRESS.toLowerCase()}:${eventName}`;
+}
+
+async function getCheckpoint(eventName) {
+  const { data, error } = await supabase
+    .from("sync_checkpoints")
+    .select("lastBlock")
+    .eq("name", checkpointName(eventName))
+    .maybeSingle();
+  if (error) throw error;
+  return data ? Number(data.lastBlock) : null;
+}
+
+async function saveCheckpoint(eventName, block) {
+  const { error } = await supabase.from("sync_checkpoints").upsert(
+    {
+      name: checkpointName(eventName),
+      lastBlock: block,
+      updatedAt: new Date().toISOString(),
+    },
+    { onConflict: "name" }
+  );
+  if (error) throw error;
+}
+
+// Re-scan `margin` blocks below the checkpoint in case they were reorged
+function resumeBlock(checkpoint, margin) {
+  if (checkpoint === null) return FROM_BLOCK;
+  return Math.max(FROM_BLOCK, checkpoint + 1 - margin);
 }
 
 // -------------------- CHUNK QUERY --------------------
 const CHUNK = 10000;
-async function queryInChunks(callback, from, to) {
+const CHUNK_RETRIES = 3;
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/**
+ * Runs `callback` over [from, to] in CHUNK-sized ranges, retrying a failed
+ * chunk and then giving up with an error. `onChunkDone(end)` is only called
+ * once every chunk up to `end` succeeded, so checkpoints never skip a gap.
+ */
+async function queryInChunks(callback, from, to, onChunkDone) {
   let start = from;
   while (start <= to) {
     const end = Math.min(start + CHUNK, to);
-    console.log(`🔍 Chunk scan: ${start} → ${end}`);
-    try { await callback(start, end); } catch(e){ console.log("⚠️ Chunk error:", e.message);}
+    if (!WATCH) console.log(`🔍 Chunk scan: ${start} → ${end}`);
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await callback(start, end);
+        break;
+      } catch (e) {
+        if (attempt >= CHUNK_RETRIES) {
+          throw new Error(`Chunk ${start} → ${end} failed: ${e.message}`);
+        }
+        console.log(`⚠️ Chunk error (${attempt}/${CHUNK_RETRIES}):`, e.message);
+        await sleep(2000 * attempt);
+      }
+    }
+    if (onChunkDone) await onChunkDone(end);
     start = end + 1;
   }
 }
 
-// -------------------- MAIN --------------------
+async function syncEvent(eventName, handler, latestBlock, margin = REORG_MARGIN) {
+  const checkpoint = await getCheckpoint(eventName);
+  const from = resumeBlock(checkpoint, margin);
+  if (from > latestBlock) {
+    if (!WATCH) console.log(`⏭ ${eventName}: up to date (${checkpoint})`);
+    return;
+  }
+  if (!WATCH) console.log(`🔎 ${eventName}: ${from} → ${latestBlock}`);
+  await queryInChunks(handler, from, latestBlock, (end) => saveCheckpoint(eventName, end));
+}
+
+// -------------------- EVENT HANDLERS --------------------
 let totalActive = 0;
 let totalFulfilled = 0;
 let totalCancelled = 0;
+let totalSkipped = 0;
 
-async function main() {
-  console.log("🚀 On-chain Seaport Sync started...");
-  await initProvider();
-  seaportContract = new ethers.Contract(SEAPORT_CONTRACT_ADDRESS, seaportABI, provider);
-  const latestBlock = await provider.getBlockNumber();
-  console.log(`🔎 Block range: ${FROM_BLOCK} → ${latestBlock}`);
-
-  // 1) ACTIVE LISTINGS
-  await queryInChunks(async (start, end) => {
-    const filter = seaportContract.filters.OrderValidated();
-    const events = await seaportContract.queryFilter(filter, start, end);
-    for(const ev of events){
-      const args = ev.args || {};
-      const payload = {
-        tokenId: null,
-        price: null,
-        sellerAddress: args.offerer?.toLowerCase() || null,
-        buyerAddress: null,
-        seaportOrder: { orderHash: args.orderHash },
-        orderHash: args.orderHash,
-        image: null,
-        nftContract: NFT_CONTRACT_ADDRESS,
-        marketplaceContract: SEAPORT_CONTRACT_ADDRESS,
-        status: "active",
-        onChainBlock: ev.blockNumber
-      };
-      if(await postOrderEvent(payload)){
-        totalActive++;
-      }
+// Activity rows are dated by block time, not by when the sync ran
+const blockTimes = new Map();
+async function blockTime(ev) {
+  if (!blockTimes.has(ev.blockNumber)) {
+    if (blockTimes.size > 1000) blockTimes.clear();
+    const block = await ev.getBlock();
+    blockTimes.set(ev.blockNumber, new Date(block.timestamp * 1000).toISOString());
+  }
+  return blockTimes.get(ev.blockNumber);
+}
+
+// Chain events may arrive after the order already reached a final state
+async function applyTransition(orderHash, status, fields, options, transition = transitionOrder) {
+  try {
+    return await transition(orderHash, status, fields, options);
+  } catch (e) {
+    if (!(e instanceof InvalidTransitionError)) throw e;
+    console.log(`⏭ ${e.message}`);
+    totalSkipped++;
+    return null;
+  }
+}
+
+async function handleValidated(start, end) {
+  const filter = seaportContract.filters.OrderValidated();
+  const events = await seaportContract.queryFilter(filter, start, end);
+  for (const ev of events) {
+    const { orderHash, orderParameters: params } = ev.args;
+    const nft = findListedItem(params.offer);
+    if (!nft) continue;
+
+    const counter = await seaportContract.getCounter(params.offerer);
+
+    // Priced (per unit) only when every consideration item is in one currency (native or ERC-20)
+    const total = considerationTotal(params.consideration);
+    const paymentToken = total?.paymentToken ?? null;
+    const decimals = await getTokenDecimals(paymentToken);
+    const perUnit = (amount) => ethers.utils.formatUnits(amount.div(nft.endAmount), decimals);
+    const price = total ? perUnit(total.amount) : null;
+    const startPrice = total && !total.startAmount.eq(total.amount) ? perUnit(total.startAmount) : null;
+
+    await saveListing({
+      tokenId: nft.identifierOrCriteria.toString(),
+      quantity: nft.endAmount.toString(),
+      price,
+      currency: total ? (paymentToken ? "erc20" : "native") : undefined,
+      paymentToken,
+      seller: params.offerer,
+      seaportOrder: orderFromValidated(params, counter),
+      orderHash,
+      startPrice,
+      startTime: endTimeIso(params.startTime),
+      taker: total?.taker ?? null,
+      endTime: endTimeIso(params.endTime),
+      nftContract: nft.token.toLowerCase(),
+      marketplaceContract: SEAPORT_CONTRACT_ADDRESS,
+      onChain: true,
+      onChainBlock: ev.blockNumber,
+    }, { occurredAt: await blockTime(ev) });
+    totalActive++;
+  }
+}
+
+async function handleFulfilled(start, end) {
+  const filter = seaportContract.filters.OrderFulfilled();
+  const events = await seaportContract.queryFilter(filter, start, end);
+  for (const ev of events) {
+    const fulfilled = normalizeFulfilled(ev.args);
+    const found = findSale(fulfilled);
+    if (!found) continue;
+    const { sale, nftContract } = found;
+
+    // Accepted offers made through our API
+    if (await findOffer(fulfilled.orderHash)) {
+      const accepted = await applyTransition(
+        fulfilled.orderHash,
+        "fulfilled",
+        {
+          tokenId: sale.tokenId,
+          sellerAddress: sale.seller,
+          fulfillTxHash: ev.transactionHash.toLowerCase(),
+          onChainBlock: ev.blockNumber,
+        },
+        { occurredAt: await blockTime(ev) },
+        transitionOffer
+      );
+      if (accepted) totalFulfilled++;
+      continue;
     }
-  }, FROM_BLOCK, latestBlock);
-
-  // 2) FULFILLED
-  await queryInChunks(async (start, end) => {
-    const filter = seaportContract.filters.OrderFulfilled();
-    const events = await seaportContract.queryFilter(filter, start, end);
-    for(const ev of events){
-      const args = ev.args || {};
-      const payload = {
-        tokenId: args.tokenIds?.[0]?.toString() || null,
-        price: args.amount ? ethers.utils.formatEther(args.amount) : null,
-        sellerAddress: args.offerer?.toLowerCase() || null,
-        buyerAddress: args.fulfiller?.toLowerCase() || null,
-        seaportOrder: { orderHash: args.orderHash },
-        orderHash: args.orderHash,
-        image: null,
-        nftContract: NFT_CONTRACT_ADDRESS,
-        marketplaceContract: SEAPORT_CONTRACT_ADDRESS,
-        status: "fulfilled",
-        onChainBlock: ev.blockNumber
-      };
-      if(await postOrderEvent(payload)){
-        totalFulfilled++;
-      }
+
+    const decimals = await getTokenDecimals(sale.paymentToken);
+    const occurredAt = await blockTime(ev);
+    const txHash = ev.transactionHash.toLowerCase();
+    const fields = {
+      onChain: true,
+      currency: sale.currency,
+      paymentToken: sale.paymentToken,
+      sellerProceeds: ethers.utils.formatUnits(sale.sellerAmount, decimals),
+      fees: sale.fees.map((f) => ({
+        recipient: f.recipient,
+        amount: ethers.utils.formatUnits(f.amount, decimals),
+      })),
+    };
+
+    // Our listings: each fill takes some units; the last one fulfils the order
+    if (await findOrder(fulfilled.orderHash)) {
+      const fill = await applyTransition(
+        fulfilled.orderHash,
+        {
+          txHash,
+          logIndex: ev.logIndex,
+          units: sale.quantity,
+          buyerAddress: sale.buyer,
+          price: ethers.utils.formatUnits(sale.totalAmount, decimals),
+          blockNumber: ev.blockNumber,
+        },
+        fields,
+        { occurredAt },
+        recordFill
+      );
+      if (fill?.recorded) totalFulfilled++;
+      continue;
     }
-  }, FROM_BLOCK, latestBlock);
-
-  // 3) CANCELLED
-  await queryInChunks(async (start, end) => {
-    const filter = seaportContract.filters.OrderCancelled();
-    const events = await seaportContract.queryFilter(filter, start, end);
-    for(const ev of events){
-      const args = ev.args || {};
-      const payload = {
-        tokenId: null,
-        price: null,
-        sellerAddress: args.offerer?.toLowerCase() || null,
-        buyerAddress: null,
-        seaportOrder: { orderHash: args.orderHash },
-        orderHash: args.orderHash,
-        image: null,
-        nftContract: NFT_CONTRACT_ADDRESS,
-        marketplaceContract: SEAPORT_CONTRACT_ADDRESS,
-        status: "cancelled",
-        onChainBlock: ev.blockNumber
-      };
-      if(await postOrderEvent(payload)){
-        totalCancelled++;
+
+    // Sales of listings we never saw (other marketplaces) still enter the history
+    const updated = await applyTransition(
+      fulfilled.orderHash,
+      "fulfilled",
+      {
+        ...fields,
+        buyerAddress: sale.buyer,
+        onChainBlock: ev.blockNumber,
+        fulfillTxHash: txHash,
+      },
+      {
+        occurredAt,
+        insert: {
+          tokenId: sale.tokenId,
+          quantity: sale.quantity,
+          price: ethers.utils.formatUnits(ethers.BigNumber.from(sale.totalAmount).div(sale.quantity), decimals),
+          seller: sale.seller,
+          nftContract,
+          marketplaceContract: SEAPORT_CONTRACT_ADDRESS,
+        },
       }
+    );
+    if (updated) totalFulfilled++;
+  }
+}
+
+async function handleCancelled(start, end) {
+  const filter = seaportContract.filters.OrderCancelled();
+  const events = await seaportContract.queryFilter(filter, start, end);
+  for (const ev of events) {
+    // Unknown hashes belong to other collections and are ignored
+    const isOffer = !(await findOrder(ev.args.orderHash));
+    if (isOffer && !(await findOffer(ev.args.orderHash))) continue;
+    const updated = await applyTransition(
+      ev.args.orderHash,
+      "cancelled",
+      { onChainBlock: ev.blockNumber },
+      { occurredAt: await blockTime(ev) },
+      isOffer ? transitionOffer : transitionOrder
+    );
+    if (updated) totalCancelled++;
+  }
+}
+
+// incrementCounter cancels every order signed with a lower counter at once
+async function handleCounterIncremented(start, end) {
+  const filter = seaportContract.filters.CounterIncremented();
+  const events = await seaportContract.queryFilter(filter, start, end);
+  for (const ev of events) {
+    const { newCounter, offerer } = ev.args;
+    const isStale = (o) => {
+      const counter = o.seaportOrder?.parameters?.counter;
+      return counter !== undefined && newCounter.gt(counter);
+    };
+    const staleOrders = (await findOpenOrdersBySeller(offerer)).filter(isStale);
+    const staleOffers = (await findOpenOffersByBuyer(offerer)).filter(isStale);
+    if (staleOrders.length === 0 && staleOffers.length === 0) continue;
+
+    const occurredAt = await blockTime(ev);
+    const stale = [
+      ...staleOrders.map((o) => [o, transitionOrder]),
+      ...staleOffers.map((o) => [o, transitionOffer]),
+    ];
+    for (const [o, transition] of stale) {
+      const updated = await applyTransition(
+        o.orderHash,
+        "cancelled",
+        { onChainBlock: ev.blockNumber },
+        { occurredAt },
+        transition
+      );
+      if (updated) totalCancelled++;
     }
-  }, FROM_BLOCK, latestBlock);
+  }
+}
+
+// -------------------- MAIN --------------------
+const PASSES = [
+  ["OrderValidated", handleValidated],
+  ["OrderFulfilled", handleFulfilled],
+  ["OrderCancelled", handleCancelled],
+  ["CounterIncremented", handleCounterIncremented],
+];
+
+// Runs every event pass up to `latestBlock`; returns how many passes failed
+async function runPasses(latestBlock, margin) {
+  await loadCollections();
+  let failed = 0;
+  for (const [eventName, handler] of PASSES) {
+    try {
+      await syncEvent(eventName, handler, latestBlock, margin);
+    } catch (e) {
+      failed++;
+      console.error(`❌ ${eventName} pass stopped:`, e.message);
+    }
+  }
+  return failed;
+}
+
+async function runOnce() {
+  console.log("🚀 On-chain Seaport Sync started...");
+  try {
+    await connect();
+  } catch {
+    console.error("💀 No RPC available!");
+    process.exit(1);
+  }
+  const latestBlock = await provider.getBlockNumber();
+  console.log(`🔎 Head block: ${latestBlock} (reorg margin ${REORG_MARGIN})`);
+
+  const failed = await runPasses(latestBlock, REORG_MARGIN);
 
   console.log("🎉 Sync finished!");
   console.log(`🟢 Active: ${totalActive}`);
   console.log(`💰 Fulfilled: ${totalFulfilled}`);
   console.log(`🗑 Cancelled: ${totalCancelled}`);
+  console.log(`⏭ Skipped: ${totalSkipped}`);
+
+  if (failed) {
+    console.error(`💀 ${failed} event pass(es) failed; their checkpoints were not advanced past the failure`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Long-running mode: polls the head every WATCH_INTERVAL_MS and processes
+ * new blocks from the same checkpoints as the batch run. After an RPC
+ * failure it re-probes RPC_LIST and backfills from the stored checkpoint
+ * with the full reorg margin.
+ */
+async function watch() {
+  console.log(`👀 Seaport watcher started (every ${WATCH_INTERVAL_MS}ms)`);
+  let stopping = false;
+  for (const sig of ["SIGINT", "SIGTERM"]) {
+    process.on(sig, () => {
+      console.log(`🛑 ${sig} — stopping after current tick`);
+      stopping = true;
+    });
+  }
+
+  let reconnect = true;
+  let failures = 0;
+  while (!stopping) {
+    try {
+      if (reconnect) {
+        await connect(failures > 0);
+        console.log("🔌 Connected, backfilling from checkpoints...");
+      }
+      const latestBlock = await provider.getBlockNumber();
+      const before = totalActive + totalFulfilled + totalCancelled;
+
+      const failed = await runPasses(latestBlock, reconnect ? REORG_MARGIN : 0);
+      if (failed) throw new Error(`${failed} event pass(es) failed`);
+
+      const applied = totalActive + totalFulfilled + totalCancelled - before;
+      if (applied) console.log(`⚡ Block ${latestBlock}: ${applied} event(s) applied`);
+
+      reconnect = false;
+      failures = 0;
+      await sleep(WATCH_INTERVAL_MS);
+    } catch (e) {
+      failures++;
+      reconnect = true;
+      const delay = Math.min(60000, 2000 * failures);
+      console.warn(`⚠️ Watcher error (#${failures}), reconnecting in ${delay}ms:`, e.message);
+      await sleep(delay);
+    }
+  }
+
+  console.log(`👋 Watcher stopped. 🟢 ${totalActive} 💰 ${totalFulfilled} 🗑 ${totalCancelled}`);
 }
 
-main().catch(err=>{
+(WATCH ? watch() : runOnce()).catch(err=>{
   console.error("💀 Fatal:", err);
   process.exit(1);
 });
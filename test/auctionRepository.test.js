@@ -0,0 +1,35 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startMockPostgrest } from "./mockPostgrest.js";
+
+// A stored bid whose signed order offers `amount` base units
+const bid = (amount) => ({
+  price: 1, // the numeric column, already rounded
+  seaportOrder: { parameters: { offer: [{ itemType: 1, startAmount: amount, endAmount: amount }] } },
+});
+
+describe("meetsReserve", () => {
+  let db;
+  let meetsReserve;
+  const auction = { reservePrice: "1.000000000000000001", paymentToken: "0x4444444444444444444444444444444444444444" };
+
+  before(async () => {
+    db = await startMockPostgrest();
+    process.env.SUPABASE_URL = db.url;
+    process.env.SUPABASE_SERVICE_ROLE_KEY = "service-role-key";
+    ({ meetsReserve } = await import("../auctionRepository.js"));
+  });
+
+  after(() => db.close());
+
+  it("compares in base units, down to one wei", () => {
+    assert.equal(meetsReserve(bid("1000000000000000000"), auction, 18), false);
+    assert.equal(meetsReserve(bid("1000000000000000001"), auction, 18), true);
+    assert.equal(meetsReserve(bid("1000000000000000002"), auction, 18), true);
+  });
+
+  it("uses the payment token's decimals", () => {
+    assert.equal(meetsReserve(bid("2499999"), { reservePrice: "2.5" }, 6), false);
+    assert.equal(meetsReserve(bid("2500000"), { reservePrice: "2.5" }, 6), true);
+  });
+});
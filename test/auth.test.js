@@ -0,0 +1,96 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { ethers } from "ethers";
+import { APECHAIN_ID } from "../chain.js";
+import { createNonce, buildSiweMessage, verifySiweLogin } from "../auth.js";
+
+const DOMAIN = "market.example";
+const options = { domains: [DOMAIN] };
+
+// A SIWE message for a fresh nonce, signed by `wallet`; `fields` overrides the message
+async function signIn(wallet, fields = {}) {
+  const message = buildSiweMessage({
+    domain: DOMAIN,
+    address: wallet.address,
+    statement: "Sign in",
+    uri: `https://${DOMAIN}`,
+    chainId: APECHAIN_ID,
+    nonce: createNonce(),
+    issuedAt: new Date().toISOString(),
+    ...fields,
+  });
+  return { message, signature: await wallet.signMessage(message) };
+}
+
+const rejectsWith = (fn, code) => assert.throws(fn, (err) => err.code === code);
+
+describe("verifySiweLogin", () => {
+  const wallet = ethers.Wallet.createRandom();
+
+  it("logs the signer in with a nonce this server issued", async () => {
+    const login = await signIn(wallet);
+    assert.equal(verifySiweLogin(login, options), wallet.address.toLowerCase());
+  });
+
+  it("rejects a nonce the server never issued", async () => {
+    const login = await signIn(wallet, { nonce: "0123456789abcdef0123456789abcdef" });
+    rejectsWith(() => verifySiweLogin(login, options), "INVALID_NONCE");
+  });
+
+  it("rejects a replayed nonce", async () => {
+    const login = await signIn(wallet);
+    verifySiweLogin(login, options);
+    rejectsWith(() => verifySiweLogin(login, options), "INVALID_NONCE");
+  });
+
+  it("rejects a message signed for another domain", async () => {
+    const login = await signIn(wallet, { domain: "phishing.example" });
+    rejectsWith(() => verifySiweLogin(login, options), "DOMAIN_MISMATCH");
+  });
+
+  it("rejects every domain when none are allowed", async () => {
+    const login = await signIn(wallet);
+    rejectsWith(() => verifySiweLogin(login, { domains: [] }), "DOMAIN_MISMATCH");
+    rejectsWith(() => verifySiweLogin(login), "DOMAIN_MISMATCH");
+  });
+
+  it("rejects a message past its expiration time", async () => {
+    const login = await signIn(wallet, { expirationTime: new Date(Date.now() - 1000).toISOString() });
+    rejectsWith(() => verifySiweLogin(login, options), "MESSAGE_EXPIRED");
+  });
+
+  it("rejects a message issued too long ago", async () => {
+    const login = await signIn(wallet, { issuedAt: new Date(Date.now() - 60 * 60_000).toISOString() });
+    rejectsWith(() => verifySiweLogin(login, options), "MESSAGE_EXPIRED");
+  });
+
+  it("rejects a message issued in the future", async () => {
+    const login = await signIn(wallet, { issuedAt: new Date(Date.now() + 60 * 60_000).toISOString() });
+    rejectsWith(() => verifySiweLogin(login, options), "BAD_TIMESTAMP");
+  });
+
+  it("rejects a message changed after signing", async () => {
+    const other = ethers.Wallet.createRandom();
+    const login = await signIn(wallet);
+    const tampered = login.message.replace(wallet.address, other.address);
+    rejectsWith(() => verifySiweLogin({ ...login, message: tampered }, options), "BAD_SIGNATURE");
+  });
+
+  it("rejects a signature by another wallet", async () => {
+    const login = await signIn(wallet);
+    const signature = await ethers.Wallet.createRandom().signMessage(login.message);
+    rejectsWith(() => verifySiweLogin({ ...login, signature }, options), "BAD_SIGNATURE");
+  });
+
+  it("keeps the nonce when the signature is bad", async () => {
+    const login = await signIn(wallet);
+    const signature = await ethers.Wallet.createRandom().signMessage(login.message);
+    rejectsWith(() => verifySiweLogin({ ...login, signature }, options), "BAD_SIGNATURE");
+    assert.equal(verifySiweLogin(login, options), wallet.address.toLowerCase());
+  });
+
+  it("rejects a message for another chain", async () => {
+    const login = await signIn(wallet, { chainId: 1 });
+    rejectsWith(() => verifySiweLogin(login, options), "WRONG_CHAIN");
+  });
+});
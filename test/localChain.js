@@ -0,0 +1,162 @@
+/**
+ * localChain.js — Seaport 1.5 on Hardhat's in-process network for the tests
+ *
+ * Deploys the ConduitController, Seaport and seaport-js's test tokens from
+ * the bytecode bundled with @opensea/seaport-js, and signs orders the way
+ * a wallet does (EIP-712 over Seaport's domain).
+ */
+
+import hre from "hardhat";
+import { ethers } from "ethers";
+import seaportFactory from "@opensea/seaport-js/lib/typechain-types/factories/seaport_v1_5/contracts/Seaport__factory.js";
+import controllerFactory from "@opensea/seaport-js/lib/typechain-types/factories/seaport-core/src/conduit/ConduitController__factory.js";
+import erc721Factory from "@opensea/seaport-js/lib/typechain-types/factories/src/contracts/test/TestERC721__factory.js";
+import erc1155Factory from "@opensea/seaport-js/lib/typechain-types/factories/src/contracts/test/TestERC1155__factory.js";
+import erc20Factory from "@opensea/seaport-js/lib/typechain-types/factories/src/contracts/test/TestERC20__factory.js";
+import { ITEM_TYPE, ORDER_TYPE, ORDER_TYPES, toOrderComponents, getOrderHash } from "../seaportOrders.js";
+
+const { Seaport__factory } = seaportFactory;
+const { ConduitController__factory } = controllerFactory;
+const { TestERC721__factory } = erc721Factory;
+const { TestERC1155__factory } = erc1155Factory;
+const { TestERC20__factory } = erc20Factory;
+
+const ZERO_BYTES32 = ethers.constants.HashZero;
+
+/**
+ * Fresh contracts on the shared in-process chain. Account 0 deploys them;
+ * accounts 1-3 are the seller, the buyer and the marketplace fee recipient.
+ */
+export async function startLocalChain() {
+  const provider = new ethers.providers.Web3Provider(hre.network.provider);
+  const [deployer, seller, buyer, feeRecipient] = [0, 1, 2, 3].map((i) => provider.getSigner(i));
+
+  const controller = await new ConduitController__factory(deployer).deploy();
+  const seaport = await new Seaport__factory(deployer).deploy(controller.address);
+  const erc721 = await new TestERC721__factory(deployer).deploy();
+  const erc1155 = await new TestERC1155__factory(deployer).deploy();
+  const erc20 = await new TestERC20__factory(deployer).deploy();
+
+  return {
+    provider,
+    chainId: (await provider.getNetwork()).chainId,
+    seaport,
+    seaportAddress: seaport.address,
+    erc721,
+    erc1155,
+    erc20,
+    seller,
+    buyer,
+    feeRecipient,
+    addresses: {
+      seller: await seller.getAddress(),
+      buyer: await buyer.getAddress(),
+      feeRecipient: await feeRecipient.getAddress(),
+    },
+  };
+}
+
+/**
+ * OrderComponents for a fixed-price native listing of one ERC-721,
+ * `payouts` being [recipient, wei] pairs; `overrides` replaces any field.
+ */
+export async function listingComponents(chain, { token = chain.erc721.address, tokenId, payouts, ...overrides }) {
+  const offerer = overrides.offerer ?? chain.addresses.seller;
+  const now = Math.floor(Date.now() / 1000);
+  return toOrderComponents({
+    offerer,
+    zone: ethers.constants.AddressZero,
+    offer: [{ itemType: ITEM_TYPE.ERC721, token, identifierOrCriteria: tokenId, startAmount: 1, endAmount: 1 }],
+    consideration: payouts.map(([recipient, amount]) => ({
+      itemType: ITEM_TYPE.NATIVE,
+      token: ethers.constants.AddressZero,
+      identifierOrCriteria: 0,
+      startAmount: amount,
+      endAmount: amount,
+      recipient,
+    })),
+    orderType: ORDER_TYPE.FULL_OPEN,
+    startTime: now - 60,
+    endTime: now + 3600,
+    zoneHash: ZERO_BYTES32,
+    salt: ethers.BigNumber.from(ethers.utils.randomBytes(16)),
+    conduitKey: ZERO_BYTES32,
+    counter: await chain.seaport.getCounter(offerer),
+    ...overrides,
+  });
+}
+
+/**
+ * OrderComponents for a buyer's offer of `amount` of the test ERC-20 for
+ * ERC-721 `tokenId`, with `fees` as further [recipient, amount] pairs.
+ */
+export async function offerComponents(chain, { tokenId, amount, fees = [], ...overrides }) {
+  const offerer = overrides.offerer ?? chain.addresses.buyer;
+  const now = Math.floor(Date.now() / 1000);
+  const erc20 = (recipient, value) => ({
+    itemType: ITEM_TYPE.ERC20,
+    token: chain.erc20.address,
+    identifierOrCriteria: 0,
+    startAmount: value,
+    endAmount: value,
+    recipient,
+  });
+  return toOrderComponents({
+    offerer,
+    zone: ethers.constants.AddressZero,
+    offer: [erc20(offerer, amount)],
+    consideration: [
+      {
+        itemType: ITEM_TYPE.ERC721,
+        token: chain.erc721.address,
+        identifierOrCriteria: tokenId,
+        startAmount: 1,
+        endAmount: 1,
+        recipient: offerer,
+      },
+      ...fees.map(([recipient, value]) => erc20(recipient, value)),
+    ],
+    orderType: ORDER_TYPE.FULL_OPEN,
+    startTime: now - 60,
+    endTime: now + 3600,
+    zoneHash: ZERO_BYTES32,
+    salt: ethers.BigNumber.from(ethers.utils.randomBytes(16)),
+    conduitKey: ZERO_BYTES32,
+    counter: await chain.seaport.getCounter(offerer),
+    ...overrides,
+  });
+}
+
+/**
+ * { seaportOrder, orderHash } as main.js posts it, signed by `signer`.
+ */
+export async function signOrder(chain, signer, components) {
+  const domain = { name: "Seaport", version: "1.5", chainId: chain.chainId, verifyingContract: chain.seaportAddress };
+  const signature = await signer._signTypedData(domain, ORDER_TYPES, components);
+  return {
+    seaportOrder: {
+      parameters: { ...components, totalOriginalConsiderationItems: components.consideration.length },
+      signature,
+    },
+    orderHash: getOrderHash(components),
+  };
+}
+
+/**
+ * Stand-in for chain.js multicall() on a chain without Multicall3: the same
+ * calls and result shape, made one eth_call at a time.
+ */
+export function sequentialMulticall(provider) {
+  return async (calls) =>
+    Promise.all(
+      calls.map(async (c) => {
+        try {
+          const data = await provider.call({ to: c.target, data: c.iface.encodeFunctionData(c.fn, c.args) });
+          const decoded = c.iface.decodeFunctionResult(c.fn, data);
+          return { success: true, value: decoded.length === 1 ? decoded[0] : decoded };
+        } catch {
+          return { success: false, value: null };
+        }
+      })
+    );
+}
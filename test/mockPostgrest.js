@@ -0,0 +1,155 @@
+/**
+ * mockPostgrest.js — an in-memory stand-in for Supabase's REST endpoint
+ *
+ * Serves /rest/v1/<table> with just what the repositories use: eq / in /
+ * gt / lt / is filters, order, limit, insert (upsert ignoring duplicates),
+ * update and single-row reads. Views read the table they are built on.
+ */
+
+import http from "node:http";
+
+const VIEWS = { orders_view: "orders" };
+// Unique keys, as in the migrations
+const UNIQUE = {
+  orders: ["orderHash"],
+  offers: ["orderHash"],
+  order_fills: ["txHash", "logIndex"],
+  activity: ["type", "orderHash", "txHash"],
+};
+
+// "in.(a,\"b c\")" → ["a", "b c"]
+function parseList(value) {
+  return value
+    .slice(1, -1)
+    .split(",")
+    .map((v) => v.replace(/^"(.*)"$/, "$1"));
+}
+
+function matches(row, column, filter) {
+  const dot = filter.indexOf(".");
+  const op = filter.slice(0, dot);
+  const value = filter.slice(dot + 1);
+  const cell = row[column] ?? null;
+  switch (op) {
+    case "eq":
+      return cell !== null && String(cell) === value;
+    case "in":
+      return cell !== null && parseList(value).includes(String(cell));
+    case "gt":
+      return cell !== null && String(cell) > value;
+    case "lt":
+      return cell !== null && String(cell) < value;
+    case "is":
+      return value === "null" ? cell === null : String(cell) === value;
+    default:
+      throw new Error(`mockPostgrest: unsupported filter ${column}=${filter}`);
+  }
+}
+
+const CONTROL_PARAMS = ["select", "order", "limit", "offset", "on_conflict", "columns"];
+
+function filterRows(rows, params) {
+  let out = rows;
+  for (const [column, filter] of params) {
+    if (CONTROL_PARAMS.includes(column)) continue;
+    out = out.filter((row) => matches(row, column, filter));
+  }
+  return out;
+}
+
+function sortRows(rows, order) {
+  if (!order) return rows;
+  const keys = order.split(",").map((part) => {
+    const [column, direction] = part.split(".");
+    return { column, sign: direction === "desc" ? -1 : 1 };
+  });
+  return [...rows].sort((a, b) => {
+    for (const { column, sign } of keys) {
+      const x = String(a[column] ?? "");
+      const y = String(b[column] ?? "");
+      if (x !== y) return x < y ? -sign : sign;
+    }
+    return 0;
+  });
+}
+
+/**
+ * Starts the mock on a free port, `seed` mapping table names to their
+ * starting rows (copied). Resolves to { url, tables, close() }, `tables`
+ * being the live data.
+ */
+export async function startMockPostgrest(seed = {}) {
+  const tables = {};
+  for (const [name, rows] of Object.entries(seed)) tables[name] = rows.map((r) => ({ ...r }));
+  const table = (name) => {
+    const key = VIEWS[name] || name;
+    if (!tables[key]) tables[key] = [];
+    return tables[key];
+  };
+  let nextId = 1;
+
+  const server = http.createServer(async (req, res) => {
+    let body = "";
+    for await (const chunk of req) body += chunk;
+
+    const url = new URL(req.url, "http://localhost");
+    const name = url.pathname.replace(/^\/rest\/v1\//, "");
+    const params = [...url.searchParams];
+    const prefer = req.headers.prefer || "";
+    const wantsObject = (req.headers.accept || "").includes("vnd.pgrst.object+json");
+    const rows = table(name);
+
+    const reply = (status, data) => {
+      if (data !== undefined && wantsObject) {
+        if (data.length !== 1) {
+          status = 406;
+          data = { code: "PGRST116", message: `${data.length} rows` };
+        } else {
+          data = data[0];
+        }
+      }
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(data === undefined ? "" : JSON.stringify(data));
+    };
+
+    if (req.method === "GET") {
+      let out = sortRows(filterRows(rows, params), url.searchParams.get("order"));
+      const limit = url.searchParams.get("limit");
+      if (limit) out = out.slice(0, Number(limit));
+      return reply(200, out);
+    }
+
+    if (req.method === "POST") {
+      const unique = UNIQUE[VIEWS[name] || name];
+      const inserted = [];
+      for (const row of [].concat(JSON.parse(body))) {
+        if (unique && rows.some((r) => unique.every((k) => (r[k] ?? null) === (row[k] ?? null)))) {
+          if (prefer.includes("resolution=ignore-duplicates")) continue;
+          res.writeHead(409, { "Content-Type": "application/json" });
+          return res.end(JSON.stringify({ code: "23505", message: "duplicate key" }));
+        }
+        const stored = { id: nextId++, ...row };
+        rows.push(stored);
+        inserted.push(stored);
+      }
+      return prefer.includes("return=representation") ? reply(201, inserted) : reply(201);
+    }
+
+    if (req.method === "PATCH") {
+      const patch = JSON.parse(body);
+      const updated = filterRows(rows, params);
+      for (const row of updated) Object.assign(row, patch);
+      return prefer.includes("return=representation") ? reply(200, updated) : reply(204);
+    }
+
+    res.writeHead(405);
+    res.end();
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    tables,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
@@ -0,0 +1,83 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startMockPostgrest } from "./mockPostgrest.js";
+
+const NFT = "0x1111111111111111111111111111111111111111";
+const WETH = "0x4444444444444444444444444444444444444444";
+const SELLER = "0x3333333333333333333333333333333333333333";
+const BIDDER = "0x5555555555555555555555555555555555555555";
+
+const auction = (id, status) => ({
+  id,
+  nftContract: NFT,
+  tokenId: id,
+  seller: SELLER,
+  paymentToken: WETH,
+  reservePrice: "1.0",
+  endTime: "2026-01-01T00:00:00.000Z",
+  status,
+  winningOfferHash: null,
+});
+
+const bid = (auctionId, orderHash) => ({
+  id: `bid-${auctionId}`,
+  orderHash,
+  kind: "token",
+  auctionId,
+  nftContract: NFT,
+  tokenId: auctionId,
+  buyer: BIDDER,
+  price: "2.0",
+  paymentToken: WETH,
+  status: "active",
+  endTime: "2026-01-10T00:00:00.000Z",
+});
+
+describe("transitionOffer", () => {
+  let db;
+  let transitionOffer;
+  const auctionRow = (id) => db.tables.auctions.find((a) => a.id === id);
+
+  before(async () => {
+    db = await startMockPostgrest({
+      auctions: [auction("1", "unsold"), auction("2", "ended"), auction("3", "cancelled")],
+      offers: [bid("1", "0x" + "b1".repeat(32)), bid("2", "0x" + "b2".repeat(32)), bid("3", "0x" + "b3".repeat(32))],
+    });
+    process.env.SUPABASE_URL = db.url;
+    process.env.SUPABASE_SERVICE_ROLE_KEY = "service-role-key";
+    // db.js reads the env when it is first imported
+    ({ transitionOffer } = await import("../offerRepository.js"));
+  });
+
+  after(() => db.close());
+
+  const accept = (orderHash) =>
+    transitionOffer(orderHash, "fulfilled", { sellerAddress: SELLER, fulfillTxHash: "0x" + "cc".repeat(32) });
+
+  it("settles an auction that closed unsold when its bid is accepted", async () => {
+    await accept("0x" + "b1".repeat(32));
+    assert.equal(auctionRow("1").status, "settled");
+    assert.equal(auctionRow("1").winningOfferHash, "0x" + "b1".repeat(32));
+  });
+
+  it("settles an ended auction with the accepted bid", async () => {
+    await accept("0x" + "b2".repeat(32));
+    assert.equal(auctionRow("2").status, "settled");
+    assert.equal(auctionRow("2").winningOfferHash, "0x" + "b2".repeat(32));
+  });
+
+  it("leaves a cancelled auction cancelled", async () => {
+    const offer = await accept("0x" + "b3".repeat(32));
+    assert.equal(offer.status, "fulfilled");
+    assert.equal(auctionRow("3").status, "cancelled");
+  });
+
+  it("records the accepted bid as a sale", () => {
+    const sales = db.tables.activity.filter((a) => a.type === "sale");
+    assert.equal(sales.length, 3);
+    assert.deepEqual(
+      sales.map((s) => [s.fromAddress, s.toAddress]),
+      Array(3).fill([SELLER, BIDDER])
+    );
+  });
+});
@@ -0,0 +1,201 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { execFile } from "node:child_process";
+import { fileURLToPath } from "node:url";
+import { ethers } from "ethers";
+import { startMockPostgrest } from "./mockPostgrest.js";
+import { ITEM_TYPE, ORDER_TYPE, toOrderComponents, getOrderHash } from "../seaportOrders.js";
+
+const ROOT = fileURLToPath(new URL("..", import.meta.url));
+const SEAPORT = "0x00000000000000adc04c56bf30ac9d3c0aaf14dc";
+const NFT = "0x1111111111111111111111111111111111111111";
+const OTHER_NFT = "0x2222222222222222222222222222222222222222";
+const SELLER = "0x3333333333333333333333333333333333333333";
+const SLUG = "test-apes";
+
+// An OpenSea listing of `tokenId` whose protocol_data hashes to its order_hash
+function openseaListing({ tokenId, wei, startWei = wei, token = NFT }) {
+  const now = Math.floor(Date.now() / 1000);
+  const parameters = {
+    offerer: SELLER,
+    zone: ethers.constants.AddressZero,
+    offer: [{ itemType: ITEM_TYPE.ERC721, token, identifierOrCriteria: String(tokenId), startAmount: "1", endAmount: "1" }],
+    consideration: [
+      {
+        itemType: ITEM_TYPE.NATIVE,
+        token: ethers.constants.AddressZero,
+        identifierOrCriteria: "0",
+        startAmount: startWei,
+        endAmount: wei,
+        recipient: SELLER,
+      },
+    ],
+    orderType: ORDER_TYPE.FULL_OPEN,
+    startTime: String(now - 60),
+    endTime: String(now + 3600),
+    zoneHash: ethers.constants.HashZero,
+    salt: String(tokenId),
+    conduitKey: ethers.constants.HashZero,
+    counter: "0",
+    totalOriginalConsiderationItems: 1,
+  };
+  return {
+    order_hash: getOrderHash(toOrderComponents(parameters)),
+    protocol_address: SEAPORT,
+    protocol_data: { parameters, signature: "0x" + "11".repeat(65) },
+  };
+}
+
+const EXACT = openseaListing({ tokenId: 1, wei: "1234567890123456789" });
+const DUTCH = openseaListing({ tokenId: 2, wei: "1000000000000000000", startWei: "3000000000000000001" });
+const OTHER_COLLECTION = openseaListing({ tokenId: 3, wei: "1000000000000000000", token: OTHER_NFT });
+const LAST = openseaListing({ tokenId: 4, wei: "5000000000000000000" });
+
+// Three pages of two; the second one answers 429 the first time it is asked for
+const PAGES = {
+  start: { listings: [EXACT, DUTCH], next: "page-2" },
+  "page-2": { listings: [OTHER_COLLECTION, EXACT], next: "page-3" },
+  "page-3": { listings: [LAST] },
+};
+
+function startMockOpensea() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const cursor = url.searchParams.get("next") || "start";
+    requests.push({
+      path: url.pathname,
+      cursor,
+      limit: url.searchParams.get("limit"),
+      key: req.headers["x-api-key"],
+      at: Date.now(),
+    });
+
+    if (cursor === "page-2" && requests.filter((r) => r.cursor === cursor).length === 1) {
+      res.writeHead(429, { "Retry-After": "1" });
+      return res.end("rate limited");
+    }
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(PAGES[cursor]));
+  });
+  return new Promise((resolve) =>
+    server.listen(0, "127.0.0.1", () =>
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise((r) => server.close(r)),
+      })
+    )
+  );
+}
+
+const storedOrder = (id, orderHash, fields) => ({
+  id,
+  orderHash,
+  tokenId: id,
+  nftContract: NFT,
+  source: "opensea",
+  status: "active",
+  inactiveReason: null,
+  seller: SELLER,
+  ...fields,
+});
+
+describe("openseaSync", () => {
+  let opensea;
+  let db;
+  const orders = () => db.tables.orders;
+  const byHash = (hash) => orders().find((o) => o.orderHash === hash);
+
+  before(async () => {
+    opensea = await startMockOpensea();
+    db = await startMockPostgrest({
+      collections: [{ address: NFT, slug: "apes", name: "Apes", openseaSlug: SLUG, createdAt: "2026-01-01T00:00:00Z" }],
+      orders: [
+        storedOrder("o1", "0x" + "a1".repeat(32)),
+        // Still listed: stays active
+        storedOrder("o2", EXACT.order_hash, { price: "1.234567890123456789" }),
+        storedOrder("o3", "0x" + "a3".repeat(32), { nftContract: OTHER_NFT }),
+        storedOrder("o4", "0x" + "a4".repeat(32), { source: "local" }),
+        storedOrder("o5", "0x" + "a5".repeat(32), { status: "inactive", inactiveReason: "NOT_OWNER" }),
+      ],
+    });
+
+    await new Promise((resolve, reject) =>
+      execFile(
+        process.execPath,
+        // supabase-js's realtime client needs a global WebSocket, which Node 20 has behind a flag
+        ["--experimental-websocket", "openseaSync.js"],
+        {
+          cwd: ROOT,
+          timeout: 30_000,
+          env: {
+            PATH: process.env.PATH,
+            OPENSEA_API_KEY: "test-key",
+            OPENSEA_API_URL: opensea.url,
+            OPENSEA_PAGE_SIZE: "2",
+            OPENSEA_RPS: "50",
+            OPENSEA_BURST: "10",
+            SEAPORT_CONTRACT_ADDRESS: SEAPORT,
+            SUPABASE_URL: db.url,
+            SUPABASE_SERVICE_ROLE_KEY: "service-role-key",
+          },
+        },
+        (err, stdout, stderr) => (err ? reject(new Error(`${err.message}\n${stdout}\n${stderr}`)) : resolve())
+      )
+    );
+  });
+
+  after(async () => {
+    await opensea.close();
+    await db.close();
+  });
+
+  it("follows the cursor through every page", () => {
+    const pages = opensea.requests.map((r) => r.cursor);
+    assert.deepEqual(pages, ["start", "page-2", "page-2", "page-3"]);
+    for (const r of opensea.requests) {
+      assert.equal(r.path, `/api/v2/listings/collection/${SLUG}/all`);
+      assert.equal(r.limit, "2");
+      assert.equal(r.key, "test-key");
+    }
+    assert.ok(byHash(LAST.order_hash), "listing on the last page is stored");
+  });
+
+  it("waits for Retry-After before asking again after a 429", () => {
+    const [limited, retried] = opensea.requests.filter((r) => r.cursor === "page-2");
+    const waited = retried.at - limited.at;
+    // 1s from the header, not the 2s backoff it would use without one
+    assert.ok(waited >= 950 && waited < 2000, `waited ${waited}ms`);
+  });
+
+  it("stores prices as exact decimal strings", () => {
+    assert.equal(byHash(EXACT.order_hash).price, "1.234567890123456789");
+    const dutch = byHash(DUTCH.order_hash);
+    assert.equal(dutch.price, "1.0");
+    assert.equal(dutch.startPrice, "3.000000000000000001");
+    assert.equal(dutch.source, "opensea");
+    assert.equal(dutch.nftContract, NFT);
+  });
+
+  it("skips listings of other collections", () => {
+    assert.equal(byHash(OTHER_COLLECTION.order_hash), undefined);
+  });
+
+  it("marks the collection's open opensea rows it did not see as delisted", () => {
+    const row = (id) => orders().find((o) => o.id === id);
+    assert.equal(row("o1").status, "inactive");
+    assert.equal(row("o1").inactiveReason, "DELISTED");
+    assert.equal(row("o2").status, "active");
+    // Another collection and a local listing are left alone
+    assert.equal(row("o3").status, "active");
+    assert.equal(row("o4").status, "active");
+  });
+
+  it("re-tags an inactive row that left the crawl, so the sweep keeps it down", () => {
+    const row = orders().find((o) => o.id === "o5");
+    assert.equal(row.status, "inactive");
+    assert.equal(row.inactiveReason, "DELISTED");
+  });
+});
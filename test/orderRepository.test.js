@@ -0,0 +1,90 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startMockPostgrest } from "./mockPostgrest.js";
+
+const NFT = "0x1111111111111111111111111111111111111111";
+const SELLER = "0x3333333333333333333333333333333333333333";
+const BUYER = "0x5555555555555555555555555555555555555555";
+
+const hashOf = (n) => "0x" + String(n).repeat(64).slice(0, 64);
+
+const order = (n, status, fields = {}) => ({
+  id: `o${n}`,
+  orderHash: hashOf(n),
+  nftContract: NFT,
+  tokenId: String(n),
+  seller: SELLER,
+  price: "1.0",
+  currency: "native",
+  quantity: 1,
+  source: "local",
+  status,
+  ...fields,
+});
+
+const fillOf = (n, fields = {}) => ({
+  txHash: "0x" + "f".repeat(63) + n,
+  logIndex: 0,
+  units: "1",
+  buyerAddress: BUYER,
+  price: "1.0",
+  blockNumber: 100,
+  ...fields,
+});
+
+describe("recordFill", () => {
+  let db;
+  let recordFill;
+  let InvalidTransitionError;
+  const row = (n) => db.tables.orders.find((o) => o.orderHash === hashOf(n));
+  const fillsOf = (n) => (db.tables.order_fills || []).filter((f) => f.orderHash === hashOf(n));
+  const salesOf = (n) => (db.tables.activity || []).filter((a) => a.orderHash === hashOf(n) && a.type === "sale");
+
+  before(async () => {
+    db = await startMockPostgrest({
+      orders: [
+        order(1, "expired"),
+        order(2, "cancelled"),
+        order(3, "active"),
+        order(4, "active", { quantity: 5 }),
+      ],
+    });
+    process.env.SUPABASE_URL = db.url;
+    process.env.SUPABASE_SERVICE_ROLE_KEY = "service-role-key";
+    // db.js reads the env when it is first imported
+    ({ recordFill, InvalidTransitionError } = await import("../orderRepository.js"));
+  });
+
+  after(() => db.close());
+
+  it("fulfils an order the sweep expired before its sale reached us", async () => {
+    const result = await recordFill(hashOf(1), fillOf(1));
+    assert.equal(result.recorded, true);
+    assert.equal(result.remaining, 0);
+    assert.equal(row(1).status, "fulfilled");
+    assert.equal(fillsOf(1).length, 1);
+    assert.equal(salesOf(1).length, 1);
+  });
+
+  it("writes nothing for an order that can no longer be fulfilled", async () => {
+    await assert.rejects(recordFill(hashOf(2), fillOf(2)), InvalidTransitionError);
+    assert.equal(row(2).status, "cancelled");
+    assert.equal(fillsOf(2).length, 0);
+    assert.equal(salesOf(2).length, 0);
+  });
+
+  it("records a replayed fill once", async () => {
+    await recordFill(hashOf(3), fillOf(3));
+    const replay = await recordFill(hashOf(3), fillOf(3));
+    assert.equal(replay.recorded, false);
+    assert.equal(row(3).status, "fulfilled");
+    assert.equal(fillsOf(3).length, 1);
+    assert.equal(salesOf(3).length, 1);
+  });
+
+  it("keeps a partly filled order open", async () => {
+    const result = await recordFill(hashOf(4), fillOf(4, { units: "2" }));
+    assert.equal(result.remaining, 3);
+    assert.equal(row(4).status, "active");
+  });
+});
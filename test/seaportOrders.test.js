@@ -0,0 +1,263 @@
+import { describe, it, before } from "node:test";
+import assert from "node:assert/strict";
+import { ethers } from "ethers";
+import { startLocalChain, listingComponents, offerComponents, signOrder, sequentialMulticall } from "./localChain.js";
+import {
+  verifySeaportOrder,
+  verifySeaportOffer,
+  checkOrderFillable,
+  checkOrdersFillable,
+  getOrderHash,
+} from "../seaportOrders.js";
+
+const PRICE = ethers.utils.parseEther("1");
+const FEE_BPS = 250;
+
+describe("verifySeaportOrder", () => {
+  let chain;
+  let nextTokenId = 1;
+  let options;
+
+  // A token minted to the seller with Seaport approved, and a listing paying the fee
+  async function listing(overrides = {}) {
+    const tokenId = nextTokenId++;
+    await chain.erc721.mint(chain.addresses.seller, tokenId);
+    const fee = PRICE.mul(FEE_BPS).div(10000);
+    const components = await listingComponents(chain, {
+      tokenId,
+      payouts: [
+        [chain.addresses.seller, PRICE.sub(fee)],
+        [chain.addresses.feeRecipient, fee],
+      ],
+      ...overrides,
+    });
+    return { tokenId, components };
+  }
+
+  const verify = (signed, body = {}) =>
+    verifySeaportOrder({ ...signed, sellerAddress: chain.addresses.seller, ...body }, options);
+
+  const rejectsWith = (promise, code) => assert.rejects(promise, (err) => err.code === code);
+
+  before(async () => {
+    chain = await startLocalChain();
+    await chain.erc721.connect(chain.seller).setApprovalForAll(chain.seaportAddress, true);
+    options = {
+      provider: chain.provider,
+      seaportAddress: chain.seaportAddress,
+      nftContract: chain.erc721.address,
+      marketplaceFee: { recipient: chain.addresses.feeRecipient, bps: FEE_BPS },
+    };
+  });
+
+  it("hashes OrderComponents exactly as Seaport does", async () => {
+    const { components } = await listing();
+    assert.equal(getOrderHash(components), await chain.seaport.getOrderHash(components));
+  });
+
+  it("accepts a signed listing and derives the stored fields from it", async () => {
+    const { tokenId, components } = await listing();
+    const result = await verify(await signOrder(chain, chain.seller, components));
+
+    assert.equal(result.tokenId, String(tokenId));
+    assert.equal(result.amount, PRICE.toString());
+    assert.equal(result.currency, "native");
+    assert.equal(result.seller, chain.addresses.seller.toLowerCase());
+    assert.equal(result.taker, null);
+  });
+
+  it("rejects an orderHash that does not match the parameters", async () => {
+    const { components } = await listing();
+    const signed = await signOrder(chain, chain.seller, components);
+    await rejectsWith(verify({ ...signed, orderHash: ethers.constants.HashZero }), "ORDER_HASH_MISMATCH");
+  });
+
+  it("rejects a signature by anyone but the offerer", async () => {
+    const { components } = await listing();
+    await rejectsWith(verify(await signOrder(chain, chain.buyer, components)), "BAD_SIGNATURE");
+  });
+
+  it("rejects parameters changed after signing", async () => {
+    const { components } = await listing();
+    const signed = await signOrder(chain, chain.seller, components);
+    // The seller is paid 1 wei; the hash matches the new parameters, the signature does not
+    const tampered = {
+      ...components,
+      consideration: components.consideration.map((c, i) => (i === 0 ? { ...c, startAmount: "1", endAmount: "1" } : c)),
+    };
+    signed.seaportOrder.parameters = { ...signed.seaportOrder.parameters, consideration: tampered.consideration };
+    signed.orderHash = getOrderHash(tampered);
+    await rejectsWith(verify(signed), "BAD_SIGNATURE");
+  });
+
+  it("rejects orders signed before the seller bumped their counter", async () => {
+    const { components } = await listing();
+    const signed = await signOrder(chain, chain.seller, components);
+    await chain.seaport.connect(chain.seller).incrementCounter();
+    await rejectsWith(verify(signed), "STALE_COUNTER");
+  });
+
+  it("rejects orders cancelled on chain", async () => {
+    const { components } = await listing();
+    const signed = await signOrder(chain, chain.seller, components);
+    await chain.seaport.connect(chain.seller).cancel([components]);
+    await rejectsWith(verify(signed), "ORDER_CANCELLED");
+  });
+
+  it("rejects a token the seller does not own", async () => {
+    const { tokenId, components } = await listing();
+    await chain.erc721
+      .connect(chain.seller)
+      .transferFrom(chain.addresses.seller, chain.addresses.buyer, tokenId);
+    await rejectsWith(verify(await signOrder(chain, chain.seller, components)), "NOT_OWNER");
+  });
+
+  it("rejects a token Seaport may not transfer", async () => {
+    const { components } = await listing();
+    const signed = await signOrder(chain, chain.seller, components);
+    await chain.erc721.connect(chain.seller).setApprovalForAll(chain.seaportAddress, false);
+    try {
+      await rejectsWith(verify(signed), "NOT_APPROVED");
+    } finally {
+      await chain.erc721.connect(chain.seller).setApprovalForAll(chain.seaportAddress, true);
+    }
+  });
+
+  it("accepts a token approved to Seaport on its own", async () => {
+    const { tokenId, components } = await listing();
+    const signed = await signOrder(chain, chain.seller, components);
+    await chain.erc721.connect(chain.seller).setApprovalForAll(chain.seaportAddress, false);
+    try {
+      await chain.erc721.connect(chain.seller).approve(chain.seaportAddress, tokenId);
+      await verify(signed);
+    } finally {
+      await chain.erc721.connect(chain.seller).setApprovalForAll(chain.seaportAddress, true);
+    }
+  });
+
+  it("rejects a listing that skips the marketplace fee", async () => {
+    const { components } = await listing({ payouts: [[chain.addresses.seller, PRICE]] });
+    await rejectsWith(verify(await signOrder(chain, chain.seller, components)), "MISSING_FEE");
+  });
+
+  it("rejects expired listings", async () => {
+    const now = Math.floor(Date.now() / 1000);
+    const { components } = await listing({ startTime: now - 7200, endTime: now - 60 });
+    await rejectsWith(verify(await signOrder(chain, chain.seller, components)), "ORDER_EXPIRED");
+  });
+});
+
+describe("verifySeaportOffer", () => {
+  let chain;
+  let options;
+  const fee = PRICE.mul(FEE_BPS).div(10000);
+
+  const verify = (signed) => verifySeaportOffer({ ...signed, buyerAddress: chain.addresses.buyer }, options);
+
+  before(async () => {
+    chain = await startLocalChain();
+    await chain.erc721.mint(chain.addresses.seller, 1);
+    await chain.erc20.mint(chain.addresses.buyer, PRICE);
+    await chain.erc20.connect(chain.buyer).approve(chain.seaportAddress, PRICE);
+    options = {
+      provider: chain.provider,
+      seaportAddress: chain.seaportAddress,
+      nftContract: chain.erc721.address,
+      paymentTokens: [chain.erc20.address],
+      marketplaceFee: { recipient: chain.addresses.feeRecipient, bps: FEE_BPS },
+    };
+  });
+
+  it("accepts an offer that pays the marketplace fee out of the offered amount", async () => {
+    const components = await offerComponents(chain, {
+      tokenId: 1,
+      amount: PRICE,
+      fees: [[chain.addresses.feeRecipient, fee]],
+    });
+    const result = await verify(await signOrder(chain, chain.buyer, components));
+
+    assert.equal(result.kind, "token");
+    assert.equal(result.amount, PRICE.toString());
+  });
+
+  it("rejects an offer without the marketplace fee", async () => {
+    const components = await offerComponents(chain, { tokenId: 1, amount: PRICE });
+    await assert.rejects(verify(await signOrder(chain, chain.buyer, components)), (err) => err.code === "MISSING_FEE");
+  });
+
+  it("rejects an offer paying less than the marketplace fee", async () => {
+    const components = await offerComponents(chain, {
+      tokenId: 1,
+      amount: PRICE,
+      fees: [[chain.addresses.feeRecipient, fee.sub(1)]],
+    });
+    await assert.rejects(verify(await signOrder(chain, chain.buyer, components)), (err) => err.code === "MISSING_FEE");
+  });
+});
+
+describe("checkOrdersFillable", () => {
+  let chain;
+  let options;
+  const fee = PRICE.mul(FEE_BPS).div(10000);
+
+  // A stored listing of a fresh token, as orderRepository returns it
+  async function storedListing(tokenId, { payFee = true } = {}) {
+    await chain.erc721.mint(chain.addresses.seller, tokenId);
+    const payouts = payFee
+      ? [
+          [chain.addresses.seller, PRICE.sub(fee)],
+          [chain.addresses.feeRecipient, fee],
+        ]
+      : [[chain.addresses.seller, PRICE]];
+    const components = await listingComponents(chain, { tokenId, payouts });
+    const { seaportOrder, orderHash } = await signOrder(chain, chain.seller, components);
+    return { orderHash, seaportOrder, tokenId: String(tokenId), nftContract: chain.erc721.address };
+  }
+
+  before(async () => {
+    chain = await startLocalChain();
+    await chain.erc721.connect(chain.seller).setApprovalForAll(chain.seaportAddress, true);
+    options = {
+      provider: chain.provider,
+      seaportAddress: chain.seaportAddress,
+      marketplaceFee: { recipient: chain.addresses.feeRecipient, bps: FEE_BPS },
+    };
+  });
+
+  it("gives the same verdicts as checkOrderFillable, one order at a time", async () => {
+    const fillable = await storedListing(1);
+    const sold = await storedListing(2);
+    await chain.erc721.connect(chain.seller).transferFrom(chain.addresses.seller, chain.addresses.buyer, 2);
+    const cancelled = await storedListing(3);
+    await chain.seaport.connect(chain.seller).cancel([toComponents(cancelled)]);
+    const noFee = await storedListing(4, { payFee: false });
+    const orders = [fillable, sold, cancelled, noFee];
+
+    const batched = await checkOrdersFillable(orders, { ...options, multicall: sequentialMulticall(chain.provider) });
+    const single = await Promise.all(orders.map((o) => checkOrderFillable(o, options)));
+
+    assert.deepEqual(batched, single);
+    assert.deepEqual(
+      batched.map((r) => r.reason),
+      [null, "NOT_OWNER", "ORDER_CANCELLED", "INSUFFICIENT_CONSIDERATION"]
+    );
+  });
+
+  it("reports a token approved to Seaport on its own as fillable", async () => {
+    const order = await storedListing(5);
+    await chain.erc721.connect(chain.seller).setApprovalForAll(chain.seaportAddress, false);
+    try {
+      await chain.erc721.connect(chain.seller).approve(chain.seaportAddress, 5);
+      const [result] = await checkOrdersFillable([order], { ...options, multicall: sequentialMulticall(chain.provider) });
+      assert.equal(result.fillable, true);
+    } finally {
+      await chain.erc721.connect(chain.seller).setApprovalForAll(chain.seaportAddress, true);
+    }
+  });
+});
+
+// The signed OrderComponents of a stored listing
+function toComponents(order) {
+  const { totalOriginalConsiderationItems, ...components } = order.seaportOrder.parameters;
+  return components;
+}
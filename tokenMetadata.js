@@ -0,0 +1,212 @@
+/**
+ * tokenMetadata.js — tokenURI (ERC-721) / uri (ERC-1155) → name / image /
+ * traits, cached in `tokens`
+ */
+
+import fetch from "node-fetch";
+import { ethers } from "ethers";
+import dotenv from "dotenv";
+import { supabase } from "./db.js";
+import { getProvider } from "./chain.js";
+
+dotenv.config();
+
+const IPFS_GATEWAY = (process.env.IPFS_GATEWAY || "https://ipfs.io").replace(/\/+$/, "");
+const FETCH_TIMEOUT_MS = 15_000;
+const REFRESH_COOLDOWN_MS = 5 * 60_000;
+
+const METADATA_ABI = [
+  "function tokenURI(uint256 tokenId) view returns (string)",
+  "function uri(uint256 id) view returns (string)",
+  "function supportsInterface(bytes4 interfaceId) view returns (bool)",
+];
+
+const ERC1155_ID = "0xd9b67a26";
+
+const erc1155ByContract = new Map();
+
+// ERC-165; contracts that do not implement it are read as ERC-721
+async function isErc1155(nft) {
+  const key = nft.address.toLowerCase();
+  if (!erc1155ByContract.has(key)) {
+    const supported = await nft.supportsInterface(ERC1155_ID).catch(() => false);
+    erc1155ByContract.set(key, supported);
+  }
+  return erc1155ByContract.get(key);
+}
+
+// -------------------- URI --------------------
+/**
+ * Makes a tokenURI / image URI fetchable: ipfs:// and ar:// go through the
+ * configured gateways, http(s) and data: URIs are returned unchanged.
+ */
+export function resolveUri(uri) {
+  if (!uri) return null;
+  const u = uri.trim();
+  if (u.startsWith("ipfs://")) {
+    const path = u.slice("ipfs://".length).replace(/^ipfs\//, "");
+    return `${IPFS_GATEWAY}/ipfs/${path}`;
+  }
+  if (u.startsWith("ar://")) return `https://arweave.net/${u.slice("ar://".length)}`;
+  // Bare CID (CIDv0 "Qm..." or CIDv1 "bafy...")
+  if (/^(Qm[1-9A-HJ-NP-Za-km-z]{44}|bafy[a-z2-7]+)(\/.*)?$/.test(u)) return `${IPFS_GATEWAY}/ipfs/${u}`;
+  return u;
+}
+
+/**
+ * EIP-1155 metadata URI for one id: every "{id}" becomes the id as 64
+ * lowercase hex characters, zero-padded, without 0x.
+ */
+export function expandIdTemplate(uri, tokenId) {
+  const hexId = ethers.utils.hexZeroPad(ethers.BigNumber.from(tokenId).toHexString(), 32).slice(2);
+  return uri.split("{id}").join(hexId);
+}
+
+function decodeDataUri(uri) {
+  const comma = uri.indexOf(",");
+  if (comma === -1) throw new Error("Malformed data: URI");
+  const header = uri.slice(0, comma);
+  const body = uri.slice(comma + 1);
+  return header.endsWith(";base64")
+    ? Buffer.from(body, "base64").toString("utf8")
+    : decodeURIComponent(body);
+}
+
+async function loadJson(uri) {
+  if (uri.startsWith("data:")) return JSON.parse(decodeDataUri(uri));
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+  try {
+    const res = await fetch(resolveUri(uri), { signal: controller.signal });
+    if (!res.ok) throw new Error(`Metadata HTTP ${res.status}`);
+    return await res.json();
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// "Type:Value" strings, the indexed form used for trait filters
+export function traitKeys(attributes) {
+  return attributes.map((a) => `${a.trait_type}:${a.value}`);
+}
+
+function normalizeAttributes(raw) {
+  if (!Array.isArray(raw)) return [];
+  return raw
+    .filter((a) => a && a.trait_type !== undefined && a.value !== undefined)
+    .map((a) => ({ trait_type: String(a.trait_type), value: String(a.value) }));
+}
+
+// -------------------- FETCH --------------------
+/**
+ * Reads the token's metadata URI from the chain (uri(id) with {id} filled
+ * in for ERC-1155, tokenURI otherwise) and loads the JSON behind it.
+ */
+export async function fetchTokenMetadata(nftContract, tokenId) {
+  const nft = new ethers.Contract(nftContract, METADATA_ABI, await getProvider());
+  const tokenUri = (await isErc1155(nft))
+    ? expandIdTemplate(await nft.uri(tokenId), tokenId)
+    : await nft.tokenURI(tokenId);
+  const json = await loadJson(tokenUri);
+  const attributes = normalizeAttributes(json.attributes);
+
+  return {
+    nftContract: nftContract.toLowerCase(),
+    tokenId: tokenId.toString(),
+    tokenUri,
+    name: json.name || null,
+    description: json.description || null,
+    image: resolveUri(json.image || json.image_url || null),
+    attributes,
+    traits: traitKeys(attributes),
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+export async function saveToken(token) {
+  const { error } = await supabase.from("tokens").upsert(token, { onConflict: "nftContract,tokenId" });
+  if (error) throw error;
+  return token;
+}
+
+// -------------------- READ (cache-first) --------------------
+export async function getCachedTokens(nftContract, tokenIds) {
+  if (tokenIds.length === 0) return [];
+  const { data, error } = await supabase
+    .from("tokens")
+    .select("*")
+    .eq("nftContract", nftContract.toLowerCase())
+    .in("tokenId", tokenIds.map(String));
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Every token id of the collection in the cache.
+ */
+export async function getCachedTokenIds(nftContract) {
+  const ids = [];
+  for (let from = 0; ; from += 1000) {
+    const { data, error } = await supabase
+      .from("tokens")
+      .select("tokenId")
+      .eq("nftContract", nftContract.toLowerCase())
+      .order("tokenId")
+      .range(from, from + 999);
+    if (error) throw error;
+    ids.push(...data.map((r) => r.tokenId));
+    if (data.length < 1000) return ids;
+  }
+}
+
+/**
+ * Token metadata from the cache, fetching (and caching) it on a miss.
+ * `refresh` re-reads the chain unless the row was updated in the last
+ * REFRESH_COOLDOWN_MS.
+ */
+export async function getToken(nftContract, tokenId, { refresh = false } = {}) {
+  const [cached] = await getCachedTokens(nftContract, [tokenId]);
+  const fresh = cached && Date.now() - new Date(cached.updatedAt).getTime() < REFRESH_COOLDOWN_MS;
+  if (cached && (!refresh || fresh)) return cached;
+
+  return saveToken(await fetchTokenMetadata(nftContract, tokenId));
+}
+
+const pending = new Set();
+
+/**
+ * Fire-and-forget cache fill for tokens a listing page referenced but
+ * that have no metadata yet.
+ */
+export function prefetchTokens(nftContract, tokenIds) {
+  for (const id of tokenIds) {
+    const key = `${nftContract.toLowerCase()}:${id}`;
+    if (pending.has(key)) continue;
+    pending.add(key);
+    getToken(nftContract, id)
+      .catch((e) => console.warn(`⚠️ Metadata fetch failed for #${id}:`, e.message))
+      .finally(() => pending.delete(key));
+  }
+}
+
+// -------------------- TRAITS --------------------
+/**
+ * Collection-wide value counts per trait type (written by computeRarity.js),
+ * as { [traitType]: [{ value, count }] } sorted by count.
+ */
+export async function getTraitCounts(nftContract) {
+  const { data, error } = await supabase
+    .from("trait_counts")
+    .select("traitType, value, count")
+    .eq("nftContract", nftContract.toLowerCase())
+    .order("traitType")
+    .order("count", { ascending: false });
+  if (error) throw error;
+
+  const grouped = {};
+  for (const row of data) {
+    (grouped[row.traitType] ||= []).push({ value: row.value, count: row.count });
+  }
+  return grouped;
+}
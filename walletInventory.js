@@ -0,0 +1,232 @@
+/**
+ * walletInventory.js — token ids of the collection held by a wallet
+ *
+ * Uses ERC721Enumerable when the contract supports it; otherwise follows
+ * the collection's Transfer logs and confirms each candidate with ownerOf.
+ * ERC-1155 collections follow TransferSingle / TransferBatch and read the
+ * balances with balanceOfBatch. The logs are indexed once per process from
+ * the collection's deploy block by warmInventory() (the server runs it at
+ * startup), then only new blocks; results are cached briefly per wallet.
+ */
+
+import { ethers } from "ethers";
+import dotenv from "dotenv";
+import { getProvider, multicall } from "./chain.js";
+
+dotenv.config();
+
+const LOG_CHUNK = 10000;
+const CACHE_TTL_MS = 30_000;
+
+const INVENTORY_ABI = [
+  "function balanceOf(address owner) view returns (uint256)",
+  "function ownerOf(uint256 tokenId) view returns (address)",
+  "function tokenOfOwnerByIndex(address owner, uint256 index) view returns (uint256)",
+  "function supportsInterface(bytes4 interfaceId) view returns (bool)",
+  "event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)",
+];
+
+const ERC1155_INVENTORY_ABI = [
+  "function balanceOfBatch(address[] owners, uint256[] ids) view returns (uint256[])",
+  "event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)",
+  "event TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)",
+];
+
+const ERC721_ENUMERABLE_ID = "0x780e9d63";
+const inventoryIface = new ethers.utils.Interface(INVENTORY_ABI);
+
+const cache = new Map();
+const enumerableByContract = new Map();
+
+export class InventoryIndexingError extends Error {
+  constructor(nftContract) {
+    super(`Transfer index of ${nftContract} is still being built`);
+    this.name = "InventoryIndexingError";
+    this.nftContract = nftContract;
+  }
+}
+
+async function isEnumerable(nft) {
+  const key = nft.address.toLowerCase();
+  if (!enumerableByContract.has(key)) {
+    const supported = await nft.supportsInterface(ERC721_ENUMERABLE_ID).catch(() => false);
+    enumerableByContract.set(key, supported);
+  }
+  return enumerableByContract.get(key);
+}
+
+async function fromEnumerable(nft, owner, balance) {
+  const calls = Array.from({ length: balance }, (_, i) => ({
+    target: nft.address,
+    iface: inventoryIface,
+    fn: "tokenOfOwnerByIndex",
+    args: [owner, i],
+  }));
+  const results = await multicall(calls);
+  if (results.some((r) => !r.success)) throw new Error(`tokenOfOwnerByIndex failed on ${nft.address}`);
+  return results.map((r) => r.value.toString());
+}
+
+// Per collection: the Transfer logs replayed so far (up to lastBlock) folded into `state`
+const transferIndexes = new Map();
+
+/**
+ * Folds the collection's logs of `filters` into its index with `onEvent`,
+ * scanning only the blocks after the last call (the first call starts at
+ * the collection's deployBlock). Concurrent callers share one scan.
+ * Resolves to the state. Until the first scan has finished, callers that
+ * do not `wait` get an InventoryIndexingError instead of holding a request
+ * open for a scan of the whole chain.
+ */
+async function syncTransferIndex(nft, collection, filters, createState, onEvent, { wait = false } = {}) {
+  const key = nft.address.toLowerCase();
+  if (!transferIndexes.has(key)) {
+    const fromBlock = collection.deployBlock ?? 0;
+    transferIndexes.set(key, { lastBlock: fromBlock - 1, state: createState(), scan: null, ready: false });
+  }
+  const index = transferIndexes.get(key);
+
+  if (!index.scan) {
+    index.scan = (async () => {
+      const head = await nft.provider.getBlockNumber();
+      for (let start = index.lastBlock + 1; start <= head; start += LOG_CHUNK + 1) {
+        const end = Math.min(start + LOG_CHUNK, head);
+        for (const filter of filters) {
+          const events = await nft.queryFilter(filter, start, end);
+          events.forEach((ev) => onEvent(index.state, ev));
+        }
+        // A failed chunk is scanned again by the next call
+        index.lastBlock = end;
+      }
+      index.ready = true;
+    })().finally(() => {
+      index.scan = null;
+    });
+  }
+
+  if (!index.ready && !wait) {
+    // warmInventory() reports the scan's errors
+    index.scan.catch(() => {});
+    throw new InventoryIndexingError(key);
+  }
+  await index.scan;
+  return index.state;
+}
+
+// tokenId → receiver of its latest Transfer
+function erc721Owners(nft, collection, options) {
+  return syncTransferIndex(
+    nft,
+    collection,
+    [nft.filters.Transfer()],
+    () => new Map(),
+    (state, ev) => state.set(ev.args.tokenId.toString(), ev.args.to.toLowerCase()),
+    options
+  );
+}
+
+// wallet → ids it ever received; balanceOfBatch tells which it still holds
+function erc1155Receivers(nft, collection, options) {
+  return syncTransferIndex(
+    nft,
+    collection,
+    [nft.filters.TransferSingle(), nft.filters.TransferBatch()],
+    () => new Map(),
+    (state, ev) => {
+      const to = ev.args.to.toLowerCase();
+      if (!state.has(to)) state.set(to, new Set());
+      if (ev.event === "TransferSingle") state.get(to).add(ev.args.id.toString());
+      else ev.args.ids.forEach((id) => state.get(to).add(id.toString()));
+    },
+    options
+  );
+}
+
+async function fromTransferLogs(nft, collection, owner) {
+  const owners = await erc721Owners(nft, collection);
+  const candidates = [...owners].filter(([, to]) => to === owner).map(([id]) => id);
+
+  // ownerOf has the last word (e.g. after a reorg)
+  const owned = await Promise.all(
+    candidates.map(async (id) => {
+      const current = await nft.ownerOf(id).catch(() => null);
+      return current && current.toLowerCase() === owner ? id : null;
+    })
+  );
+  return owned.filter(Boolean);
+}
+
+/**
+ * Builds the Transfer index of a registered collection (a
+ * collectionRepository row) up to the chain head, so wallet lookups only
+ * ever scan the blocks since. Nothing to build for ERC721Enumerable.
+ */
+export async function warmInventory(collection) {
+  const provider = await getProvider();
+  if (collection.standard === "erc1155") {
+    await erc1155Receivers(new ethers.Contract(collection.address, ERC1155_INVENTORY_ABI, provider), collection, {
+      wait: true,
+    });
+    return;
+  }
+  const nft = new ethers.Contract(collection.address, INVENTORY_ABI, provider);
+  if (!(await isEnumerable(nft))) await erc721Owners(nft, collection, { wait: true });
+}
+
+/**
+ * Sorted token ids of the collection currently owned by `owner`. Throws
+ * InventoryIndexingError while the collection's Transfer index is built.
+ */
+export async function getWalletTokenIds(collection, owner) {
+  const wallet = owner.toLowerCase();
+  const key = `${collection.address}:${wallet}`;
+  const cached = cache.get(key);
+  if (cached && Date.now() - cached.at < CACHE_TTL_MS) return cached.ids;
+
+  const provider = await getProvider();
+  const nft = new ethers.Contract(collection.address, INVENTORY_ABI, provider);
+
+  const balance = (await nft.balanceOf(wallet)).toNumber();
+  let ids = [];
+  if (balance > 0) {
+    ids = (await isEnumerable(nft))
+      ? await fromEnumerable(nft, wallet, balance)
+      : await fromTransferLogs(nft, collection, wallet);
+  }
+  ids.sort((a, b) => (BigInt(a) < BigInt(b) ? -1 : 1));
+
+  cache.set(key, { ids, at: Date.now() });
+  return ids;
+}
+
+/**
+ * ERC-1155 token ids of the collection held by `owner`, as a Map of
+ * tokenId → balance (decimal string) in token id order. Throws
+ * InventoryIndexingError while the collection's Transfer index is built.
+ */
+export async function getWalletBalances(collection, owner) {
+  const wallet = owner.toLowerCase();
+  const key = `${collection.address}:${wallet}`;
+  const cached = cache.get(key);
+  if (cached && Date.now() - cached.at < CACHE_TTL_MS) return cached.balances;
+
+  const provider = await getProvider();
+  const nft = new ethers.Contract(collection.address, ERC1155_INVENTORY_ABI, provider);
+
+  const received = await erc1155Receivers(nft, collection);
+  const candidates = received.get(wallet) ?? new Set();
+
+  const ids = [...candidates].sort((a, b) => (BigInt(a) < BigInt(b) ? -1 : 1));
+  const amounts = ids.length ? await nft.balanceOfBatch(ids.map(() => wallet), ids) : [];
+  const balances = new Map();
+  ids.forEach((id, i) => {
+    if (!amounts[i].isZero()) balances.set(id, amounts[i].toString());
+  });
+
+  cache.set(key, { balances, at: Date.now() });
+  return balances;
+}
+
+export function forgetWallet(nftContract, owner) {
+  cache.delete(`${nftContract.toLowerCase()}:${owner.toLowerCase()}`);
+}